@@ -14,11 +14,12 @@ cloudinary.config({
   secure: true
 });
 
+// Images are stored as image resources; anything else (pdf, doc, ...) as raw files
 async function uploadBuffer(buffer, folder, filename, mimetype) {
   return new Promise((resolve, reject) => {
     const stream = cloudinary.uploader.upload_stream({
       folder,
-      resource_type: 'image',
+      resource_type: mimetype && !mimetype.startsWith('image/') ? 'raw' : 'image',
       public_id: filename ? filename.replace(/\.[^.]+$/, '') : undefined,
       overwrite: false
     }, (err, result) => {
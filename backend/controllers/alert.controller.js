@@ -1,8 +1,11 @@
+const mongoose = require('mongoose');
 const Alert = require('../models/Alert');
-const Notification = require('../models/Notification');
-const User = require('../models/User');
+const Issue = require('../models/Issue');
 const { validationResult } = require('express-validator');
-const axios = require('axios');
+const { DEFAULT_RADIUS_KM, emitToAlertAudience } = require('../utils/alertFanout');
+const { normalizeArea, areaCircle, EARTH_RADIUS_KM } = require('../utils/geoArea');
+const { isScheduled, activateAlert, endAlert, cancelScheduledAlert } = require('../utils/alertLifecycle');
+const { configuredProviders, createSampleProviders, ingestAlerts } = require('../utils/alertIngestion');
 
 module.exports = {
     // Get all active alerts
@@ -10,25 +13,31 @@ module.exports = {
         try {
             const { lat, lng, radius = 50000, type } = req.query;
 
-            // Build query
-            const query = { isActive: true };
+            // Build query (the lifecycle scheduler keeps isActive in sync; the time bounds
+            // cover the gap between two scheduler runs)
+            const now = new Date();
+            const query = {
+                isActive: true,
+                startTime: { $lte: now },
+                endTime: { $not: { $lte: now } } // no end time, or not ended yet
+            };
 
             // Filter by type if provided
             if (type) {
                 query.type = type;
             }
 
-            // Geospatial query if coordinates provided
+            // Geospatial query if coordinates provided: polygon alerts whose area contains the point,
+            // circle alerts centred within `radius` metres of it
             if (lat && lng) {
-                query['location.coordinates'] = {
-                    $near: {
-                        $geometry: {
-                            type: 'Point',
-                            coordinates: [parseFloat(lng), parseFloat(lat)]
-                        },
-                        $maxDistance: parseInt(radius)
+                const point = [parseFloat(lng), parseFloat(lat)];
+                query.$or = [
+                    { 'location.area': { $geoIntersects: { $geometry: { type: 'Point', coordinates: point } } } },
+                    {
+                        'location.area.type': { $exists: false },
+                        'location.coordinates': { $geoWithin: { $centerSphere: [point, parseInt(radius) / 1000 / EARTH_RADIUS_KM] } }
                     }
-                };
+                ];
             }
 
             // Execute query
@@ -61,6 +70,18 @@ module.exports = {
                 source
             } = req.body;
 
+            // Drawn/uploaded area (GeoJSON); its covering circle stands in for the point + radius
+            let area;
+            let circle;
+            if (location.area) {
+                try {
+                    area = normalizeArea(location.area);
+                } catch (e) {
+                    return res.status(400).json({ message: `Invalid alert area: ${e.message}` });
+                }
+                circle = areaCircle(area);
+            }
+
             // Create alert
             const alert = new Alert({
                 title,
@@ -68,47 +89,44 @@ module.exports = {
                 type,
                 severity,
                 location: {
-                    coordinates: [
+                    coordinates: circle ? circle.coordinates : [
                         parseFloat(location.longitude),
                         parseFloat(location.latitude)
                     ],
+                    area,
                     city: location.city,
                     state: location.state,
-                    radius: location.radius || 5000 // Default 5km radius
+                    radius: circle ? circle.radius : (parseFloat(location.radius) || DEFAULT_RADIUS_KM) // km
                 },
                 startTime: startTime || Date.now(),
                 endTime: endTime || null,
                 source: source || 'Government',
-                isActive: true
+                isActive: false
             });
 
-            await alert.save();
-
-            // Emit socket event for real-time alert
-            const io = req.app.get('io');
-            io.emit('newAlert', alert);
-
-            // Create notifications for users in the affected area
-            // Note: In a real application, this would be more sophisticated
-            // and would target only users in the affected area
-            const users = await User.find({ role: 'citizen' }).limit(100); // Limit for demo
-
-            if (users.length > 0) {
-                const notifications = users.map(user => ({
-                    recipient: user._id,
-                    title: `ALERT: ${title}`,
-                    message: description,
-                    type: 'alert'
-                }));
-
-                await Notification.insertMany(notifications);
+            // Alerts starting later are stored inactive; the lifecycle scheduler activates them on time
+            if (isScheduled(alert)) {
+                alert.scheduled = true;
+                await alert.save();
+                return res.status(201).json({
+                    message: 'Alert scheduled',
+                    alert
+                });
             }
 
+            // Officials see every alert; citizens get it (notification + 'newAlert') only when
+            // one of their places is inside the radius
+            await activateAlert(alert, req.io);
+
             res.status(201).json({
                 message: 'Alert created and notifications sent',
                 alert
             });
         } catch (error) {
+            // 2dsphere index rejects self-intersecting or otherwise invalid polygons
+            if (error.code === 16755) {
+                return res.status(400).json({ message: 'Invalid alert area: the polygon could not be indexed (check for self-intersections)' });
+            }
             console.error('Create alert error:', error);
             res.status(500).json({ message: 'Server error while creating alert' });
         }
@@ -126,22 +144,35 @@ module.exports = {
                 return res.status(404).json({ message: 'Alert not found' });
             }
 
-            // Update fields
-            if (isActive !== undefined) {
-                alert.isActive = isActive;
-            }
-
+            const io = req.io;
             if (endTime) {
                 alert.endTime = endTime;
-            } else if (isActive === false && !alert.endTime) {
-                alert.endTime = Date.now();
             }
 
-            await alert.save();
+            if (isActive === false && alert.isActive) {
+                // Ending an alert early: emits alertUpdate and sends the all clear
+                await endAlert(alert, io);
+            } else if (isActive === false && alert.scheduled) {
+                // Cancelled before it started: the scheduler must not activate it later
+                await cancelScheduledAlert(alert, io);
+            } else if (isActive === true && alert.scheduled) {
+                // Started early: notify the area now instead of at the scheduled time
+                alert.startTime = new Date();
+                await activateAlert(alert, io);
+            } else {
+                if (isActive === true && !alert.isActive) {
+                    // Reopened by an official: citizens were already notified, so no new fan-out
+                    alert.isActive = true;
+                    alert.activatedAt = alert.activatedAt || new Date();
+                    alert.endedAt = undefined;
+                    alert.allClear = undefined;
+                    if (!endTime && alert.endTime && alert.endTime <= new Date()) alert.endTime = null;
+                }
+                await alert.save();
 
-            // Emit socket event for real-time update
-            const io = req.app.get('io');
-            io.emit('alertUpdate', alert);
+                // Real-time update for officials and the citizens in the alert area
+                await emitToAlertAudience(alert, io, 'alertUpdate');
+            }
 
             res.json({
                 message: 'Alert updated successfully',
@@ -153,58 +184,105 @@ module.exports = {
         }
     },
 
-    // Fetch external alerts from APIs (like weather, disaster alerts)
-    fetchExternalAlerts: async (req, res) => {
+    // Issues reported inside the alert's area (tagged with alertId), for the alert-scoped triage board
+    // (government officials only). Canonical issues only; ?status=&category= narrow the list.
+    getAlertIssues: async (req, res) => {
         try {
-            const { source, lat, lng } = req.query;
+            const { status, category, page = 1, limit = 100 } = req.query;
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ message: 'Alert not found' });
+            }
 
-            // Default to a demo response for now
-            // In a real application, this would connect to actual weather/disaster APIs
+            const alert = await Alert.findById(req.params.id).select('-delivery');
+            if (!alert) {
+                return res.status(404).json({ message: 'Alert not found' });
+            }
+
+            const filter = { alertId: alert._id, mergedInto: { $exists: false } };
+            if (status) filter.status = status;
+            if (category) filter.category = category;
 
-            // Mock implementation for demo purposes
-            let alerts = [];
+            const [issues, byStatus] = await Promise.all([
+                Issue.paginate(filter, {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    sort: { createdAt: -1 },
+                    select: 'title category status priority priorityReasons priorityAuto priorityOverride votes location.address images thumbnailImage assignedTo createdAt',
+                    populate: [
+                        { path: 'assignedTo.official', select: 'name department' },
+                        { path: 'priorityOverride.setBy', select: 'name department' }
+                    ],
+                    lean: true
+                }),
+                Issue.aggregate([
+                    { $match: { alertId: alert._id, mergedInto: { $exists: false } } },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ])
+            ]);
 
-            if (source === 'weather') {
+            res.json({
+                alert,
+                issues: issues.docs,
+                counts: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+                pagination: {
+                    total: issues.totalDocs,
+                    page: issues.page,
+                    limit: issues.limit,
+                    pages: issues.totalPages
+                }
+            });
+        } catch (error) {
+            console.error('Get alert issues error:', error);
+            res.status(500).json({ message: 'Server error while fetching alert issues' });
+        }
+    },
+
+    // Preview what the external feeds currently publish (nothing is stored)
+    // ?provider=<name> limits the preview to one provider; without configured providers the offline samples are used
+    fetchExternalAlerts: async (req, res) => {
+        try {
+            const { provider } = req.query;
+            const configured = configuredProviders();
+            const providers = (configured.length ? configured : createSampleProviders())
+                .filter(p => !provider || p.name === provider);
+
+            if (!providers.length) {
+                return res.status(404).json({ message: `Unknown alert provider "${provider}"` });
+            }
+
+            const results = await Promise.all(providers.map(async p => {
                 try {
-                    // This is a placeholder - in a real app, you would use an actual weather API
-                    // const apiKey = process.env.OPENWEATHER_API_KEY;
-                    // const response = await axios.get(`https://api.openweathermap.org/data/2.5/onecall?lat=${lat}&lon=${lng}&exclude=current,minutely,hourly,daily&appid=${apiKey}`);
-
-                    // Mock response for demo
-                    alerts = [
-                        {
-                            title: 'Heavy Rain Warning',
-                            description: 'Expected rainfall of 100-150mm in the next 24 hours. Take necessary precautions.',
-                            type: 'heavy-rain',
-                            severity: 'medium',
-                            source: 'Weather Service',
-                            startTime: new Date(),
-                            endTime: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours from now
-                        }
-                    ];
+                    return { provider: p.name, format: p.format, alerts: await p.fetch() };
                 } catch (error) {
-                    console.error('Weather API error:', error);
-                    alerts = []; // Empty if API fails
+                    return { provider: p.name, format: p.format, alerts: [], error: error.message };
                 }
-            } else if (source === 'disaster') {
-                // Mock disaster alerts
-                alerts = [
-                    {
-                        title: 'Flood Warning',
-                        description: 'River levels rising in low-lying areas. Stay vigilant and follow local authority instructions.',
-                        type: 'flood',
-                        severity: 'high',
-                        source: 'Disaster Management',
-                        startTime: new Date(),
-                        endTime: null
-                    }
-                ];
-            }
+            }));
 
-            res.json(alerts);
+            res.json(results);
         } catch (error) {
             console.error('Fetch external alerts error:', error);
             res.status(500).json({ message: 'Server error while fetching external alerts' });
         }
+    },
+
+    // Run feed ingestion now instead of waiting for the scheduler (government officials only)
+    // ?sample=true ingests the bundled offline feeds
+    ingestExternalAlerts: async (req, res) => {
+        try {
+            const providers = req.query.sample === 'true' ? createSampleProviders() : configuredProviders();
+            if (!providers.length) {
+                return res.status(400).json({ message: 'No alert providers configured (set ALERT_PROVIDERS or pass sample=true)' });
+            }
+
+            const summary = await ingestAlerts(providers, req.io);
+
+            res.json({
+                message: 'Alert feeds ingested',
+                summary
+            });
+        } catch (error) {
+            console.error('Ingest external alerts error:', error);
+            res.status(500).json({ message: 'Server error while ingesting external alerts' });
+        }
     }
 };
@@ -1,6 +1,12 @@
 const Issue = require('../models/Issue');
 const User = require('../models/User');
 const moment = require('moment');
+const { computeHotspots } = require('../utils/hotspots');
+const { boundaryFilter } = require('../utils/boundaries');
+const { routingAccuracy } = require('../utils/routing');
+const { OPEN_STATUSES } = require('../utils/issueStatusMachine');
+
+const clampInt = (value, fallback, min, max) => Math.min(Math.max(parseInt(value) || fallback, min), max);
 
 module.exports = {
     // Get overall statistics
@@ -274,14 +280,20 @@ module.exports = {
     // Get heatmap data
     getHeatmapData: async (req, res) => {
         try {
-            const { bounds, category, status, startDate, endDate } = req.query;
+            const { bounds, category, status, startDate, endDate, ward, zone } = req.query;
 
-            // Build query
-            const query = {};
+            // Build query; merged duplicates are left out so a cluster of reports counts once (with its votes)
+            const query = { mergedInto: { $exists: false }, ...boundaryFilter({ ward, zone }) };
 
             // Geographical bounds
             if (bounds) {
-                const { north, south, east, west } = JSON.parse(bounds);
+                let box;
+                try {
+                    box = JSON.parse(bounds);
+                } catch {
+                    return res.status(400).json({ message: 'bounds must be JSON: {"north","south","east","west"}' });
+                }
+                const { north, south, east, west } = box;
 
                 query['location.coordinates'] = {
                     $geoWithin: {
@@ -293,14 +305,13 @@ module.exports = {
                 };
             }
 
-            // Category filter
+            // Category / status filters (comma-separated for several values)
             if (category) {
-                query.category = category;
+                query.category = { $in: String(category).split(',') };
             }
 
-            // Status filter
             if (status) {
-                query.status = status;
+                query.status = { $in: String(status).split(',') };
             }
 
             // Date range filter
@@ -317,7 +328,7 @@ module.exports = {
             }
 
             // Execute query
-            const issues = await Issue.find(query).select('location category status priority votes');
+            const issues = await Issue.find(query).select('title location category status priority votes createdAt');
 
             // Format for heatmap
             const heatmapData = issues.map(issue => ({
@@ -325,6 +336,9 @@ module.exports = {
                 intensity: calculateIntensity(issue),
                 category: issue.category,
                 status: issue.status,
+                priority: issue.priority,
+                title: issue.title,
+                createdAt: issue.createdAt,
                 id: issue._id
             }));
 
@@ -353,6 +367,147 @@ module.exports = {
         }
     },
 
+    // Get geohash-cell hotspots: counts, open counts, resolution time, weekly trend and emerging flags
+    getHotspots: async (req, res) => {
+        try {
+            const { bounds, category, minWeekly, spikeRatio, ward, zone } = req.query;
+            const options = {
+                precision: clampInt(req.query.precision, 6, 3, 8),
+                weeks: clampInt(req.query.weeks, 8, 2, 52)
+            };
+            if (bounds) {
+                try {
+                    const box = JSON.parse(bounds);
+                    options.bounds = {
+                        north: parseFloat(box.north),
+                        south: parseFloat(box.south),
+                        east: parseFloat(box.east),
+                        west: parseFloat(box.west)
+                    };
+                } catch {
+                    return res.status(400).json({ message: 'bounds must be JSON: {"north","south","east","west"}' });
+                }
+            }
+            if (category) options.categories = String(category).split(',');
+            Object.assign(options, { ward, zone });
+            if (minWeekly) options.minWeekly = clampInt(minWeekly, 3, 1, 1000);
+            if (spikeRatio && parseFloat(spikeRatio) >= 1) options.spikeRatio = parseFloat(spikeRatio);
+
+            const result = await computeHotspots(options);
+            const limit = clampInt(req.query.limit, 200, 1, 1000);
+
+            res.json({
+                ...result,
+                cellCount: result.cells.length,
+                cells: result.cells.slice(0, limit)
+            });
+        } catch (error) {
+            console.error('Get hotspots error:', error);
+            res.status(500).json({ message: 'Server error while computing hotspots' });
+        }
+    },
+
+    // Per-ward breakdown of canonical issues: totals, open, resolved, average resolution time and top category
+    getWardStats: async (req, res) => {
+        try {
+            const { category, startDate, endDate, zone } = req.query;
+            const match = { mergedInto: { $exists: false }, ...boundaryFilter({ zone }) };
+            if (category) match.category = { $in: String(category).split(',') };
+            if (startDate || endDate) {
+                match.createdAt = {};
+                if (startDate) match.createdAt.$gte = new Date(startDate);
+                if (endDate) match.createdAt.$lte = new Date(endDate);
+            }
+
+            const wards = await Issue.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: { code: '$ward.code', category: '$category' },
+                        name: { $first: '$ward.name' },
+                        zone: { $first: '$zone.code' },
+                        total: { $sum: 1 },
+                        open: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+                        resolved: { $sum: { $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0] } },
+                        resolutionHours: {
+                            $push: {
+                                $cond: [
+                                    { $ifNull: ['$resolutionDetails.resolutionDate', false] },
+                                    { $divide: [{ $subtract: ['$resolutionDetails.resolutionDate', '$createdAt'] }, 1000 * 60 * 60] },
+                                    null // ignored by $avg below
+                                ]
+                            }
+                        }
+                    }
+                },
+                { $sort: { total: -1 } },
+                {
+                    $group: {
+                        _id: '$_id.code',
+                        name: { $first: '$name' },
+                        zone: { $first: '$zone' },
+                        total: { $sum: '$total' },
+                        open: { $sum: '$open' },
+                        resolved: { $sum: '$resolved' },
+                        resolutionHours: { $push: '$resolutionHours' },
+                        // Groups arrive sorted by size, so the first is the ward's most reported category
+                        topCategory: { $first: '$_id.category' }
+                    }
+                },
+                {
+                    $project: {
+                        code: '$_id',
+                        name: 1,
+                        zone: 1,
+                        total: 1,
+                        open: 1,
+                        resolved: 1,
+                        topCategory: 1,
+                        avgResolutionHours: {
+                            $avg: {
+                                $reduce: {
+                                    input: '$resolutionHours',
+                                    initialValue: [],
+                                    in: { $concatArrays: ['$$value', '$$this'] }
+                                }
+                            }
+                        }
+                    }
+                },
+                { $sort: { open: -1, total: -1 } }
+            ]);
+
+            res.json({
+                wards: wards.map(ward => ({
+                    code: ward.code || null,
+                    name: ward.name || (ward.code ? ward.code : 'Outside imported wards'),
+                    zone: ward.zone || null,
+                    total: ward.total,
+                    open: ward.open,
+                    resolved: ward.resolved,
+                    topCategory: ward.topCategory,
+                    avgResolutionHours: ward.avgResolutionHours != null
+                        ? parseFloat(ward.avgResolutionHours).toFixed(2)
+                        : 'N/A'
+                }))
+            });
+        } catch (error) {
+            console.error('Get ward stats error:', error);
+            res.status(500).json({ message: 'Server error while fetching ward statistics' });
+        }
+    },
+
+    // How often automatic routing picked the department officials kept, overall and per rule
+    getRoutingAccuracy: async (req, res) => {
+        try {
+            const { startDate, endDate } = req.query;
+            res.json(await routingAccuracy({ startDate, endDate }));
+        } catch (error) {
+            console.error('Get routing accuracy error:', error);
+            res.status(500).json({ message: 'Server error while fetching routing accuracy' });
+        }
+    },
+
     // Get department performance metrics
     getDepartmentMetrics: async (req, res) => {
         try {
@@ -368,6 +523,20 @@ module.exports = {
                         inProgress: {
                             $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] }
                         },
+                        // Citizen verification of resolutions (POST /api/issues/:id/verify): individual
+                        // accept / reject responses across all rounds, not issues
+                        verificationAccepts: {
+                            $sum: { $size: { $filter: {
+                                input: { $ifNull: ['$resolutionVerification.responses', []] },
+                                cond: { $eq: ['$$this.decision', 'accepted'] }
+                            } } }
+                        },
+                        verificationRejections: {
+                            $sum: { $size: { $filter: {
+                                input: { $ifNull: ['$resolutionVerification.responses', []] },
+                                cond: { $eq: ['$$this.decision', 'rejected'] }
+                            } } }
+                        },
                         avgResolutionTime: {
                             $avg: {
                                 $cond: [
@@ -398,6 +567,21 @@ module.exports = {
                                 { $multiply: [{ $divide: ['$resolved', '$total'] }, 100] }
                             ]
                         },
+                        verificationAccepts: 1,
+                        verificationRejections: 1,
+                        // Share of citizen responses that confirmed the fix
+                        verificationRate: {
+                            $cond: [
+                                { $eq: [{ $add: ['$verificationAccepts', '$verificationRejections'] }, 0] },
+                                0,
+                                {
+                                    $multiply: [
+                                        { $divide: ['$verificationAccepts', { $add: ['$verificationAccepts', '$verificationRejections'] }] },
+                                        100
+                                    ]
+                                }
+                            ]
+                        },
                         avgResolutionTime: 1
                     }
                 },
@@ -408,6 +592,7 @@ module.exports = {
                 departmentStats: departmentStats.map(dept => ({
                     ...dept,
                     resolutionRate: parseFloat(dept.resolutionRate).toFixed(2),
+                    verificationRate: parseFloat(dept.verificationRate).toFixed(2),
                     avgResolutionTime: dept.avgResolutionTime
                         ? parseFloat(dept.avgResolutionTime).toFixed(2)
                         : 'N/A'
@@ -419,6 +604,74 @@ module.exports = {
         }
     },
 
+    // Get SLA breach metrics per department (canonical issues only)
+    getSlaMetrics: async (req, res) => {
+        try {
+            const now = new Date();
+            const isOpen = { $in: ['$status', OPEN_STATUSES] };
+            const isBreachedOpen = { $and: [isOpen, { $eq: ['$sla.breached', true] }] };
+
+            const slaStats = await Issue.aggregate([
+                { $match: { mergedInto: { $exists: false } } },
+                {
+                    $group: {
+                        _id: { $ifNull: ['$assignedTo.department', 'Unassigned'] },
+                        total: { $sum: 1 },
+                        open: { $sum: { $cond: [isOpen, 1, 0] } },
+                        breachedOpen: { $sum: { $cond: [isBreachedOpen, 1, 0] } },
+                        everBreached: {
+                            $sum: { $cond: [{ $gt: [{ $ifNull: ['$sla.breachCount', 0] }, 0] }, 1, 0] }
+                        },
+                        avgOverdueHours: {
+                            $avg: {
+                                $cond: [
+                                    isBreachedOpen,
+                                    { $divide: [{ $subtract: [now, '$sla.dueAt'] }, 1000 * 60 * 60] },
+                                    null
+                                ]
+                            }
+                        }
+                    }
+                },
+                {
+                    $project: {
+                        department: '$_id',
+                        total: 1,
+                        open: 1,
+                        breachedOpen: 1,
+                        everBreached: 1,
+                        breachRate: {
+                            $cond: [
+                                { $eq: ['$total', 0] },
+                                0,
+                                { $multiply: [{ $divide: ['$everBreached', '$total'] }, 100] }
+                            ]
+                        },
+                        avgOverdueHours: 1
+                    }
+                },
+                { $sort: { breachedOpen: -1, breachRate: -1 } }
+            ]);
+
+            res.json({
+                slaStats: slaStats.map(dept => ({
+                    ...dept,
+                    breachRate: parseFloat(dept.breachRate).toFixed(2),
+                    avgOverdueHours: dept.avgOverdueHours
+                        ? parseFloat(dept.avgOverdueHours).toFixed(2)
+                        : 'N/A'
+                })),
+                totals: {
+                    open: slaStats.reduce((sum, dept) => sum + dept.open, 0),
+                    breachedOpen: slaStats.reduce((sum, dept) => sum + dept.breachedOpen, 0)
+                }
+            });
+        } catch (error) {
+            console.error('Get SLA metrics error:', error);
+            res.status(500).json({ message: 'Server error while fetching SLA metrics' });
+        }
+    },
+
     // Get user engagement metrics
     getUserEngagementMetrics: async (req, res) => {
         try {
@@ -565,14 +818,14 @@ function calculateIntensity(issue) {
     let intensity = priorityWeight[issue.priority] || 1;
 
     // Adjust based on votes (more votes = higher intensity)
-    intensity += Math.min(issue.votes / 5, 3);
+    intensity += Math.min((issue.votes || 0) / 5, 3);
 
-    // Adjust based on status (submitted and in-progress are more "hot" than resolved)
-    if (issue.status === 'submitted') {
+    // Adjust based on status (untouched and in-progress issues are more "hot" than resolved ones)
+    if (issue.status === 'pending' || issue.status === 'acknowledged') {
         intensity += 1;
-    } else if (issue.status === 'in-progress') {
+    } else if (issue.status === 'assigned' || issue.status === 'in-progress') {
         intensity += 0.5;
-    } else if (issue.status === 'resolved') {
+    } else if (issue.status === 'resolved' || issue.status === 'closed' || issue.status === 'rejected') {
         intensity -= 1;
     }
 
@@ -14,6 +14,17 @@ const isGovernmentEmail = (email) => {
   return allow.includes(e) || e.endsWith(`@${domain}`);
 };
 
+const MAX_SAVED_PLACES = 5;
+
+// Helper: { latitude, longitude } -> GeoJSON point, or null when missing/out of range
+const toPoint = (place) => {
+  const latitude = parseFloat(place?.latitude);
+  const longitude = parseFloat(place?.longitude);
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
 // Helper: JWT
 const generateToken = (user) => {
   const secret = process.env.JWT_SECRET || 'dev-insecure-secret-change-me';
@@ -155,7 +166,7 @@ module.exports = {
   // Update user profile
   updateProfile: async (req, res) => {
     try {
-      const { name, location, preferredLanguage, darkMode } = req.body;
+      const { name, location, preferredLanguage, darkMode, homeLocation, savedPlaces } = req.body;
 
       // Find user and update profile
       const user = await User.findById(req.user.id);
@@ -170,6 +181,25 @@ module.exports = {
       if (preferredLanguage) user.preferredLanguage = preferredLanguage;
       if (darkMode !== undefined) user.darkMode = darkMode;
 
+      // Places used for alert targeting: null clears the home location, savedPlaces replaces the list
+      if (homeLocation === null) {
+        user.homeLocation = undefined;
+      } else if (homeLocation !== undefined) {
+        const point = toPoint(homeLocation);
+        if (!point) return res.status(400).json({ message: 'Home location needs a valid latitude and longitude' });
+        user.homeLocation = { ...point, address: homeLocation.address };
+      }
+      if (savedPlaces !== undefined) {
+        if (!Array.isArray(savedPlaces) || savedPlaces.length > MAX_SAVED_PLACES) {
+          return res.status(400).json({ message: `Up to ${MAX_SAVED_PLACES} saved places are allowed` });
+        }
+        const places = savedPlaces.map(place => ({ label: place.label, location: toPoint(place), address: place.address }));
+        if (places.some(place => !place.location)) {
+          return res.status(400).json({ message: 'Every saved place needs a valid latitude and longitude' });
+        }
+        user.savedPlaces = places;
+      }
+
       // If profile picture was uploaded
       if (req.file) {
         user.profilePicture = `/uploads/images/${req.file.filename}`;
@@ -0,0 +1,124 @@
+const Boundary = require('../models/Boundary');
+const Issue = require('../models/Issue');
+const { importBoundaries, backfillIssueBoundaries } = require('../utils/boundaries');
+const { OPEN_STATUSES } = require('../utils/issueStatusMachine');
+
+module.exports = {
+    // List boundaries (without geometry unless ?geometry=true) with canonical issue counts per boundary
+    getBoundaries: async (req, res) => {
+        try {
+            const { level, geometry } = req.query;
+            const query = level ? { level } : {};
+            const boundaries = await Boundary.find(query)
+                .select(geometry === 'true' ? '-properties' : '-geometry -properties')
+                .sort({ level: 1, name: 1 })
+                .lean();
+
+            const counts = await Issue.aggregate([
+                { $match: { mergedInto: { $exists: false }, 'ward.boundary': { $exists: true } } },
+                {
+                    $group: {
+                        _id: '$ward.boundary',
+                        total: { $sum: 1 },
+                        open: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } }
+                    }
+                }
+            ]);
+            const byId = new Map(counts.map(c => [c._id.toString(), c]));
+
+            res.json({
+                boundaries: boundaries.map(b => ({
+                    ...b,
+                    issues: b.level === 'ward'
+                        ? { total: byId.get(b._id.toString())?.total || 0, open: byId.get(b._id.toString())?.open || 0 }
+                        : undefined
+                })),
+                untaggedIssues: await Issue.countDocuments({ mergedInto: { $exists: false }, 'ward.boundary': { $exists: false } })
+            });
+        } catch (error) {
+            console.error('Get boundaries error:', error);
+            res.status(500).json({ message: 'Server error while fetching boundaries' });
+        }
+    },
+
+    // Single boundary with its geometry
+    getBoundary: async (req, res) => {
+        try {
+            const boundary = await Boundary.findById(req.params.id).populate('importedBy', 'name');
+            if (!boundary) {
+                return res.status(404).json({ message: 'Boundary not found' });
+            }
+            res.json(boundary);
+        } catch (error) {
+            console.error('Get boundary error:', error);
+            res.status(500).json({ message: 'Server error while fetching boundary' });
+        }
+    },
+
+    // Import a GeoJSON FeatureCollection (multipart "file" or JSON "geojson"), then re-tag the issues whose
+    // boundary changed (existing tags stay in place while this runs)
+    importBoundaries: async (req, res) => {
+        const geojson = req.file ? req.file.buffer.toString('utf8') : req.body.geojson;
+        if (!geojson) {
+            return res.status(400).json({ message: 'Upload a GeoJSON file (field "file") or send "geojson" in the body' });
+        }
+        let summary;
+        try {
+            summary = await importBoundaries(geojson, {
+                level: req.body.level || 'ward',
+                nameProperty: req.body.nameProperty || undefined,
+                codeProperty: req.body.codeProperty || undefined,
+                parentProperty: req.body.parentProperty || undefined,
+                city: req.body.city || undefined,
+                replace: req.body.replace === true || req.body.replace === 'true',
+                userId: req.user.id
+            });
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        try {
+            const backfill = summary.created || summary.updated || summary.removed
+                ? await backfillIssueBoundaries()
+                : null;
+            res.status(summary.created ? 201 : 200).json({
+                message: `Imported ${summary.created + summary.updated} ${summary.level} boundaries`,
+                import: summary,
+                backfill
+            });
+        } catch (error) {
+            console.error('Boundary backfill error:', error);
+            res.status(500).json({ message: 'Boundaries imported but re-tagging issues failed', import: summary });
+        }
+    },
+
+    // Re-tag existing issues (onlyMissing=true only tags issues without a ward/zone yet)
+    backfill: async (req, res) => {
+        try {
+            const backfill = await backfillIssueBoundaries({
+                onlyMissing: req.body?.onlyMissing === true || req.body?.onlyMissing === 'true'
+            });
+            res.json({ message: 'Issues re-tagged with their boundaries', backfill });
+        } catch (error) {
+            console.error('Boundary backfill error:', error);
+            res.status(500).json({ message: 'Server error while re-tagging issues' });
+        }
+    },
+
+    // Delete a boundary and clear it from the issues tagged with it
+    deleteBoundary: async (req, res) => {
+        try {
+            const boundary = await Boundary.findByIdAndDelete(req.params.id);
+            if (!boundary) {
+                return res.status(404).json({ message: 'Boundary not found' });
+            }
+            const result = await Issue.updateMany(
+                { [`${boundary.level}.boundary`]: boundary._id },
+                { $unset: { [boundary.level]: 1 } }
+            );
+            res.json({ message: 'Boundary deleted', untagged: result.modifiedCount });
+        } catch (error) {
+            console.error('Delete boundary error:', error);
+            res.status(500).json({ message: 'Server error while deleting boundary' });
+        }
+    }
+};
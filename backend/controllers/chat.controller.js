@@ -1,6 +1,7 @@
 const Issue = require('../models/Issue');
 const IssueChatMessage = require('../models/IssueChatMessage');
 const { log, warn, error } = require('../utils/logger');
+const { emitIssueEvent } = require('../utils/socketRooms');
 
 class ChatController {
   // GET /api/issues/:id/chat?page=&limit=
@@ -52,14 +53,14 @@ class ChatController {
       if (!message || !message.trim()) {
         return res.status(400).json({ success: false, error: 'Message required' });
       }
-  let issue = await Issue.findById(id).select('_id reportedBy mergedInto reporters');
+  let issue = await Issue.findById(id).select('_id reportedBy mergedInto reporters assignedTo');
       if (!issue) {
         warn('[chat.postMessage] issue not found id=', id);
         return res.status(404).json({ success: false, error: 'Issue not found' });
       }
         if (issue.mergedInto) {
           log('[chat.postMessage] redirected to canonical', issue.mergedInto.toString());
-          issue = await Issue.findById(issue.mergedInto).select('_id reportedBy reporters');
+          issue = await Issue.findById(issue.mergedInto).select('_id reportedBy reporters assignedTo');
         }
 
       // Basic permission: reporter, any voter, or government user can chat
@@ -79,12 +80,13 @@ class ChatController {
       });
       await chatMessage.populate('author', 'name role');
 
-      // Emit real-time event
+      // Emit real-time event to the issue room + consenting participants only
       log('[chat.postMessage] message persisted id=', chatMessage._id.toString());
-      req.io?.emit('issueChatMessage', {
+      emitIssueEvent(req.io, issue, 'issueChatMessage', {
         issueId: id,
+        canonicalId: issue._id,
         message: chatMessage
-      });
+      }, { chat: true });
 
       res.status(201).json({ success: true, data: chatMessage });
     } catch (e) {
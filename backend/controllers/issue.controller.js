@@ -2,9 +2,34 @@ const Issue = require('../models/Issue');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const { computePriority } = require('../utils/priority');
+const { computeSlaDueAt, refreshSla, OPEN_STATUSES } = require('../utils/slaEngine');
+const { checkTransition, listTransitions } = require('../utils/issueStatusMachine');
+const { suggestCategories, estimatePriority, extractEntities } = require('../utils/issueCategorization');
 const { uploadBuffer } = require('../config/cloudinary');
+const { notifyIssueEvent } = require('../utils/issueNotifications');
+const { tagIssueWithAlert } = require('../utils/alertIssues');
+const { tagIssueWithBoundaries, boundaryFilter } = require('../utils/boundaries');
+const { mergeIssues, unmergeIssue, mergeAddedVoterIds, splitMergedVotes } = require('../utils/issueMerge');
+const { routeIssue, recordRoutingOverride } = require('../utils/routing');
+const { emitIssueEvent, GOVERNMENT_ROOM } = require('../utils/socketRooms');
 const { log, warn, error } = require('../utils/logger');
 
+// Bounds for the public nearby-issues map feed
+const NEARBY_MAX_RADIUS_METERS = 20000;
+const NEARBY_MAX_RESULTS = 500;
+
+// Populates for GET /api/issues/:id, which needs no login
+const ISSUE_DETAIL_POPULATE = [
+    { path: 'reportedBy', select: 'name role' },
+    { path: 'assignedTo.official', select: 'name department' },
+    { path: 'resolutionDetails.resolvedBy', select: 'name' },
+    { path: 'statusHistory.updatedBy', select: 'name role' },
+    { path: 'duplicates', select: 'title reportedBy createdAt' },
+    { path: 'reporters.user', select: 'name role' },
+    { path: 'priorityOverride.setBy', select: 'name department' },
+    { path: 'priorityHistory.changedBy', select: 'name department' }
+];
+
 class IssueController {
     // Get all issues with comprehensive filtering and pagination
     async getAllIssues(req, res) {
@@ -26,7 +51,9 @@ class IssueController {
                 sortOrder = 'desc',
                 search,
                 dateFrom,
-                dateTo
+                dateTo,
+                ward,
+                zone
             } = req.query;
 
             // Build filter object
@@ -37,6 +64,7 @@ class IssueController {
             if (priority) filter.priority = priority;
             if (assignedTo) filter['assignedTo.official'] = assignedTo;
             if (reportedBy) filter.reportedBy = reportedBy;
+            Object.assign(filter, boundaryFilter({ ward, zone }));
 
             // Date range filter
             if (dateFrom || dateTo) {
@@ -79,7 +107,8 @@ class IssueController {
                     { path: 'reportedBy', select: 'name email phone role' },
                     { path: 'assignedTo.official', select: 'name email department' },
                     { path: 'resolutionDetails.resolvedBy', select: 'name email' },
-                    { path: 'statusHistory.updatedBy', select: 'name email' }
+                    { path: 'statusHistory.updatedBy', select: 'name email' },
+                    { path: 'priorityOverride.setBy', select: 'name department' }
                 ]
             };
 
@@ -110,7 +139,8 @@ class IssueController {
                 warn('[GOV getAllIssues][DEBUG] proximity scan failed', dbgErr.message);
             }
 
-            // Enrich with reporters count and duplicates count
+            // Enrich with reporters count, duplicates count and the statuses the issue can move to next
+            // (same as GET /:id/transitions, so list views need no request per row)
             const enriched = issues.docs.map(doc => {
                 const reportersArr = doc.reporters || [];
                 const consenting = reportersArr.filter(r => r.consent === true).length;
@@ -119,7 +149,8 @@ class IssueController {
                     reportersCount: reportersArr.length,
                     consentingReportersCount: consenting,
                     duplicatesCount: (doc.duplicates || []).length,
-                    thumbnailImage: doc.thumbnailImage || (doc.images?.[0] || null)
+                    thumbnailImage: doc.thumbnailImage || (doc.images?.[0] || null),
+                    allowedTransitions: listTransitions(doc)
                 };
             });
 
@@ -178,17 +209,16 @@ class IssueController {
                         // Merge newer (B) into older (A)
                         const canonical = A.createdAt <= B.createdAt ? A : B;
                         const duplicate = canonical === A ? B : A;
-                        canonical.duplicates = canonical.duplicates || [];
-                        canonical.reporters = canonical.reporters || [];
-                        if (!canonical.reporters.some(r => r.toString() === duplicate.reportedBy.toString())) {
-                            canonical.reporters.push(duplicate.reportedBy);
+                        try {
+                            await mergeIssues(canonical._id, duplicate._id, { io: req.io });
+                        } catch (e) {
+                            warn('[retroactiveCluster] merge failed', duplicate._id.toString(), 'into', canonical._id.toString(), e.message);
+                            continue;
                         }
-                        canonical.duplicates.push(duplicate._id);
                         duplicate.mergedInto = canonical._id;
-                        await duplicate.save();
-                        await canonical.save();
                         mergeOps++;
                         console.log('[retroactiveCluster] merged', duplicate._id.toString(), 'into', canonical._id.toString(), 'dist(m)=', Math.round(dist));
+                        if (A.mergedInto) break;
                     }
                 }
             }
@@ -199,6 +229,43 @@ class IssueController {
         }
     }
 
+    // Split a wrongly merged duplicate back out into an independent issue (government only)
+    async unmergeIssue(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, errors: errors.array() });
+            }
+            const { canonical, issue, removedReporters, removedVotes } = await unmergeIssue(req.params.id, {
+                actorId: req.user.id,
+                reason: req.body.reason,
+                io: req.io
+            });
+            res.json({
+                success: true,
+                message: 'Issue split from its canonical issue',
+                data: {
+                    issue,
+                    canonicalId: canonical?._id || null,
+                    canonicalPriority: canonical?.priority || null,
+                    canonicalVotes: canonical?.votes ?? null,
+                    removedReporters,
+                    removedVotes
+                }
+            });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ success: false, error: error.message });
+            }
+            console.error('Error unmerging issue:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to unmerge issue',
+                message: error.message
+            });
+        }
+    }
+
     // Record reporter consent for merged-in participation and chat access
     async recordConsent(req, res) {
         try {
@@ -293,7 +360,7 @@ class IssueController {
             }
             console.log('[getAllIssuesFull] user:', req.user.id, 'role:', req.user.role, 'time:', new Date().toISOString());
             log('[GOV getAllIssuesFull] fetching canonical issues only');
-            const issues = await Issue.find({ mergedInto: { $exists: false } })
+            const issues = await Issue.find({ mergedInto: { $exists: false }, ...boundaryFilter(req.query) })
                 .sort({ createdAt: -1 })
                 .populate('reportedBy', 'name email role')
                 .lean();
@@ -310,6 +377,7 @@ class IssueController {
                 status: doc.status,
                 reporter: doc.reportedBy ? { id: doc.reportedBy._id, name: doc.reportedBy.name } : null,
                 location: doc.location ? { address: doc.location.address } : null,
+                ward: doc.ward?.code ? { code: doc.ward.code, name: doc.ward.name } : null,
                 date: doc.createdAt,
                 votes: doc.votes || 0,
                 reportersCount: (doc.reporters || []).length,
@@ -325,6 +393,52 @@ class IssueController {
         }
     }
 
+    // Open canonical issues currently in SLA breach (government only), most overdue first
+    async getSlaBreaches(req, res) {
+        try {
+            const { department, status, page = 1, limit = 20 } = req.query;
+            const filter = {
+                mergedInto: { $exists: false },
+                status: { $in: OPEN_STATUSES },
+                'sla.breached': true
+            };
+            if (department) filter['assignedTo.department'] = department;
+            if (status) filter.status = status;
+
+            const issues = await Issue.paginate(filter, {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                sort: { 'sla.dueAt': 1 },
+                populate: [
+                    { path: 'reportedBy', select: 'name email' },
+                    { path: 'assignedTo.official', select: 'name email department' }
+                ],
+                lean: true
+            });
+
+            const now = Date.now();
+            const data = issues.docs.map(doc => ({
+                ...doc,
+                overdueHours: doc.sla?.dueAt ? Math.round((now - new Date(doc.sla.dueAt)) / (1000 * 60 * 60)) : null
+            }));
+            log('[GOV getSlaBreaches] department=', department || 'all', 'count=', issues.totalDocs);
+
+            res.json({
+                success: true,
+                data,
+                pagination: {
+                    totalCount: issues.totalDocs,
+                    currentPage: issues.page,
+                    totalPages: issues.totalPages,
+                    limit: issues.limit
+                }
+            });
+        } catch (e) {
+            error('Error fetching SLA breaches:', e);
+            res.status(500).json({ success: false, error: 'Failed to fetch SLA breaches', message: e.message });
+        }
+    }
+
     // Create new issue
     async createIssue(req, res) {
         try {
@@ -467,6 +581,10 @@ class IssueController {
             // Calculate estimated resolution time based on category and priority (standalone helper to avoid lost `this` context)
             const estimatedTime = calculateEstimatedResolutionTime(category, priority);
 
+            // Record what the keyword categorizer would have picked (does not override the citizen's choice)
+            const categorySuggestion = buildCategorySuggestion(title, description, category);
+            log('[CTRL createIssue] Category suggestion:', categorySuggestion);
+
             let issue = new Issue({
                 title,
                 description,
@@ -485,6 +603,7 @@ class IssueController {
                 priority,
                 // reporters array now handled by pre-save hook (adds creator with consent true)
                 estimatedResolutionTime: estimatedTime,
+                categorySuggestion,
                 statusHistory: [{
                     status: 'pending',
                     comment: 'Issue reported by citizen',
@@ -496,6 +615,21 @@ class IssueController {
                     timestamp: new Date()
                 }]
             });
+            issue.sla = { dueAt: computeSlaDueAt(issue) };
+
+            // Group reports made inside an active alert's area under that alert
+            try {
+                await tagIssueWithAlert(issue);
+            } catch (e) {
+                warn('[CTRL createIssue] Alert tagging failed:', e.message);
+            }
+
+            // Ward / zone by point-in-polygon against the imported boundaries
+            try {
+                await tagIssueWithBoundaries(issue);
+            } catch (e) {
+                warn('[CTRL createIssue] Ward tagging failed:', e.message);
+            }
 
             try {
                 await issue.save();
@@ -566,87 +700,17 @@ class IssueController {
 
                 if (nearbyCanonical) {
                     log('[CTRL createIssue] MERGE: Found canonical issue', nearbyCanonical._id.toString(), 'for new issue', issue._id.toString());
-                    // Update canonical reporters & duplicates (reporters now objects)
-                    nearbyCanonical.reporters = nearbyCanonical.reporters || [];
-                    const alreadyReporter = nearbyCanonical.reporters.some(r => r.user?.toString() === reporterId);
-                    if (!alreadyReporter) {
-                        nearbyCanonical.reporters.push({ user: reporterId, consent: null, joinedAt: new Date() });
-                        // Auto-increment votes to reflect crowd interest if not already voted
-                        if (!nearbyCanonical.voters.some(v => v.toString() === reporterId)) {
-                            nearbyCanonical.voters.push(reporterId);
-                            nearbyCanonical.votes += 1;
-                        }
-                    }
-                    nearbyCanonical.duplicates = nearbyCanonical.duplicates || [];
-                    nearbyCanonical.duplicates.push(issue._id);
-                    await nearbyCanonical.save();
-
-                    // Mark new issue as merged
-                    issue.mergedInto = nearbyCanonical._id;
-                    // Inherit thumbnail if canonical lacks one and new issue has images
-                    if (!nearbyCanonical.thumbnailImage && images.length) {
-                        nearbyCanonical.thumbnailImage = images[0];
-                        await nearbyCanonical.save();
-                    }
-                    await issue.save();
-                        log('[CTRL createIssue] MERGE: New issue marked duplicate of', nearbyCanonical._id.toString());
-
-                    // Recompute priority on canonical after adding reporter (vote logic separate)
-                    try {
-                        const result = await computePriority(nearbyCanonical);
-                        nearbyCanonical.priority = result.priority;
-                        nearbyCanonical.priorityReasons = result.reasons;
-                        await nearbyCanonical.save();
-                        log('[CTRL createIssue] MERGE: Canonical priority recomputed', result);
-                    } catch (e) {
-                        warn('[CTRL createIssue] MERGE: priority recompute failed', e.message);
-                    }
-
-                    // Emit consent request ONLY to the new reporter (targeted)
-                    try {
-                        const roomId = reporterId.toString();
-                        let room = req.io?.sockets?.adapter?.rooms?.get(roomId);
-                        log('[CTRL createIssue] MERGE: consent emit targeting room', roomId, 'currentSize=', room ? room.size : 0);
-                        if (!room || room.size === 0) {
-                            // Fallback: scan all sockets for matching handshake userId
-                            for (const [sid, sock] of req.io.sockets.sockets) {
-                                if (sock.handshake?.auth?.userId === roomId || sock.handshake?.query?.userId === roomId) {
-                                    log('[CTRL createIssue] MERGE: Fallback direct emit via socketId', sid);
-                                    sock.emit('issueConsentRequest', {
-                                        issueId: nearbyCanonical._id,
-                                        canonical: true,
-                                        message: 'Do you want to join the discussion group for this existing issue?',
-                                        thumbnail: nearbyCanonical.thumbnailImage || (nearbyCanonical.images?.[0] || null)
-                                    });
-                                    room = req.io?.sockets?.adapter?.rooms?.get(roomId);
-                                    break;
-                                }
-                            }
-                        }
-                        req.io?.to(roomId).emit('issueConsentRequest', {
-                            issueId: nearbyCanonical._id,
-                            canonical: true,
-                            message: 'Do you want to join the discussion group for this existing issue?',
-                            thumbnail: nearbyCanonical.thumbnailImage || (nearbyCanonical.images?.[0] || null)
-                        });
-                        log('[CTRL createIssue] MERGE: Emitted issueConsentRequest to userId', reporterId);
-                    } catch (e) {
-                        warn('[CTRL createIssue] MERGE: consent request emit failed', e.message);
-                    }
-
-                    // Emit socket event for merged issue and canonical update
-                    req.io?.emit('issueMerged', {
-                        canonicalId: nearbyCanonical._id,
-                        duplicateId: issue._id,
-                        reporters: nearbyCanonical.reporters
-                    });
+                    // Reporters, votes, thumbnail, priority and consent requests are handled by the merge service
+                    const { canonical } = await mergeIssues(nearbyCanonical._id, issue._id, { io: req.io });
+                    issue.mergedInto = canonical._id;
+                    log('[CTRL createIssue] MERGE: New issue marked duplicate of', canonical._id.toString());
 
                     // Respond referencing canonical
                     return res.status(201).json({
                         success: true,
                         message: 'Issue reported and merged with existing similar issue',
                         data: {
-                            canonicalIssueId: nearbyCanonical._id,
+                            canonicalIssueId: canonical._id,
                             duplicateIssueId: issue._id
                         }
                     });
@@ -657,8 +721,25 @@ class IssueController {
                 warn('[CTRL createIssue] MERGE: merge logic error', mergeErr.message);
             }
 
-            // Emit real-time notification
-            req.io?.emit('newIssue', {
+            // Auto-assign canonical issues through the routing table (category / ward / pincode)
+            try {
+                const rule = await routeIssue(issue);
+                if (rule) {
+                    refreshSla(issue);
+                    await issue.save();
+                    if (rule.official) {
+                        await notifyIssueEvent(req.io, issue, 'assigned', {
+                            recipients: [rule.official],
+                            message: `"${issue.title}" was assigned to you by routing rule "${rule.name}"`
+                        });
+                    }
+                }
+            } catch (e) {
+                warn('[CTRL createIssue] Routing failed:', e.message);
+            }
+
+            // Emit real-time notification (officials only; citizens learn about issues they follow)
+            req.io?.to(GOVERNMENT_ROOM).emit('newIssue', {
                 issue: issue,
                 message: `New issue reported: ${title}`
             });
@@ -679,6 +760,10 @@ class IssueController {
                 console.error('[CTRL createIssue] Auto priority computation failed:', e.message);
             }
 
+            await notifyIssueEvent(req.io, issue, 'submitted', {
+                message: `Your issue "${issue.title}" has been successfully reported and is under review`
+            });
+
             const responsePayload = {
                 success: true,
                 message: 'Issue reported successfully',
@@ -696,14 +781,88 @@ class IssueController {
         }
     }
 
-    // Get single issue by ID
+    // Suggest categories from title/description (used by the report form before submission)
+    async suggestCategory(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, errors: errors.array() });
+            }
+            const { title = '', description = '' } = req.body;
+            const suggestions = suggestCategories({ title, description });
+            const estimatedPriority = estimatePriority(`${title} ${description}`);
+            log('[suggestCategory] user=', req.user?.id, 'top=', suggestions[0]?.category || 'Other');
+            res.json({
+                success: true,
+                data: {
+                    category: suggestions[0]?.category || 'Other',
+                    suggestions,
+                    estimatedPriority,
+                    entities: extractEntities(description)
+                }
+            });
+        } catch (e) {
+            error('[suggestCategory] error', e);
+            res.status(500).json({ success: false, error: 'Failed to suggest category', message: e.message });
+        }
+    }
+
+    // Public map feed: canonical issues around a point, nearest first, without reporter details
+    async getNearbyIssues(req, res) {
+        try {
+            const { lat, lng, radius = 3000, category, status, limit = 200 } = req.query;
+            const latitude = parseFloat(lat);
+            const longitude = parseFloat(lng);
+            if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+                return res.status(400).json({ success: false, error: 'Valid lat and lng query parameters are required' });
+            }
+            const maxDistance = Math.min(Math.max(parseInt(radius) || 3000, 100), NEARBY_MAX_RADIUS_METERS);
+            const filter = {
+                mergedInto: { $exists: false },
+                // Rejected reports stay off the public map
+                status: { $ne: 'rejected' },
+                'location.coordinates': {
+                    $near: {
+                        $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+                        $maxDistance: maxDistance
+                    }
+                }
+            };
+            if (category) filter.category = { $in: String(category).split(',') };
+            if (status) filter.status = { $in: String(status).split(',').filter(s => s !== 'rejected') };
+
+            const issues = await Issue.find(filter)
+                .select('title category status priority votes location.coordinates location.address thumbnailImage images createdAt')
+                .limit(Math.min(parseInt(limit) || 200, NEARBY_MAX_RESULTS))
+                .lean();
+
+            res.json({
+                success: true,
+                data: issues.map(doc => ({
+                    id: doc._id,
+                    title: doc.title,
+                    category: doc.category,
+                    status: doc.status,
+                    priority: doc.priority,
+                    votes: doc.votes || 0,
+                    latitude: doc.location.coordinates[1],
+                    longitude: doc.location.coordinates[0],
+                    address: doc.location.address,
+                    thumbnailImage: doc.thumbnailImage || (doc.images?.[0] || null),
+                    createdAt: doc.createdAt
+                })),
+                radius: maxDistance
+            });
+        } catch (e) {
+            error('Error fetching nearby issues:', e);
+            res.status(500).json({ success: false, error: 'Failed to fetch nearby issues', message: e.message });
+        }
+    }
+
+    // Get single issue by ID (public route: people are populated with names only, never contact details)
     async getIssueById(req, res) {
         try {
-            let issue = await Issue.findById(req.params.id)
-                .populate('reportedBy', 'name email phone role')
-                .populate('assignedTo.official', 'name email department')
-                .populate('resolutionDetails.resolvedBy', 'name email')
-                .populate('statusHistory.updatedBy', 'name email role');
+            let issue = await Issue.findById(req.params.id).populate(ISSUE_DETAIL_POPULATE);
 
             if (!issue) {
                 return res.status(404).json({
@@ -715,17 +874,7 @@ class IssueController {
             let canonical = issue;
             if (issue.mergedInto) {
                 log('[getIssueById] Requested duplicate issue', issue._id.toString(), 'redirecting to canonical', issue.mergedInto.toString());
-                canonical = await Issue.findById(issue.mergedInto)
-                    .populate('reportedBy', 'name email phone role')
-                    .populate('assignedTo.official', 'name email department')
-                    .populate('resolutionDetails.resolvedBy', 'name email')
-                    .populate('statusHistory.updatedBy', 'name email role')
-                    .populate('duplicates', 'title reportedBy createdAt')
-                    .populate('reporters.user', 'name email role');
-            } else {
-                canonical = await Issue.findById(issue._id)
-                    .populate('duplicates', 'title reportedBy createdAt')
-                    .populate('reporters.user', 'name email role');
+                canonical = await Issue.findById(issue.mergedInto).populate(ISSUE_DETAIL_POPULATE);
             }
 
             // Mark notifications as read if viewed by the issue reporter
@@ -779,6 +928,15 @@ class IssueController {
                 });
             }
 
+            const violation = checkTransition(issue, 'assigned', { department });
+            if (violation) {
+                warn('[assignIssue] rejected transition issue=', issue._id.toString(), issue.status, '-> assigned', violation.code);
+                return res.status(409).json({ success: false, ...violation });
+            }
+
+            // Reassigning an auto-routed issue counts against its routing rule
+            recordRoutingOverride(issue, { department, officialId, userId: req.user.id });
+
             // Update assignment
             issue.assignedTo = {
                 department,
@@ -793,6 +951,7 @@ class IssueController {
                 comment: comment || `Issue assigned to ${department} department${officialId ? ' and specific official' : ''}`,
                 timestamp: new Date()
             });
+            refreshSla(issue);
 
             // Add notification
             issue.notifications.push({
@@ -807,8 +966,13 @@ class IssueController {
                 { path: 'assignedTo.official', select: 'name email department' }
             ]);
 
+            await notifyIssueEvent(req.io, issue, 'assigned', {
+                actorId: req.user.id,
+                message: `"${issue.title}" has been assigned to the ${department} department`
+            });
+
             // Emit real-time notification
-            req.io?.emit('issueAssigned', {
+            emitIssueEvent(req.io, issue, 'issueAssigned', {
                 issueId: issue._id,
                 userId: issue.reportedBy._id,
                 message: `Issue assigned to ${department} department`
@@ -829,11 +993,189 @@ class IssueController {
         }
     }
 
+    // Manually set (and lock) an issue's priority, or unlock it so it is recomputed automatically (government)
+    async setIssuePriority(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, errors: errors.array() });
+            }
+            const { priority, justification } = req.body;
+            const lock = req.body.lock !== false && req.body.lock !== 'false';
+
+            const issue = await Issue.findById(req.params.id);
+            if (!issue) {
+                return res.status(404).json({ success: false, error: 'Issue not found' });
+            }
+            if (issue.mergedInto) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Priority is managed on the canonical issue',
+                    canonicalId: issue.mergedInto
+                });
+            }
+
+            const oldPriority = issue.priority;
+            if (lock) {
+                issue.priority = priority;
+                issue.priorityAuto = false;
+                issue.priorityReasons = ['manual'];
+                issue.priorityOverride = { setBy: req.user.id, setAt: new Date(), justification };
+            } else {
+                // Unlock and let the rules decide again right away
+                issue.priorityAuto = true;
+                issue.priorityOverride = undefined;
+                const result = await computePriority(issue);
+                issue.priority = result.priority;
+                issue.priorityReasons = result.reasons;
+            }
+            issue.priorityHistory.push({
+                from: oldPriority,
+                to: issue.priority,
+                locked: lock,
+                justification,
+                changedBy: req.user.id
+            });
+            await issue.save();
+            await issue.populate([
+                { path: 'priorityOverride.setBy', select: 'name department' },
+                { path: 'priorityHistory.changedBy', select: 'name department' }
+            ]);
+            log('[setIssuePriority] issue=', issue._id.toString(), 'by=', req.user.id, oldPriority, '->', issue.priority, 'locked=', lock);
+
+            if (oldPriority !== issue.priority) {
+                emitIssueEvent(req.io, issue, 'issuePriorityUpdated', {
+                    issueId: issue._id,
+                    oldPriority,
+                    newPriority: issue.priority,
+                    reasons: issue.priorityReasons,
+                    priorityAuto: issue.priorityAuto,
+                    setBy: lock ? req.user.name : null
+                });
+            }
+
+            res.json({
+                success: true,
+                message: lock ? 'Priority set and locked' : 'Priority unlocked and recomputed',
+                data: issue
+            });
+        } catch (error) {
+            console.error('Error setting issue priority:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to set issue priority',
+                message: error.message
+            });
+        }
+    }
+
+    // Upload "after" photos proving the fix (government); the citizen's original images are the "before" side
+    async addResolutionProof(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, errors: errors.array() });
+            }
+            const { id } = req.params;
+            const { description } = req.body;
+
+            let issue = await Issue.findById(id);
+            if (!issue) return res.status(404).json({ success: false, error: 'Issue not found' });
+            if (issue.mergedInto) {
+                log('[addResolutionProof] Redirecting duplicate', issue._id.toString(), 'to canonical', issue.mergedInto.toString());
+                issue = await Issue.findById(issue.mergedInto);
+                if (!issue) return res.status(404).json({ success: false, error: 'Canonical issue not found' });
+            }
+            if (!['in-progress', 'resolved'].includes(issue.status)) {
+                return res.status(409).json({ success: false, error: `Resolution proof can only be added to in-progress or resolved issues (current status: ${issue.status})` });
+            }
+            if (!req.files?.length) {
+                return res.status(400).json({ success: false, error: 'At least one image is required' });
+            }
+
+            const uploaded = await Promise.all(req.files.map(async (file, idx) => {
+                const label = file.originalname || `proof-${idx}`;
+                try {
+                    const result = await uploadBuffer(file.buffer, 'resolutions', label, file.mimetype);
+                    return result.secure_url;
+                } catch (e) {
+                    error(`[addResolutionProof] [Upload->Cloudinary] FAIL name=${label} err=${e.message}`);
+                    return null;
+                }
+            }));
+            const images = uploaded.filter(Boolean);
+            if (!images.length) {
+                return res.status(502).json({ success: false, error: 'Image upload failed, please try again' });
+            }
+
+            if (!issue.resolutionDetails) issue.resolutionDetails = {};
+            issue.resolutionDetails.resolutionImages = [...(issue.resolutionDetails.resolutionImages || []), ...images];
+            if (description) issue.resolutionDetails.resolutionDescription = description;
+            issue.statusHistory.push({
+                status: issue.status,
+                updatedBy: req.user.id,
+                comment: `Resolution proof added (${images.length} image${images.length > 1 ? 's' : ''})`,
+                timestamp: new Date()
+            });
+            await issue.save();
+            log('[addResolutionProof] issue=', issue._id.toString(), 'uploaded=', images.length, 'failed=', req.files.length - images.length);
+
+            emitIssueEvent(req.io, issue, 'issueResolutionProof', {
+                issueId: issue._id,
+                images
+            });
+
+            res.json({
+                success: true,
+                message: 'Resolution proof added successfully',
+                data: {
+                    issueId: issue._id,
+                    before: issue.images || [],
+                    after: issue.resolutionDetails.resolutionImages
+                }
+            });
+        } catch (error) {
+            console.error('Error adding resolution proof:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to add resolution proof',
+                message: error.message
+            });
+        }
+    }
+
+    // Statuses the issue can move to next (drives which actions the dashboard offers)
+    async getIssueTransitions(req, res) {
+        try {
+            let issue = await Issue.findById(req.params.id).select('status assignedTo mergedInto');
+            if (!issue) return res.status(404).json({ success: false, error: 'Issue not found' });
+            if (issue.mergedInto) {
+                issue = await Issue.findById(issue.mergedInto).select('status assignedTo mergedInto');
+                if (!issue) return res.status(404).json({ success: false, error: 'Canonical issue not found' });
+            }
+            res.json({
+                success: true,
+                data: {
+                    issueId: issue._id,
+                    status: issue.status,
+                    transitions: listTransitions(issue)
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching issue transitions:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch issue transitions',
+                message: error.message
+            });
+        }
+    }
+
     // Update issue status
     async updateIssueStatus(req, res) {
         try {
             const { id } = req.params;
-            const { status, comment, resolutionDetails } = req.body;
+            const { status, comment, resolutionDetails, reason } = req.body;
 
             if (req.user.role !== 'government') {
                 return res.status(403).json({
@@ -854,6 +1196,12 @@ class IssueController {
                 if (!issue) return res.status(404).json({ success: false, error: 'Canonical issue not found' });
             }
 
+            const violation = checkTransition(issue, status, { resolutionDetails, reason });
+            if (violation) {
+                warn('[updateIssueStatus] rejected transition issue=', issue._id.toString(), issue.status, '->', status, violation.code);
+                return res.status(409).json({ success: false, ...violation });
+            }
+
             const oldStatus = issue.status;
             issue.status = status;
 
@@ -861,9 +1209,12 @@ class IssueController {
             issue.statusHistory.push({
                 status,
                 updatedBy: req.user.id,
-                comment: comment || `Status changed from ${oldStatus} to ${status}`,
+                comment: status === 'rejected'
+                    ? `Rejected: ${reason.trim()}${comment ? ` (${comment})` : ''}`
+                    : comment || `Status changed from ${oldStatus} to ${status}`,
                 timestamp: new Date()
             });
+            refreshSla(issue);
             // Handle resolution
             if (status === 'resolved') {
                 const createdAt = new Date(issue.createdAt);
@@ -874,10 +1225,20 @@ class IssueController {
                     resolvedBy: req.user.id,
                     resolutionDate: resolvedAt,
                     resolutionDescription: resolutionDetails?.description || 'Issue has been resolved',
-                    resolutionImages: resolutionDetails?.images || []
+                    // Keep proof already uploaded via POST /:id/resolution-proof
+                    resolutionImages: [
+                        ...(issue.resolutionDetails?.resolutionImages || []),
+                        ...(resolutionDetails?.images || [])
+                    ]
                 };
                 issue.actualResolutionTime = resolutionTimeHours;
 
+                // Open a new verification round for the reporters
+                issue.resolutionVerification = issue.resolutionVerification || {};
+                issue.resolutionVerification.status = 'awaiting';
+                issue.resolutionVerification.round = (issue.resolutionVerification.round || 0) + 1;
+                issue.resolutionVerification.verifiedAt = undefined;
+
                 // Add resolution notification
                 issue.notifications.push({
                     message: 'Your issue has been resolved! Thank you for reporting.',
@@ -919,8 +1280,15 @@ class IssueController {
                 { path: 'resolutionDetails.resolvedBy', select: 'name email' }
             ]);
 
+            await notifyIssueEvent(req.io, issue, status === 'resolved' ? 'resolved' : 'statusChanged', {
+                actorId: req.user.id,
+                message: status === 'resolved'
+                    ? `"${issue.title}" has been resolved. Thank you for reporting!`
+                    : `"${issue.title}" status changed from ${oldStatus} to ${status}`
+            });
+
             // Emit real-time notification
-            req.io?.emit('issueStatusUpdated', {
+            emitIssueEvent(req.io, issue, 'issueStatusUpdated', {
                 issueId: issue._id,
                 userId: issue.reportedBy._id,
                 status,
@@ -942,6 +1310,134 @@ class IssueController {
         }
     }
 
+    // Citizen verification of a resolution: accept it, or reject it with a comment + photo (reopens the issue)
+    async verifyResolution(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, errors: errors.array() });
+            }
+            const { id } = req.params;
+            const { decision, comment } = req.body;
+
+            let issue = await Issue.findById(id);
+            if (!issue) return res.status(404).json({ success: false, error: 'Issue not found' });
+            if (issue.mergedInto) {
+                log('[verifyResolution] Redirecting duplicate', issue._id.toString(), 'to canonical', issue.mergedInto.toString());
+                issue = await Issue.findById(issue.mergedInto);
+                if (!issue) return res.status(404).json({ success: false, error: 'Canonical issue not found' });
+            }
+
+            const userId = req.user.id.toString();
+            const isReporter = issue.reportedBy?.toString() === userId
+                || (issue.reporters || []).some(r => r.user?.toString() === userId && r.consent === true);
+            if (!isReporter) {
+                return res.status(403).json({ success: false, error: 'Only the reporter or consenting co-reporters can verify a resolution' });
+            }
+            if (issue.status !== 'resolved') {
+                return res.status(409).json({ success: false, error: `Only resolved issues can be verified (current status: ${issue.status})` });
+            }
+
+            const verification = issue.resolutionVerification;
+            // Issues resolved before verification existed start at round 1
+            if (!verification.round) verification.round = 1;
+            const round = verification.round;
+            if ((verification.responses || []).some(r => r.user?.toString() === userId && r.round === round)) {
+                return res.status(409).json({ success: false, error: 'You have already responded to this resolution' });
+            }
+
+            let image;
+            if (decision === 'rejected') {
+                if (!req.file) {
+                    return res.status(400).json({ success: false, error: 'A photo is required to dispute a resolution' });
+                }
+                const result = await uploadBuffer(req.file.buffer, 'verifications', req.file.originalname, req.file.mimetype);
+                image = result.secure_url;
+            }
+
+            verification.responses.push({ user: req.user.id, decision, comment, image, round, respondedAt: new Date() });
+            verification.status = decision;
+            if (decision === 'accepted') {
+                verification.verifiedAt = new Date();
+            } else {
+                verification.rejectionCount = (verification.rejectionCount || 0) + 1;
+                issue.status = 'in-progress';
+                issue.statusHistory.push({
+                    status: 'in-progress',
+                    updatedBy: req.user.id,
+                    comment: `Reopened by reporter: ${comment}`,
+                    timestamp: new Date()
+                });
+                issue.notifications.push({
+                    message: 'The resolution was disputed and the issue has been reopened',
+                    type: 'status_change',
+                    timestamp: new Date()
+                });
+                refreshSla(issue);
+            }
+            await issue.save();
+            log('[verifyResolution] issue=', issue._id.toString(), 'decision=', decision, 'round=', round, 'by=', userId);
+
+            if (decision === 'rejected' && Array.isArray(issue.duplicates) && issue.duplicates.length) {
+                await Issue.updateMany(
+                    { _id: { $in: issue.duplicates } },
+                    {
+                        $set: { status: 'in-progress' },
+                        $push: {
+                            statusHistory: {
+                                status: 'in-progress',
+                                updatedBy: req.user.id,
+                                comment: '[canonical-sync] Reopened after resolution was disputed',
+                                timestamp: new Date()
+                            }
+                        }
+                    }
+                );
+            }
+
+            // Officials who resolved / own the issue hear about the verdict; other followers see the reopen
+            const officials = [issue.resolutionDetails?.resolvedBy, issue.assignedTo?.official];
+            if (decision === 'accepted') {
+                await notifyIssueEvent(req.io, issue, 'resolutionAccepted', {
+                    recipients: officials,
+                    message: `A reporter confirmed the resolution of "${issue.title}"`
+                });
+            } else {
+                await notifyIssueEvent(req.io, issue, 'resolutionRejected', {
+                    recipients: officials,
+                    message: `A reporter disputed the resolution of "${issue.title}": ${comment}`
+                });
+                await notifyIssueEvent(req.io, issue, 'statusChanged', {
+                    actorId: req.user.id,
+                    message: `"${issue.title}" was reopened after a reporter disputed the resolution`
+                });
+                emitIssueEvent(req.io, issue, 'issueStatusUpdated', {
+                    issueId: issue._id,
+                    userId: issue.reportedBy,
+                    status: issue.status,
+                    message: 'Resolution disputed, issue reopened'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: decision === 'accepted' ? 'Resolution confirmed' : 'Resolution disputed, issue reopened',
+                data: {
+                    issueId: issue._id,
+                    status: issue.status,
+                    resolutionVerification: issue.resolutionVerification
+                }
+            });
+        } catch (error) {
+            console.error('Error verifying resolution:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to verify resolution',
+                message: error.message
+            });
+        }
+    }
+
     // Get user's issues
     async getUserIssues(req, res) {
         try {
@@ -967,7 +1463,7 @@ class IssueController {
             for (const doc of issues.docs) {
                 if (doc.mergedInto) {
                     log('[getUserIssues] duplicate found issue=', doc._id.toString(), 'canonical=', doc.mergedInto.toString());
-                    const canonical = await Issue.findById(doc.mergedInto).select('title status priority category createdAt thumbnailImage reporters votes').lean();
+                    const canonical = await Issue.findById(doc.mergedInto).select('title status priority category createdAt thumbnailImage images resolutionDetails reporters votes resolutionVerification').lean();
                     if (canonical) {
                         mapped.push({ ...canonical, originalDuplicateId: doc._id, isDuplicate: true });
                         continue;
@@ -990,6 +1486,182 @@ class IssueController {
         }
     }
 
+    // Soft-delete an issue (government, or the reporter while it is still pending)
+    // Deleting a canonical issue also hides its merged duplicates; deleting a duplicate detaches it from its canonical.
+    async deleteIssue(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, errors: errors.array() });
+            }
+            const { id } = req.params;
+            const reason = req.body.reason.trim();
+
+            const issue = await Issue.findById(id);
+            if (!issue) return res.status(404).json({ success: false, error: 'Issue not found' });
+
+            const isGov = req.user.role === 'government';
+            const isOwnPending = issue.reportedBy?.toString() === req.user.id.toString() && issue.status === 'pending';
+            if (!isGov && !isOwnPending) {
+                return res.status(403).json({ success: false, error: 'Only officials, or the reporter of a pending issue, can delete it' });
+            }
+
+            const now = new Date();
+            issue.deletedAt = now;
+            issue.deletedBy = req.user.id;
+            issue.deletionReason = reason;
+            issue.statusHistory.push({
+                status: issue.status,
+                updatedBy: req.user.id,
+                comment: `[deleted] ${reason}`,
+                timestamp: now
+            });
+            await issue.save();
+
+            let duplicatesDeleted = 0;
+            if (issue.mergedInto) {
+                await detachDuplicate(issue);
+            } else if (Array.isArray(issue.duplicates) && issue.duplicates.length) {
+                const result = await Issue.updateMany(
+                    { _id: { $in: issue.duplicates } },
+                    {
+                        $set: {
+                            deletedAt: now,
+                            deletedBy: req.user.id,
+                            deletionReason: `[canonical-deleted] ${reason}`,
+                            deletedWithCanonical: issue._id
+                        }
+                    }
+                );
+                duplicatesDeleted = result.modifiedCount;
+            }
+            log('[deleteIssue] issue=', issue._id.toString(), 'by=', req.user.id, 'duplicatesDeleted=', duplicatesDeleted);
+
+            // Chat messages are kept: chat endpoints resolve the (now hidden) issue first, so the
+            // discussion becomes unreachable and reappears unchanged on restore.
+            emitIssueEvent(req.io, issue, 'issueDeleted', { issueId: issue._id, reason });
+            await notifyIssueEvent(req.io, issue, 'deleted', {
+                actorId: req.user.id,
+                message: `"${issue.title}" was removed: ${reason}`
+            });
+
+            res.json({
+                success: true,
+                message: 'Issue deleted successfully',
+                data: { issueId: issue._id, deletedAt: now, duplicatesDeleted }
+            });
+        } catch (error) {
+            console.error('Error deleting issue:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete issue',
+                message: error.message
+            });
+        }
+    }
+
+    // Restore a soft-deleted issue (government only), including duplicates deleted together with it
+    async restoreIssue(req, res) {
+        try {
+            const { id } = req.params;
+            const issue = await Issue.findOne({ _id: id, deletedAt: { $ne: null } });
+            if (!issue) return res.status(404).json({ success: false, error: 'Deleted issue not found' });
+
+            if (issue.mergedInto) {
+                const canonical = await Issue.findById(issue.mergedInto).select('_id');
+                if (!canonical) {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'The canonical issue this duplicate was merged into is deleted; restore it instead',
+                        canonicalId: issue.mergedInto
+                    });
+                }
+            }
+
+            issue.deletedAt = null;
+            issue.deletedBy = undefined;
+            issue.deletionReason = undefined;
+            issue.deletedWithCanonical = undefined;
+            issue.statusHistory.push({
+                status: issue.status,
+                updatedBy: req.user.id,
+                comment: '[restored] Issue restored',
+                timestamp: new Date()
+            });
+            await issue.save();
+
+            let duplicatesRestored = 0;
+            if (issue.mergedInto) {
+                await reattachDuplicate(issue);
+            } else {
+                const result = await Issue.updateMany(
+                    { deletedWithCanonical: issue._id, deletedAt: { $ne: null } },
+                    {
+                        $set: { deletedAt: null },
+                        $unset: { deletedBy: '', deletionReason: '', deletedWithCanonical: '' }
+                    }
+                );
+                duplicatesRestored = result.modifiedCount;
+            }
+            log('[restoreIssue] issue=', issue._id.toString(), 'by=', req.user.id, 'duplicatesRestored=', duplicatesRestored);
+
+            await notifyIssueEvent(req.io, issue, 'restored', {
+                actorId: req.user.id,
+                message: `"${issue.title}" has been restored`
+            });
+
+            res.json({
+                success: true,
+                message: 'Issue restored successfully',
+                data: { issueId: issue._id, duplicatesRestored }
+            });
+        } catch (error) {
+            console.error('Error restoring issue:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to restore issue',
+                message: error.message
+            });
+        }
+    }
+
+    // Soft-deleted issues for review/restore (government only); cascaded duplicates are listed under their canonical
+    async getDeletedIssues(req, res) {
+        try {
+            const { page = 1, limit = 20 } = req.query;
+            const issues = await Issue.paginate(
+                { deletedAt: { $ne: null }, deletedWithCanonical: { $exists: false } },
+                {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    sort: { deletedAt: -1 },
+                    select: 'title category status priority location.address reportedBy mergedInto duplicates deletedAt deletedBy deletionReason createdAt',
+                    populate: [
+                        { path: 'reportedBy', select: 'name email' },
+                        { path: 'deletedBy', select: 'name email role' }
+                    ]
+                }
+            );
+            res.json({
+                success: true,
+                data: issues.docs,
+                pagination: {
+                    totalCount: issues.totalDocs,
+                    currentPage: issues.page,
+                    totalPages: issues.totalPages,
+                    limit: issues.limit
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching deleted issues:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch deleted issues',
+                message: error.message
+            });
+        }
+    }
+
     // Vote on issue
     async voteOnIssue(req, res) {
         try {
@@ -1034,8 +1706,15 @@ class IssueController {
 
             await issue.save();
 
+            if (!hasVoted) {
+                await notifyIssueEvent(req.io, issue, 'upvoted', {
+                    actorId: userId,
+                    message: `"${issue.title}" received a vote and now has ${issue.votes} votes`
+                });
+            }
+
             if (oldPriority !== newPriority) {
-                req.io?.emit('issuePriorityUpdated', {
+                emitIssueEvent(req.io, issue, 'issuePriorityUpdated', {
                     issueId: issue._id,
                     oldPriority,
                     newPriority,
@@ -1245,4 +1924,72 @@ function calculateEstimatedResolutionTime(category, priority) {
     return Math.round(base * multiplier);
 }
 
+// Snapshot of the categorizer's view of an issue, persisted as Issue.categorySuggestion
+function buildCategorySuggestion(title, description, selectedCategory) {
+    const suggestions = suggestCategories({ title, description });
+    const top = suggestions[0];
+    return {
+        category: top ? top.category : 'Other',
+        confidence: top ? top.confidence : 0,
+        matchesSelected: (top ? top.category : 'Other') === selectedCategory,
+        suggestions: suggestions.map(({ category, confidence }) => ({ category, confidence }))
+    };
+}
+
+// Votes changed: recompute the canonical's automatic priority
+async function refreshCanonicalPriority(canonicalId) {
+    const canonical = await Issue.findById(canonicalId);
+    if (!canonical?.priorityAuto) return;
+    const { priority, reasons } = await computePriority(canonical);
+    await Issue.updateOne({ _id: canonical._id }, { $set: { priority, priorityReasons: reasons } });
+}
+
+// A deleted duplicate no longer counts towards its canonical: drop it from duplicates and drop its reporter
+// and the votes its merge added, unless the user is the canonical's own reporter or still comes in through
+// another live duplicate (same rule as unmergeIssue)
+async function detachDuplicate(duplicate) {
+    const canonical = await Issue.findById(duplicate.mergedInto).select('reportedBy voters');
+    if (!canonical) return;
+    const others = await Issue.find({ mergedInto: canonical._id, _id: { $ne: duplicate._id } })
+        .select('reportedBy reporters voters mergeAddedVoters')
+        .lean();
+    const reporterId = duplicate.reportedBy?.toString();
+    const stillReporting = [canonical, ...others].some(other => other.reportedBy?.toString() === reporterId
+        || (other.reporters || []).some(r => r.user?.toString() === reporterId));
+
+    const update = { $pull: { duplicates: duplicate._id } };
+    if (!stillReporting) update.$pull.reporters = { user: duplicate.reportedBy };
+
+    const { dropped: droppedVotes, handOver } = splitMergedVotes(duplicate, canonical, others);
+    if (droppedVotes.length) {
+        update.$pull.voters = { $in: droppedVotes };
+        update.$inc = { votes: -droppedVotes.length };
+    }
+    await Issue.updateOne({ _id: canonical._id }, update);
+    for (const [otherId, userIds] of handOver) {
+        await Issue.updateOne({ _id: otherId }, { $addToSet: { mergeAddedVoters: { $each: userIds } } });
+    }
+    if (droppedVotes.length) await refreshCanonicalPriority(canonical._id);
+    log('[detachDuplicate] duplicate=', duplicate._id.toString(), 'canonical=', canonical._id.toString(), 'reporterRemoved=', !stillReporting, 'votesRemoved=', droppedVotes.length);
+}
+
+// Undo detachDuplicate; a re-added reporter has to consent again (same as a fresh merge)
+async function reattachDuplicate(duplicate) {
+    const canonical = await Issue.findById(duplicate.mergedInto).select('reporters voters');
+    if (!canonical) return;
+    const update = { $addToSet: { duplicates: duplicate._id } };
+    const hasReporter = (canonical.reporters || []).some(r => r.user?.toString() === duplicate.reportedBy?.toString());
+    if (!hasReporter) update.$push = { reporters: { user: duplicate.reportedBy, consent: null, joinedAt: new Date() } };
+
+    const currentVoters = new Set((canonical.voters || []).map(v => v.toString()));
+    const addedVotes = [...new Set(mergeAddedVoterIds(duplicate))].filter(u => !currentVoters.has(u));
+    if (addedVotes.length) {
+        update.$addToSet.voters = { $each: addedVotes };
+        update.$inc = { votes: addedVotes.length };
+    }
+    await Issue.updateOne({ _id: canonical._id }, update);
+    if (addedVotes.length) await refreshCanonicalPriority(canonical._id);
+    log('[reattachDuplicate] duplicate=', duplicate._id.toString(), 'canonical=', canonical._id.toString(), 'reporterAdded=', !hasReporter, 'votesAdded=', addedVotes.length);
+}
+
 module.exports = new IssueController();
\ No newline at end of file
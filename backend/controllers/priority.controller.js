@@ -0,0 +1,100 @@
+const PriorityRules = require('../models/PriorityRules');
+const Issue = require('../models/Issue');
+const {
+    getPriorityRules,
+    normalizeRules,
+    savePriorityRules,
+    previewPriorityRules
+} = require('../utils/priority');
+const { recomputePriorities, getRecomputeStatus } = require('../utils/priorityRecompute');
+
+// Rules in the request body are merged over the current ones so a client may send only the sections it changes
+async function proposedRules(body) {
+    const current = await getPriorityRules();
+    return normalizeRules({ ...current, ...(body || {}) });
+}
+
+module.exports = {
+    // Current priority rules (defaults until an admin saves a change)
+    getRules: async (req, res) => {
+        try {
+            const rules = await getPriorityRules();
+            const stored = await PriorityRules.findOne({ key: 'default' })
+                .select('version updatedBy updatedAt')
+                .populate('updatedBy', 'name');
+            res.json({
+                rules,
+                // Categories that can carry a weight
+                categories: Issue.schema.path('category').enumValues,
+                version: stored?.version || 0,
+                updatedBy: stored?.updatedBy || null,
+                updatedAt: stored?.updatedAt || null
+            });
+        } catch (error) {
+            console.error('Get priority rules error:', error);
+            res.status(500).json({ message: 'Server error while fetching priority rules' });
+        }
+    },
+
+    // Preview which open issues would change priority under the proposed rules (nothing is saved)
+    dryRun: async (req, res) => {
+        let rules;
+        try {
+            rules = await proposedRules(req.body);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        try {
+            const preview = await previewPriorityRules(rules, { limit: req.query.limit });
+            res.json({
+                message: 'Dry run complete',
+                rules,
+                ...preview
+            });
+        } catch (error) {
+            console.error('Priority rules dry run error:', error);
+            res.status(500).json({ message: 'Server error while previewing priority rules' });
+        }
+    },
+
+    // Save new rules; they apply to every priority computed from now on
+    updateRules: async (req, res) => {
+        let rules;
+        try {
+            rules = await proposedRules(req.body);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        try {
+            const saved = await savePriorityRules(rules, req.user.id);
+            res.json({
+                message: 'Priority rules updated',
+                rules: await getPriorityRules(),
+                version: saved.version
+            });
+        } catch (error) {
+            console.error('Update priority rules error:', error);
+            res.status(500).json({ message: 'Server error while updating priority rules' });
+        }
+    },
+
+    // Start recomputing priority for all open canonical issues in the background (can take minutes on
+    // large datasets); the summary is available from recomputeStatus once the run finishes
+    recompute: async (req, res) => {
+        if (getRecomputeStatus().running) {
+            return res.status(409).json({ message: 'A priority recomputation is already running', ...getRecomputeStatus() });
+        }
+        recomputePriorities(req.io).catch(error => {
+            console.error('Recompute priorities error:', error);
+        });
+        res.status(202).json({
+            message: 'Priority recomputation started',
+            ...getRecomputeStatus()
+        });
+    },
+
+    // Running state plus the summary (or error) of the last finished recomputation
+    recomputeStatus: async (req, res) => {
+        res.json(getRecomputeStatus());
+    }
+};
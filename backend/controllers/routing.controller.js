@@ -0,0 +1,88 @@
+const RoutingRule = require('../models/RoutingRule');
+const Issue = require('../models/Issue');
+const { normalizeRoutingRule, findRoutingRule } = require('../utils/routing');
+
+const populateRule = (query) => query
+    .populate('official', 'name email department')
+    .populate('updatedBy', 'name');
+
+module.exports = {
+    // Routing table in evaluation order, plus the categories a rule can match
+    getRules: async (req, res) => {
+        try {
+            const rules = await populateRule(RoutingRule.find().sort({ order: 1, createdAt: 1 }));
+            res.json({
+                rules,
+                categories: Issue.schema.path('category').enumValues
+            });
+        } catch (error) {
+            console.error('Get routing rules error:', error);
+            res.status(500).json({ message: 'Server error while fetching routing rules' });
+        }
+    },
+
+    // Which rule would route an issue with this category / ward / pincode (nothing is saved)
+    testRules: async (req, res) => {
+        try {
+            const { category, ward, pincode } = req.body || {};
+            const rule = await findRoutingRule({ category, ward, pincode });
+            res.json({ matched: !!rule, rule });
+        } catch (error) {
+            console.error('Test routing rules error:', error);
+            res.status(500).json({ message: 'Server error while testing routing rules' });
+        }
+    },
+
+    createRule: async (req, res) => {
+        let fields;
+        try {
+            fields = await normalizeRoutingRule(req.body);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        try {
+            const rule = await RoutingRule.create({ ...fields, createdBy: req.user.id, updatedBy: req.user.id });
+            res.status(201).json({ message: 'Routing rule created', rule: await populateRule(RoutingRule.findById(rule._id)) });
+        } catch (error) {
+            console.error('Create routing rule error:', error);
+            res.status(500).json({ message: 'Server error while creating routing rule' });
+        }
+    },
+
+    // Replace a rule; issues it already routed keep their assignment and routing record
+    updateRule: async (req, res) => {
+        let fields;
+        try {
+            fields = await normalizeRoutingRule(req.body);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        try {
+            const rule = await populateRule(RoutingRule.findByIdAndUpdate(
+                req.params.id,
+                { ...fields, updatedBy: req.user.id },
+                { new: true, runValidators: true }
+            ));
+            if (!rule) {
+                return res.status(404).json({ message: 'Routing rule not found' });
+            }
+            res.json({ message: 'Routing rule updated', rule });
+        } catch (error) {
+            console.error('Update routing rule error:', error);
+            res.status(500).json({ message: 'Server error while updating routing rule' });
+        }
+    },
+
+    deleteRule: async (req, res) => {
+        try {
+            const rule = await RoutingRule.findByIdAndDelete(req.params.id);
+            if (!rule) {
+                return res.status(404).json({ message: 'Routing rule not found' });
+            }
+            res.json({ message: 'Routing rule deleted' });
+        } catch (error) {
+            console.error('Delete routing rule error:', error);
+            res.status(500).json({ message: 'Server error while deleting routing rule' });
+        }
+    }
+};
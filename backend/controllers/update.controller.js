@@ -2,6 +2,15 @@ const Update = require('../models/Update');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { uploadBuffer } = require('../config/cloudinary');
+const { areaRoomsFor, GOVERNMENT_ROOM } = require('../utils/socketRooms');
+const { log, error } = require('../utils/logger');
+
+const NOTIFICATION_BATCH_SIZE = 500;
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 module.exports = {
     // Get all government updates
@@ -12,16 +21,26 @@ module.exports = {
                 category,
                 city,
                 state,
-                isActive = true,
                 page = 1,
                 limit = 10
             } = req.query;
 
+            // Only officials can look past the active feed; everyone else always gets active updates
+            const isActive = req.user?.role === 'government' ? (req.query.isActive ?? true) : true;
+
             // Build query
             const query = {};
 
-            if (isActive === 'true') {
+            // Query strings arrive as 'true'/'false'; the default (true) is a boolean
+            if (isActive === true || isActive === 'true') {
                 query.isActive = true;
+                // Active feed hides announcements that have not started yet or whose end date has passed
+                // (older updates may have no startDate)
+                const now = new Date();
+                query.$and = [
+                    { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+                    { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+                ];
             } else if (isActive === 'false') {
                 query.isActive = false;
             }
@@ -36,13 +55,20 @@ module.exports = {
                 query.category = category;
             }
 
-            // Location filters
+            // Location filters (case-insensitive); an area feed also includes updates
+            // without a target city/state, which apply to everyone
             if (city) {
-                query['location.city'] = city;
+                query.$and = [...(query.$and || []), { $or: [
+                    { 'location.city': new RegExp(`^${escapeRegex(city)}$`, 'i') },
+                    { 'location.city': { $in: [null, ''] } }
+                ] }];
             }
 
             if (state) {
-                query['location.state'] = state;
+                query.$and = [...(query.$and || []), { $or: [
+                    { 'location.state': new RegExp(`^${escapeRegex(state)}$`, 'i') },
+                    { 'location.state': { $in: [null, ''] } }
+                ] }];
             }
 
             // Pagination
@@ -91,9 +117,25 @@ module.exports = {
                 endDate
             } = req.body;
 
-            // Process uploaded files
-            const images = req.files?.images?.map(file => `/uploads/images/${file.filename}`) || [];
-            const attachments = req.files?.attachments?.map(file => `/uploads/documents/${file.filename}`) || [];
+            // Upload images and documents to Cloudinary (memory storage: files only exist as buffers)
+            const uploadAll = (files = [], kind) => Promise.all(files.map(async (file, idx) => {
+                const label = file.originalname || `${kind}-${idx}`;
+                try {
+                    const result = await uploadBuffer(file.buffer, 'updates', label, file.mimetype);
+                    return result.secure_url;
+                } catch (e) {
+                    error(`[createUpdate] [Upload->Cloudinary] FAIL name=${label} err=${e.message}`);
+                    return null;
+                }
+            }));
+            const images = (await uploadAll(req.files?.images, 'image')).filter(Boolean);
+            const attachments = (await uploadAll(req.files?.attachments, 'attachment')).filter(Boolean);
+
+            // Target area: city/state decide who is notified, coordinates are optional
+            const area = location || {};
+            const longitude = parseFloat(area.longitude);
+            const latitude = parseFloat(area.latitude);
+            const hasCoordinates = !Number.isNaN(longitude) && !Number.isNaN(latitude);
 
             // Create update
             const update = new Update({
@@ -106,13 +148,10 @@ module.exports = {
                 attachments,
                 location: location ? {
                     type: 'Point',
-                    coordinates: [
-                        parseFloat(location.longitude),
-                        parseFloat(location.latitude)
-                    ],
-                    address: location.address,
-                    city: location.city,
-                    state: location.state
+                    coordinates: hasCoordinates ? [longitude, latitude] : undefined,
+                    address: area.address,
+                    city: area.city?.trim() || undefined,
+                    state: area.state?.trim() || undefined
                 } : undefined,
                 startDate: startDate || Date.now(),
                 endDate: endDate || null,
@@ -120,40 +159,48 @@ module.exports = {
             });
 
             await update.save();
-
-            // Emit socket event for real-time update
-            const io = req.app.get('io');
-            io.emit('newGovernmentUpdate', {
-                update: await Update.findById(update._id).populate('postedBy', 'name department')
-            });
-
-            // Create notifications for citizens in relevant area (if location specified)
-            // For demo, we're notifying a limited number of users
-            let users = [];
-
-            if (location && location.city) {
-                users = await User.find({
-                    role: 'citizen',
-                    'location.city': location.city
-                }).limit(100);
-            } else {
-                users = await User.find({ role: 'citizen' }).limit(100);
+            const populated = await Update.findById(update._id).populate('postedBy', 'name department');
+
+            // Push to citizens connected from the target area (everyone when no area was given)
+            const io = req.io;
+            if (io) {
+                const rooms = areaRoomsFor(update.location || {});
+                const target = rooms.length ? io.to([...rooms, GOVERNMENT_ROOM]) : io;
+                target.emit('newGovernmentUpdate', { update: populated });
             }
 
-            if (users.length > 0) {
-                const notifications = users.map(user => ({
-                    recipient: user._id,
-                    title: `Government Update: ${title}`,
-                    message: `${req.user.department} has shared an update: ${content.substring(0, 100)}...`,
-                    type: 'system'
-                }));
-
-                await Notification.insertMany(notifications);
+            // Persist notifications for every citizen in the target area, in batches
+            const audience = { role: 'citizen' };
+            if (update.location?.city) {
+                audience['location.city'] = new RegExp(`^${escapeRegex(update.location.city)}$`, 'i');
+            } else if (update.location?.state) {
+                audience['location.state'] = new RegExp(`^${escapeRegex(update.location.state)}$`, 'i');
+            }
+            const notification = {
+                title: `Government Update: ${title}`,
+                message: `${req.user.department} has shared an update: ${content.length > 100 ? `${content.substring(0, 100)}...` : content}`,
+                type: 'system'
+            };
+            let notified = 0;
+            let batch = [];
+            for await (const citizen of User.find(audience).select('_id').lean().cursor()) {
+                batch.push({ ...notification, recipient: citizen._id });
+                if (batch.length >= NOTIFICATION_BATCH_SIZE) {
+                    await Notification.insertMany(batch);
+                    notified += batch.length;
+                    batch = [];
+                }
+            }
+            if (batch.length) {
+                await Notification.insertMany(batch);
+                notified += batch.length;
             }
+            log(`[createUpdate] update=${update._id} notified=${notified} rooms=${areaRoomsFor(update.location || {}).join(',') || 'all'}`);
 
             res.status(201).json({
                 message: 'Update posted successfully',
-                update: await Update.findById(update._id).populate('postedBy', 'name department')
+                update: populated,
+                notified
             });
         } catch (error) {
             console.error('Create update error:', error);
@@ -167,7 +214,8 @@ module.exports = {
             const update = await Update.findById(req.params.id)
                 .populate('postedBy', 'name department');
 
-            if (!update) {
+            // Inactive updates are hidden from the public
+            if (!update || (!update.isActive && req.user?.role !== 'government')) {
                 return res.status(404).json({ message: 'Update not found' });
             }
 
@@ -214,8 +262,8 @@ module.exports = {
             await update.save();
 
             // Emit socket event for real-time update
-            const io = req.app.get('io');
-            io.emit('updateGovernmentUpdate', {
+            const io = req.io;
+            io?.emit('updateGovernmentUpdate', {
                 update: await Update.findById(update._id).populate('postedBy', 'name department')
             });
 
@@ -247,11 +295,11 @@ module.exports = {
                 });
             }
 
-            await update.remove();
+            await update.deleteOne();
 
             // Emit socket event for real-time update
-            const io = req.app.get('io');
-            io.emit('deleteGovernmentUpdate', {
+            const io = req.io;
+            io?.emit('deleteGovernmentUpdate', {
                 updateId: req.params.id
             });
 
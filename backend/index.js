@@ -9,13 +9,23 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const { ensureUploadDirs } = require('./utils/ensureUploadDirs');
-const { log, warn } = require('./utils/logger');
+const { log } = require('./utils/logger');
+const { authenticateSocket } = require('./middlewares/auth.middleware');
+const { registerRoomHandlers, registerRelayHandlers } = require('./utils/socketRooms');
+const { startSlaScheduler } = require('./utils/slaEngine');
+const { startAlertIngestion } = require('./utils/alertIngestion');
+const { startAlertLifecycle } = require('./utils/alertLifecycle');
+const { startPriorityRecompute } = require('./utils/priorityRecompute');
 const authRoutes = require('./routes/auth.routes');
 const issueRoutes = require('./routes/issue.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const alertRoutes = require('./routes/alert.routes');
 const uploadRoutes = require('./routes/upload.routes');
+const updateRoutes = require('./routes/update.routes');
+const priorityRoutes = require('./routes/priority.routes');
+const boundaryRoutes = require('./routes/boundary.routes');
+const routingRoutes = require('./routes/routing.routes');
 
 const app = express();
 const server = http.createServer(app);
@@ -66,6 +76,8 @@ app.use(morgan('dev'));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Attach socket.io instance to each request for controllers to emit events
+// (also exposed as app.get('io') for controllers that read it from the app)
+app.set('io', io);
 app.use((req, res, next) => {
     req.io = io;
     next();
@@ -80,44 +92,32 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/uploads', uploadRoutes);
+app.use('/api/updates', updateRoutes);
+app.use('/api/priority-rules', priorityRoutes);
+app.use('/api/boundaries', boundaryRoutes);
+app.use('/api/routing-rules', routingRoutes);
 
 // Root route
 app.get('/', (req, res) => {
     res.json({ message: 'Welcome to Civic Pulse API' });
 });
 
+// Socket.io authentication: verify the handshake JWT before any connection is accepted
+io.use(authenticateSocket);
+
 // Socket.io connection
 io.on('connection', (socket) => {
-    log('New client connected socketId=', socket.id, 'auth=', socket.handshake?.auth, 'query=', socket.handshake?.query);
-    try {
-        const userId = socket.handshake.auth?.userId || socket.handshake.query?.userId;
-        if (userId) {
-            socket.join(userId.toString());
-            log('[socket] joined personal room for user', userId);
-        }
-        socket.on('registerUser', (uid) => {
-            if (uid) {
-                socket.join(uid.toString());
-                log('[socket] registerUser -> joined personal room', uid);
-            }
-        });
-    } catch (e) {
-        warn('[socket] error establishing personal room', e.message);
-    }
+    const user = socket.data.user;
+    log('New client connected socketId=', socket.id, 'user=', user.id, 'role=', user.role);
 
-    socket.on('disconnect', () => {
-        log('Client disconnected socketId=', socket.id);
-    });
+    // Personal, government and issue rooms (all derived from the verified user)
+    registerRoomHandlers(socket);
 
-    // Handle live updates for issues
-    socket.on('newIssue', (data) => {
-        log('[socket] newIssue relay issueId=', data?.issue?._id);
-        io.emit('issueUpdate', data);
-    });
+    // Handle live updates for issues (government relays only)
+    registerRelayHandlers(io, socket);
 
-    socket.on('statusChange', (data) => {
-        log('[socket] statusChange relay issueId=', data?.issueId, 'status=', data?.status);
-        io.emit('issueUpdate', data);
+    socket.on('disconnect', () => {
+        log('Client disconnected socketId=', socket.id);
     });
 });
 
@@ -148,6 +148,14 @@ connectDB().then(() => {
         console.log(`Server running on http://${HOST}:${PORT}`);
         console.log(`Server accessible on local network`);
     });
+    // Periodic SLA breach detection + escalation
+    startSlaScheduler(io);
+    // Scheduled alert activation, expiry and all clear notifications
+    startAlertLifecycle(io);
+    // External alert feeds (CAP / GeoJSON) when ALERT_PROVIDERS is set
+    startAlertIngestion(io);
+    // Periodic priority refresh when PRIORITY_RECOMPUTE_INTERVAL_MINUTES is set
+    startPriorityRecompute(io);
 });
 
 module.exports = { app, io };
@@ -1,6 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Shared token -> user resolution for HTTP requests and socket handshakes
+// Resolves { user } on success or { error } with the message to send back.
+async function resolveUserFromToken(token) {
+    if (!token) {
+        return { error: 'No authentication token, access denied' };
+    }
+
+    // Check for bypass token in development
+    if (token === 'bypass-token') {
+        // Use a 24-char hex string so it looks like a valid ObjectId; recommended to create a real test user instead.
+        return {
+            user: {
+                id: '64b7f0e2a4b9c1d2e3f4a5b6',
+                name: 'Bypass Test User',
+                email: 'test@example.com',
+                role: 'citizen'
+            }
+        };
+    }
+
+    // Verify JWT token
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+        return { error: 'Token is not valid' };
+    }
+
+    // Find user by id
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user) {
+        return { error: 'Token is not valid or user no longer exists' };
+    }
+
+    return { user };
+}
+
 module.exports = {
     // Middleware to authenticate all users (citizens and government officials)
     authenticate: async (req, res, next) => {
@@ -8,42 +46,60 @@ module.exports = {
             // Get token from header
             const token = req.header('Authorization')?.replace('Bearer ', '');
 
-            if (!token) {
-                return res.status(401).json({ message: 'No authentication token, access denied' });
-            }
-
-            // Check for bypass token in development
-            if (token === 'bypass-token') {
-                // Use a 24-char hex string so it looks like a valid ObjectId; recommended to create a real test user instead.
-                req.user = {
-                    id: '64b7f0e2a4b9c1d2e3f4a5b6',
-                    name: 'Bypass Test User',
-                    email: 'test@example.com',
-                    role: 'citizen'
-                };
-                return next();
+            const { user, error } = await resolveUserFromToken(token);
+            if (error) {
+                return res.status(401).json({ message: error });
             }
 
-            // Verify JWT token
-            try {
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Add user to request
+            req.user = user;
+            return next();
+        } catch (error) {
+            console.error('Authentication error:', error);
+            res.status(401).json({ message: 'Authentication failed' });
+        }
+    },
 
-                // Find user by id
-                const user = await User.findById(decoded.id).select('-password');
+    // Middleware for public routes that show more to signed-in users: sets req.user when a valid token
+    // is sent and otherwise continues anonymously (a bad token is not an error here)
+    optionalAuthenticate: async (req, res, next) => {
+        try {
+            const token = req.header('Authorization')?.replace('Bearer ', '');
+            if (token) {
+                const { user } = await resolveUserFromToken(token);
+                if (user) req.user = user;
+            }
+        } catch (error) {
+            console.error('Optional authentication error:', error);
+        }
+        return next();
+    },
 
-                if (!user) {
-                    return res.status(401).json({ message: 'Token is not valid or user no longer exists' });
-                }
+    // Socket.IO middleware: same checks as authenticate, token from handshake.auth (or Authorization header)
+    // Rejected sockets receive a connect_error carrying the message.
+    authenticateSocket: async (socket, next) => {
+        try {
+            const token = socket.handshake?.auth?.token
+                || socket.handshake?.headers?.authorization?.replace('Bearer ', '');
 
-                // Add user to request
-                req.user = user;
-                return next();
-            } catch (jwtError) {
-                return res.status(401).json({ message: 'Token is not valid' });
+            const { user, error } = await resolveUserFromToken(token);
+            if (error) {
+                return next(new Error(error));
             }
+
+            // Plain object so handlers do not depend on a live mongoose document
+            socket.data.user = {
+                id: (user._id || user.id).toString(),
+                name: user.name,
+                role: user.role,
+                department: user.department,
+                city: user.location?.city,
+                state: user.location?.state
+            };
+            return next();
         } catch (error) {
-            console.error('Authentication error:', error);
-            res.status(401).json({ message: 'Authentication failed' });
+            console.error('Socket authentication error:', error);
+            next(new Error('Authentication failed'));
         }
     },
 
@@ -56,6 +112,15 @@ module.exports = {
         }
     },
 
+    // Middleware to authorize administrators (government officials flagged isAdmin)
+    authorizeAdmin: (req, res, next) => {
+        if (req.user && req.user.role === 'government' && req.user.isAdmin) {
+            next();
+        } else {
+            res.status(403).json({ message: 'Access denied. Only administrators can access this resource' });
+        }
+    },
+
     // Middleware to authorize citizens only
     authorizeCitizen: (req, res, next) => {
         if (req.user && req.user.role === 'citizen') {
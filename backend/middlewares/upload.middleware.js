@@ -25,6 +25,19 @@ const upload = multer({
     limits: { fileSize: 10 * 1024 * 1024 }
 });
 
+// GeoJSON files (boundary imports) are parsed in memory, never stored; browsers send varying mimetypes
+const geojsonUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        if (/\.(geo)?json$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Boundary file must be .geojson or .json'), false);
+        }
+    },
+    limits: { fileSize: 10 * 1024 * 1024 }
+});
+
 // Export middleware for different upload scenarios
 module.exports = {
     // For issue reporting (multiple images and one optional voice note)
@@ -39,12 +52,18 @@ module.exports = {
     // For resolution proof (multiple images)
     resolutionImages: upload.array('resolutionImages', 5),
 
+    // For citizen verification of a resolution (one optional photo)
+    verificationPhoto: upload.single('photo'),
+
     // For government updates (multiple images and documents)
     updateAttachments: upload.fields([
         { name: 'images', maxCount: 5 },
         { name: 'attachments', maxCount: 3 }
     ]),
 
+    // For ward/zone boundary imports (one GeoJSON file)
+    boundaryFile: geojsonUpload.single('file'),
+
     // Error handling middleware
     handleUploadErrors: (err, req, res, next) => {
         if (err instanceof multer.MulterError) {
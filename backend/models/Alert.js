@@ -20,13 +20,27 @@ const alertSchema = new mongoose.Schema({
         required: true
     },
     location: {
+        // Point + radius always describe the alert; for polygon alerts they are the covering circle
         coordinates: {
             type: [Number], // [longitude, latitude]
             required: true
         },
+        // Optional affected area (GeoJSON Polygon / MultiPolygon, see utils/geoArea.js); when set it
+        // replaces the circle for targeting and point lookups
+        area: {
+            type: {
+                type: String,
+                enum: ['Polygon', 'MultiPolygon']
+            },
+            coordinates: {
+                type: Array,
+                default: undefined
+            }
+        },
         city: String,
         state: String,
-        radius: Number // Affected radius in KM
+        radius: Number, // Affected radius in KM
+        areaDesc: String // Free-text area from external feeds
     },
     startTime: {
         type: Date,
@@ -39,10 +53,38 @@ const alertSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // External feed identity (utils/alertIngestion.js); unset for alerts created by officials
+    externalId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    provider: String,
     isActive: {
         type: Boolean,
         default: true
     },
+    // Lifecycle (utils/alertLifecycle.js): alerts starting in the future are stored inactive with
+    // scheduled set and activated at startTime; active alerts end at endTime (or when an official
+    // deactivates them). Only createAlert and feed ingestion set scheduled, so ended alerts never restart.
+    scheduled: {
+        type: Boolean,
+        default: false
+    },
+    activatedAt: Date,
+    endedAt: Date,
+    allClear: {
+        sentAt: Date,
+        notified: { type: Number, default: 0 }
+    },
+    // Notification fan-out results (see utils/alertFanout.js)
+    delivery: {
+        matched: { type: Number, default: 0 }, // citizens with a place inside the radius
+        notified: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        batches: { type: Number, default: 0 },
+        completedAt: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -57,6 +99,9 @@ const alertSchema = new mongoose.Schema({
 
 // Create a geospatial index for location-based queries
 alertSchema.index({ 'location.coordinates': '2dsphere' });
+alertSchema.index({ 'location.area': '2dsphere' });
+alertSchema.index({ isActive: 1, startTime: 1, endTime: 1 });
+alertSchema.index({ scheduled: 1, startTime: 1 });
 
 const Alert = mongoose.model('Alert', alertSchema);
 
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Administrative boundaries (wards and the zones grouping them) imported from GeoJSON by admins.
+// Issues are tagged with the ward/zone containing their location (utils/boundaries.js), which gives
+// listings, analytics and routing a reliable area key instead of free-text city/pincode.
+const boundarySchema = new mongoose.Schema({
+    level: {
+        type: String,
+        enum: ['ward', 'zone'],
+        default: 'ward'
+    },
+    // Stable identifier from the source data (ward number etc.), unique per level
+    code: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Code of the enclosing zone, when the source data carries it
+    parentCode: {
+        type: String,
+        trim: true
+    },
+    city: {
+        type: String,
+        trim: true
+    },
+    // GeoJSON Polygon / MultiPolygon ([longitude, latitude] positions), see utils/geoArea.js
+    geometry: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon'],
+            required: true
+        },
+        coordinates: {
+            type: Array,
+            required: true
+        }
+    },
+    // Remaining feature properties from the import, kept for reference
+    properties: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+boundarySchema.index({ level: 1, code: 1 }, { unique: true });
+boundarySchema.index({ geometry: '2dsphere' });
+
+const Boundary = mongoose.model('Boundary', boundarySchema);
+
+module.exports = Boundary;
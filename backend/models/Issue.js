@@ -163,7 +163,147 @@ issueSchema.add({
         consent: { type: Boolean, default: true }, // creator auto-consents; merged reporters start as null until response
         joinedAt: { type: Date, default: Date.now }
     }],
-    thumbnailImage: { type: String } // first reporter's first image becomes thumbnail
+    thumbnailImage: { type: String }, // first reporter's first image becomes thumbnail
+    // On a duplicate: voters its merge added to the canonical (utils/issueMerge.js), the only votes an unmerge
+    // takes back. Left unset on duplicates merged before it was recorded.
+    mergeAddedVoters: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        default: undefined
+    }
+});
+
+// SLA tracking (maintained by utils/slaEngine.js)
+// dueAt: when the issue breaches in its current status; breachedStatus: status it was in when last breached
+issueSchema.add({
+    sla: {
+        dueAt: { type: Date },
+        breached: { type: Boolean, default: false },
+        breachedAt: { type: Date },
+        breachedStatus: { type: String },
+        breachCount: { type: Number, default: 0 }
+    }
+});
+issueSchema.index({ status: 1, 'sla.breached': 1 });
+
+// Citizen verification of a resolution (POST /api/issues/:id/verify)
+// status: awaiting after each resolve; accepted/rejected once a reporter responds. round increments on every resolve
+// so a reporter can respond once per resolution attempt; responses keep the full history across rounds.
+issueSchema.add({
+    resolutionVerification: {
+        status: { type: String, enum: ['awaiting', 'accepted', 'rejected'] },
+        round: { type: Number, default: 0 },
+        verifiedAt: { type: Date },
+        rejectionCount: { type: Number, default: 0 },
+        responses: [{
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            decision: { type: String, enum: ['accepted', 'rejected'] },
+            comment: String,
+            image: String,
+            round: Number,
+            respondedAt: { type: Date, default: Date.now }
+        }]
+    }
+});
+
+// Keyword categorizer output captured at creation, stored next to the citizen-picked category
+// so mis-categorization rates can be measured (matchesSelected=false => citizen disagreed with top suggestion)
+issueSchema.add({
+    categorySuggestion: {
+        category: { type: String },
+        confidence: { type: Number },
+        matchesSelected: { type: Boolean },
+        suggestions: [{
+            _id: false,
+            category: String,
+            confidence: Number
+        }]
+    }
+});
+
+// Soft delete (DELETE /api/issues/:id, restore via POST /api/issues/:id/restore)
+// deletedWithCanonical: set on duplicates that were deleted because their canonical issue was deleted,
+// so restoring the canonical restores exactly those duplicates.
+issueSchema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deletionReason: { type: String },
+    deletedWithCanonical: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue' }
+});
+
+// Disaster-time triage: set at creation when the issue lies inside an active alert's area
+// (utils/alertIssues.js); computePriority boosts it while that alert stays active
+issueSchema.add({
+    alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', index: true }
+});
+
+// Manual priority overrides (PUT /api/issues/:id/priority): priorityOverride describes the current lock
+// (cleared on unlock), priorityHistory keeps every manual change and unlock with its justification
+issueSchema.add({
+    priorityOverride: {
+        setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        setAt: Date,
+        justification: String
+    },
+    priorityHistory: [{
+        from: { type: String, enum: ['low', 'medium', 'high', 'urgent'] },
+        to: { type: String, enum: ['low', 'medium', 'high', 'urgent'] },
+        // false when the change unlocked automatic recomputation
+        locked: Boolean,
+        justification: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        timestamp: { type: Date, default: Date.now }
+    }]
+});
+
+// Administrative area containing location.coordinates (utils/boundaries.js); set at creation and by
+// the backfill after every boundary import. code/name are copied so listings need no lookup.
+const boundaryRef = () => ({
+    boundary: { type: mongoose.Schema.Types.ObjectId, ref: 'Boundary' },
+    code: String,
+    name: String
+});
+issueSchema.add({
+    ward: boundaryRef(),
+    zone: boundaryRef()
+});
+issueSchema.index({ 'ward.code': 1 });
+issueSchema.index({ 'zone.code': 1 });
+
+// Automatic routing at creation (utils/routing.js): the rule that assigned the issue and what it chose.
+// overridden is set when an official first reassigns the issue to another department (officialChanged when
+// only the official changes), which is what GET /api/analytics/routing measures rule accuracy against.
+issueSchema.add({
+    routing: {
+        rule: { type: mongoose.Schema.Types.ObjectId, ref: 'RoutingRule', index: true },
+        ruleName: String,
+        department: String,
+        official: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        routedAt: Date,
+        overridden: Boolean,
+        officialChanged: Boolean,
+        overrideDepartment: String,
+        overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        overriddenAt: Date
+    }
+});
+
+// Hide soft-deleted issues from every query and aggregation unless the filter / first $match
+// explicitly mentions deletedAt (e.g. { deletedAt: { $ne: null } } to list or restore deleted issues).
+// Hard deletes are covered too, so a soft-deleted issue stays restorable unless a purge names deletedAt.
+const SOFT_DELETE_QUERY_HOOKS = [
+    'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate', 'updateMany', 'updateOne',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+issueSchema.pre(SOFT_DELETE_QUERY_HOOKS, function() {
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+});
+issueSchema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first?.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) return;
+    // $geoNear must stay the first stage
+    pipeline.splice(first?.$geoNear ? 1 : 0, 0, { $match: { deletedAt: null } });
 });
 
 // Ensure reporters includes original reporter on save (only for new docs)
@@ -16,13 +16,19 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['issue-submission', 'status-update', 'assignment', 'resolution', 'upvote', 'alert', 'system'],
+        enum: ['issue-submission', 'status-update', 'assignment', 'resolution', 'upvote', 'escalation', 'alert', 'system'],
         required: true
     },
     relatedIssue: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Issue'
     },
+    // Set for alert fan-out so follow-ups (e.g. all clear) reach the same recipients
+    relatedAlert: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert',
+        index: true
+    },
     isRead: {
         type: Boolean,
         default: false
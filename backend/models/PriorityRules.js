@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { priorityKeywords } = require('../utils/issueCategorization');
+
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+const CLUSTER_MIN_OTHERS = parseInt(process.env.CLUSTER_MIN_OTHERS || '2', 10);
+
+// Admin-editable rules used by utils/priority.js (one document, key 'default').
+// The defaults reproduce the original hard-coded behaviour: vote thresholds 7/2, a one level bump for
+// 3+ same-category issues within 100 m, SLA breach and active alert bumps. Levels are steps on
+// low -> medium -> high -> urgent; negative category weights lower the priority.
+const priorityRulesSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    // Category -> levels added to the vote baseline (e.g. { 'Water Supply': 1 })
+    categoryWeights: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    // Highest matching threshold sets the baseline; fewer votes than every threshold => low
+    voteThresholds: {
+        type: [{
+            _id: false,
+            minVotes: { type: Number, required: true, min: 1 },
+            priority: { type: String, enum: PRIORITY_LEVELS, required: true }
+        }],
+        default: () => [{ minVotes: 7, priority: 'high' }, { minVotes: 2, priority: 'medium' }]
+    },
+    cluster: {
+        enabled: { type: Boolean, default: true },
+        radiusMeters: { type: Number, default: 100, min: 1 },
+        // OTHER issues of the same category required within the radius
+        minOthers: { type: Number, default: CLUSTER_MIN_OTHERS, min: 1 },
+        levels: { type: Number, default: 1 }
+    },
+    // Old issues lose levels: one after startAfterDays, one more every everyDays, at most maxLevels
+    ageDecay: {
+        enabled: { type: Boolean, default: false },
+        startAfterDays: { type: Number, default: 30, min: 0 },
+        everyDays: { type: Number, default: 30, min: 1 },
+        maxLevels: { type: Number, default: 1, min: 0 }
+    },
+    // Title/description keywords signalling a safety risk (seeded from estimatePriority's urgent list)
+    safetyKeywords: {
+        enabled: { type: Boolean, default: false },
+        keywords: { type: [String], default: () => [...priorityKeywords.urgent] },
+        levels: { type: Number, default: 1 }
+    },
+    slaBreach: {
+        enabled: { type: Boolean, default: true },
+        levels: { type: Number, default: 1 }
+    },
+    alertBoost: {
+        enabled: { type: Boolean, default: true },
+        levels: { type: Number, default: 1 }
+    },
+    version: {
+        type: Number,
+        default: 1
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const PriorityRules = mongoose.model('PriorityRules', priorityRulesSchema);
+
+module.exports = PriorityRules;
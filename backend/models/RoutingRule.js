@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Admin-maintained routing table used by utils/routing.js when an issue is created.
+// Rules are tried by ascending order; the first enabled rule whose non-empty conditions all match
+// assigns the issue to its department (and default official, if any).
+const routingRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    order: {
+        type: Number,
+        default: 100
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Empty lists match any value; a rule needs at least one non-empty list
+    match: {
+        categories: [{ type: String, trim: true }],
+        // Boundary codes, compared with Issue.ward.code
+        wards: [{ type: String, trim: true }],
+        pincodes: [{ type: String, trim: true }]
+    },
+    department: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Optional default official (a government user)
+    official: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+routingRuleSchema.index({ enabled: 1, order: 1 });
+
+const RoutingRule = mongoose.model('RoutingRule', routingRuleSchema);
+
+module.exports = RoutingRule;
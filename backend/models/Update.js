@@ -32,7 +32,8 @@ const updateSchema = new mongoose.Schema({
             default: 'Point'
         },
         coordinates: {
-            type: [Number] // [longitude, latitude]
+            type: [Number], // [longitude, latitude]
+            default: undefined // keep the 2dsphere index valid for city/state-only targets
         },
         address: String,
         city: String,
@@ -36,11 +36,52 @@ const userSchema = new mongoose.Schema({
             return this.role === 'government';
         }
     },
+    // Department heads receive SLA escalations for every issue of their department
+    isDepartmentHead: {
+        type: Boolean,
+        default: false
+    },
+    // Administrators (government officials) may edit system-wide settings such as priority rules
+    isAdmin: {
+        type: Boolean,
+        default: false
+    },
     location: {
         city: String,
         state: String,
         pincode: String
     },
+    // Optional places (GeoJSON points, [longitude, latitude]) used to target area alerts;
+    // citizens without any place only receive untargeted broadcasts
+    homeLocation: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        },
+        address: String
+    },
+    savedPlaces: [{
+        label: {
+            type: String,
+            trim: true
+        },
+        location: {
+            type: {
+                type: String,
+                enum: ['Point'],
+                default: 'Point'
+            },
+            coordinates: {
+                type: [Number],
+                required: true
+            }
+        },
+        address: String
+    }],
     profilePicture: {
         type: String
     },
@@ -78,6 +119,9 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
+userSchema.index({ homeLocation: '2dsphere' });
+userSchema.index({ 'savedPlaces.location': '2dsphere' });
+
 // Pre-save hook to hash password
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password') || !this.password) return next();
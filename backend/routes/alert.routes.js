@@ -18,12 +18,17 @@ router.post(
         body('description').not().isEmpty().withMessage('Description is required'),
         body('type').isIn(['flood', 'earthquake', 'heavy-rain', 'cyclone', 'heatwave', 'other']).withMessage('Invalid alert type'),
         body('severity').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity level'),
-        body('location.latitude').isFloat().withMessage('Valid latitude is required'),
-        body('location.longitude').isFloat().withMessage('Valid longitude is required')
+        // Either a point (+ radius) or a GeoJSON area is required
+        body('location.latitude').if(body('location.area').not().exists()).isFloat().withMessage('Valid latitude is required'),
+        body('location.longitude').if(body('location.area').not().exists()).isFloat().withMessage('Valid longitude is required'),
+        body('location.radius').optional().isFloat({ gt: 0 }).withMessage('Radius must be a positive number of kilometres')
     ],
     alertController.createAlert
 );
 
+// Issues reported inside the alert area route (government only)
+router.get('/:id/issues', authenticate, authorizeGovernment, alertController.getAlertIssues);
+
 // Update alert status route (government only)
 router.put(
     '/:id',
@@ -32,7 +37,10 @@ router.put(
     alertController.updateAlertStatus
 );
 
-// Fetch external alerts route
+// Preview external feed alerts route
 router.get('/external', authenticate, alertController.fetchExternalAlerts);
 
+// Ingest external feeds now route (government only)
+router.post('/ingest', authenticate, authorizeGovernment, alertController.ingestExternalAlerts);
+
 module.exports = router;
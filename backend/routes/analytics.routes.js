@@ -10,12 +10,24 @@ router.get('/overall', authenticate, authorizeGovernment, analyticsController.ge
 // Get trend data route (government only)
 router.get('/trends', authenticate, authorizeGovernment, analyticsController.getTrendData);
 
-// Get heatmap data route
-router.get('/heatmap', authenticate, analyticsController.getHeatmapData);
+// Get heatmap data route (government only; citizens use the public /api/issues/nearby feed)
+router.get('/heatmap', authenticate, authorizeGovernment, analyticsController.getHeatmapData);
+
+// Get geohash hotspot cells route (government only)
+router.get('/hotspots', authenticate, authorizeGovernment, analyticsController.getHotspots);
+
+// Get per-ward issue statistics route (government only)
+router.get('/wards', authenticate, authorizeGovernment, analyticsController.getWardStats);
+
+// Get automatic routing accuracy route (government only)
+router.get('/routing', authenticate, authorizeGovernment, analyticsController.getRoutingAccuracy);
 
 // Get department metrics route (government only)
 router.get('/departments', authenticate, authorizeGovernment, analyticsController.getDepartmentMetrics);
 
+// Get SLA breach metrics per department route (government only)
+router.get('/sla', authenticate, authorizeGovernment, analyticsController.getSlaMetrics);
+
 // Get user engagement metrics route (government only)
 router.get('/user-engagement', authenticate, authorizeGovernment, analyticsController.getUserEngagementMetrics);
 
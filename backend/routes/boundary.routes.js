@@ -0,0 +1,23 @@
+const express = require('express');
+const boundaryController = require('../controllers/boundary.controller');
+const { authenticate, authorizeGovernment, authorizeAdmin } = require('../middlewares/auth.middleware');
+const { boundaryFile, handleUploadErrors } = require('../middlewares/upload.middleware');
+
+const router = express.Router();
+
+// List ward/zone boundaries with issue counts (government)
+router.get('/', authenticate, authorizeGovernment, boundaryController.getBoundaries);
+
+// Import a GeoJSON FeatureCollection of boundaries and re-tag issues (admin)
+router.post('/import', authenticate, authorizeAdmin, boundaryFile, handleUploadErrors, boundaryController.importBoundaries);
+
+// Re-tag existing issues with their ward/zone (admin)
+router.post('/backfill', authenticate, authorizeAdmin, boundaryController.backfill);
+
+// Get one boundary with its geometry (government)
+router.get('/:id', authenticate, authorizeGovernment, boundaryController.getBoundary);
+
+// Delete a boundary (admin)
+router.delete('/:id', authenticate, authorizeAdmin, boundaryController.deleteBoundary);
+
+module.exports = router;
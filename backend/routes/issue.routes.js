@@ -5,6 +5,7 @@ const { body } = require('express-validator');
 const issueController = require('../controllers/issue.controller');
 const chatController = require('../controllers/chat.controller');
 const { authenticate, authorizeGovernment } = require('../middlewares/auth.middleware');
+const { verificationPhoto, resolutionImages, handleUploadErrors } = require('../middlewares/upload.middleware');
 
 const router = express.Router();
 
@@ -68,6 +69,19 @@ router.get('/all', authenticate, authorizeGovernment, issueController.getAllIssu
 // Retroactive clustering (dedupe existing issues) - government only
 router.post('/cluster/retroactive', authenticate, authorizeGovernment, issueController.retroactiveCluster);
 
+// Soft-deleted issues awaiting review/restore (government only)
+router.get('/deleted', authenticate, authorizeGovernment, issueController.getDeletedIssues);
+
+// Open issues currently breaching their SLA (government only)
+router.get('/sla/breaches', authenticate, authorizeGovernment, issueController.getSlaBreaches);
+
+// Suggest categories from title/description (keyword categorizer)
+router.post('/suggest', authenticate, [
+    body('title').optional().isString().trim().isLength({ max: 100 }).withMessage('Title must be less than 100 characters'),
+    body('description').optional().isString().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+    body().custom(value => !!(value?.title || value?.description)).withMessage('Title or description is required')
+], issueController.suggestCategory);
+
 // Reporter consent for merged issue participation
 router.post('/:id/consent', authenticate, issueController.recordConsent);
 
@@ -143,6 +157,9 @@ router.get('/statistics', authenticate, issueController.getIssueStatistics);
 // Get current user's issues
 router.get('/user/me', authenticate, issueController.getUserIssues);
 
+// Public map feed of issues around a point (?lat=&lng=&radius=&category=&status=)
+router.get('/nearby', issueController.getNearbyIssues);
+
 // Get single issue by ID
 router.get('/:id', issueController.getIssueById);
 
@@ -193,9 +210,45 @@ router.put('/:id/assign', authenticate, authorizeGovernment, [
 // Update issue status (government only)
 router.put('/:id/status', authenticate, authorizeGovernment, [
     body('status').isIn(['pending', 'acknowledged', 'assigned', 'in-progress', 'resolved', 'rejected', 'closed']).withMessage('Invalid status'),
-    body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment must be less than 500 characters')
+    body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment must be less than 500 characters'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
 ], issueController.updateIssueStatus);
 
+// Manually set and lock an issue's priority, or unlock it (lock=false) for automatic recomputation (government only)
+router.put('/:id/priority', authenticate, authorizeGovernment, [
+    body('lock').optional().isBoolean().withMessage('Lock must be true or false'),
+    body('priority').if(body('lock').not().isIn([false, 'false'])).isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+    body('justification').trim().notEmpty().withMessage('A justification is required').isLength({ max: 500 }).withMessage('Justification must be less than 500 characters')
+], issueController.setIssuePriority);
+
+// Soft-delete an issue (government, or the reporter while pending)
+router.delete('/:id', authenticate, [
+    body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], issueController.deleteIssue);
+
+// Split a wrongly merged duplicate back out into an independent issue (government only)
+router.post('/:id/unmerge', authenticate, authorizeGovernment, [
+    body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], issueController.unmergeIssue);
+
+// Restore a soft-deleted issue (government only)
+router.post('/:id/restore', authenticate, authorizeGovernment, issueController.restoreIssue);
+
+// Allowed next statuses for an issue (government only)
+router.get('/:id/transitions', authenticate, authorizeGovernment, issueController.getIssueTransitions);
+
+// Resolution proof ("after" images) uploaded by officials
+router.post('/:id/resolution-proof', authenticate, authorizeGovernment, resolutionImages, handleUploadErrors, [
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters')
+], issueController.addResolutionProof);
+
+// Reporter verification of a resolution: accept, or reject with comment + photo (reopens the issue)
+router.post('/:id/verify', authenticate, verificationPhoto, handleUploadErrors, [
+    body('decision').isIn(['accepted', 'rejected']).withMessage('Decision must be accepted or rejected'),
+    body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment must be less than 500 characters'),
+    body('comment').if(body('decision').equals('rejected')).notEmpty().withMessage('A comment is required to dispute a resolution')
+], issueController.verifyResolution);
+
 // Vote on issue
 router.post('/:id/vote', authenticate, issueController.voteOnIssue);
 
@@ -27,7 +27,7 @@ router.post(
         body('recipient').not().isEmpty().withMessage('Recipient is required'),
         body('title').not().isEmpty().withMessage('Title is required'),
         body('message').not().isEmpty().withMessage('Message is required'),
-        body('type').isIn(['issue-submission', 'status-update', 'assignment', 'resolution', 'upvote', 'alert', 'system']).withMessage('Invalid notification type')
+        body('type').isIn(['issue-submission', 'status-update', 'assignment', 'resolution', 'upvote', 'escalation', 'alert', 'system']).withMessage('Invalid notification type')
     ],
     notificationController.createNotification
 );
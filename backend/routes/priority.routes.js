@@ -0,0 +1,22 @@
+const express = require('express');
+const priorityController = require('../controllers/priority.controller');
+const { authenticate, authorizeGovernment, authorizeAdmin } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// Get current priority rules (government)
+router.get('/', authenticate, authorizeGovernment, priorityController.getRules);
+
+// Preview the effect of proposed rules on open issues (admin, nothing is saved)
+router.post('/dry-run', authenticate, authorizeAdmin, priorityController.dryRun);
+
+// Save priority rules (admin)
+router.put('/', authenticate, authorizeAdmin, priorityController.updateRules);
+
+// Start recomputing priority for all open issues in the background (government)
+router.post('/recompute', authenticate, authorizeGovernment, priorityController.recompute);
+
+// Progress and last summary of the priority recomputation (government)
+router.get('/recompute/status', authenticate, authorizeGovernment, priorityController.recomputeStatus);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const routingController = require('../controllers/routing.controller');
+const { authenticate, authorizeGovernment, authorizeAdmin } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// Get the routing table (government)
+router.get('/', authenticate, authorizeGovernment, routingController.getRules);
+
+// Find the rule that would route a category / ward / pincode (government)
+router.post('/test', authenticate, authorizeGovernment, routingController.testRules);
+
+// Create a routing rule (admin)
+router.post('/', authenticate, authorizeAdmin, routingController.createRule);
+
+// Update a routing rule (admin)
+router.put('/:id', authenticate, authorizeAdmin, routingController.updateRule);
+
+// Delete a routing rule (admin)
+router.delete('/:id', authenticate, authorizeAdmin, routingController.deleteRule);
+
+module.exports = router;
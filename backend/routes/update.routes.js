@@ -1,13 +1,14 @@
 const express = require('express');
 const { body } = require('express-validator');
 const updateController = require('../controllers/update.controller');
-const { authenticate, authorizeGovernment } = require('../middlewares/auth.middleware');
+const { authenticate, optionalAuthenticate, authorizeGovernment } = require('../middlewares/auth.middleware');
 const { updateAttachments, handleUploadErrors } = require('../middlewares/upload.middleware');
 
 const router = express.Router();
 
-// Get all government updates route
-router.get('/', authenticate, updateController.getUpdates);
+// Public announcements feed (filter by city, state, department, category)
+// Government officials may also list inactive updates with ?isActive=false|all
+router.get('/', optionalAuthenticate, updateController.getUpdates);
 
 // Create new government update route (government only)
 router.post(
@@ -19,13 +20,16 @@ router.post(
     [
         body('title').not().isEmpty().withMessage('Title is required'),
         body('content').not().isEmpty().withMessage('Content is required'),
-        body('category').isIn(['news', 'announcement', 'project', 'awareness', 'event', 'other']).withMessage('Invalid category')
+        body('category').optional().isIn(['news', 'announcement', 'project', 'awareness', 'event', 'other']).withMessage('Invalid category'),
+        body('location.latitude').optional({ values: 'falsy' }).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+        body('location.longitude').optional({ values: 'falsy' }).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+        body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end date')
     ],
     updateController.createUpdate
 );
 
-// Get update by ID route
-router.get('/:id', authenticate, updateController.getUpdateById);
+// Get update by ID route (public; inactive updates only for government officials)
+router.get('/:id', optionalAuthenticate, updateController.getUpdateById);
 
 // Update government update route (government only)
 router.put(
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Backfill: tag existing issues with the ward/zone boundary containing their location
+// Usage: node scripts/backfillIssueWards.js [--only-missing]
+require('dotenv').config();
+const { connectDB } = require('../config/db');
+const { backfillIssueBoundaries } = require('../utils/boundaries');
+
+(async () => {
+  try {
+    await connectDB();
+    const summary = await backfillIssueBoundaries({ onlyMissing: process.argv.includes('--only-missing') });
+    console.log('Backfill complete:', JSON.stringify(summary));
+    process.exit(0);
+  } catch (e) {
+    console.error('Backfill failed:', e);
+    process.exit(1);
+  }
+})();
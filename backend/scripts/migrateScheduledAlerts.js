@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// Migration: flag alerts that were waiting for their start time before Alert.scheduled existed,
+// so the lifecycle scheduler still activates them (inactive, never activated or ended, start in the future)
+// Usage: node scripts/migrateScheduledAlerts.js
+require('dotenv').config();
+const { connectDB } = require('../config/db');
+const Alert = require('../models/Alert');
+
+(async () => {
+  try {
+    await connectDB();
+    const result = await Alert.updateMany(
+      { scheduled: { $ne: true }, isActive: false, activatedAt: null, endedAt: null, startTime: { $gt: new Date() } },
+      { $set: { scheduled: true } }
+    );
+    console.log('Migration complete: scheduled', result.modifiedCount, 'alert(s)');
+    process.exit(0);
+  } catch (e) {
+    console.error('Migration failed:', e);
+    process.exit(1);
+  }
+})();
@@ -37,6 +37,7 @@ async function seedUsers() {
                 password: await bcrypt.hash('password123', 10),
                 role: 'government',
                 department: 'Public Works',
+                isDepartmentHead: true,
                 isVerified: true,
                 address: {
                     street: '456 Government Ave',
@@ -53,6 +54,7 @@ async function seedUsers() {
                 password: await bcrypt.hash('admin123', 10),
                 role: 'government',
                 department: 'Administration',
+                isAdmin: true,
                 isVerified: true,
                 address: {
                     street: '789 Admin Blvd',
@@ -0,0 +1,135 @@
+// Geo-targeted alert delivery
+// An alert reaches every citizen whose home location or one of their saved places lies inside
+// the alert area: location.area (Polygon/MultiPolygon) when set, otherwise the circle
+// location.coordinates + location.radius (km). Recipients are streamed with a
+// cursor and handled in batches: one Notification.insertMany and one socket emit per batch, so
+// there is no cap on the audience size. Totals are written to alert.delivery.
+// Later changes to the alert ('alertUpdate') go to the same audience plus officials, never to everyone.
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { userRoom, GOVERNMENT_ROOM } = require('./socketRooms');
+const { EARTH_RADIUS_KM } = require('./geoArea');
+const { log, warn } = require('./logger');
+
+const DEFAULT_RADIUS_KM = 5;
+const FANOUT_BATCH_SIZE = parseInt(process.env.ALERT_FANOUT_BATCH_SIZE || '500', 10);
+
+/**
+ * Citizens with any place inside the alert area.
+ * $geoWithin works on both GeoJSON points and arrays of them (savedPlaces) and can be OR-ed.
+ * @param {Alert} alert
+ * @returns {Object} User filter
+ */
+function alertAudienceQuery(alert) {
+    const area = alert.location?.area;
+    const radiusKm = alert.location?.radius || DEFAULT_RADIUS_KM;
+    const within = area?.type
+        ? { $geoWithin: { $geometry: { type: area.type, coordinates: area.coordinates } } }
+        : { $geoWithin: { $centerSphere: [alert.location.coordinates, radiusKm / EARTH_RADIUS_KM] } };
+    return {
+        role: 'citizen',
+        $or: [
+            { homeLocation: within },
+            { 'savedPlaces.location': within }
+        ]
+    };
+}
+
+/**
+ * Store one notification per recipient and emit `event` to their personal rooms, batch by batch.
+ * @param {AsyncIterable<{_id: ObjectId}>} cursor Recipients (user ids in `_id`)
+ * @param {Object} notification Notification fields without `recipient`
+ * @param {import('socket.io').Server} [io]
+ * @param {string} event Socket event sent to every batch
+ * @param {*} payload Socket payload
+ * @returns {Promise<{matched: number, notified: number, failed: number, batches: number}>}
+ */
+async function deliverInBatches(cursor, notification, io, event, payload) {
+    const delivery = { matched: 0, notified: 0, failed: 0, batches: 0 };
+
+    const flush = async (recipients) => {
+        delivery.batches += 1;
+        try {
+            await Notification.insertMany(recipients.map(recipient => ({ ...notification, recipient })), { ordered: false });
+            delivery.notified += recipients.length;
+        } catch (e) {
+            // ordered:false keeps going past bad documents; count what actually landed
+            const inserted = e.insertedDocs?.length || 0;
+            delivery.notified += inserted;
+            delivery.failed += recipients.length - inserted;
+            warn(`[alertFanout] ${event} batch=${delivery.batches} insert failed: ${e.message}`);
+        }
+        if (io) io.to(recipients.map(id => userRoom(id))).emit(event, payload);
+    };
+
+    let batch = [];
+    for await (const doc of cursor) {
+        delivery.matched += 1;
+        batch.push(doc._id);
+        if (batch.length >= FANOUT_BATCH_SIZE) {
+            await flush(batch);
+            batch = [];
+        }
+    }
+    if (batch.length) await flush(batch);
+    return delivery;
+}
+
+/**
+ * Notify (stored notification + 'newAlert' socket event) every citizen inside the alert area.
+ * @param {Alert} alert Saved alert document
+ * @param {import('socket.io').Server} [io]
+ * @returns {Promise<{matched: number, notified: number, failed: number, batches: number, completedAt: Date}>}
+ */
+async function fanOutAlert(alert, io) {
+    const cursor = User.find(alertAudienceQuery(alert)).select('_id').lean().cursor({ batchSize: FANOUT_BATCH_SIZE });
+    const delivery = await deliverInBatches(cursor, {
+        title: `ALERT: ${alert.title}`,
+        message: alert.description,
+        type: 'alert',
+        relatedAlert: alert._id
+    }, io, 'newAlert', alert);
+
+    delivery.completedAt = new Date();
+    alert.delivery = delivery;
+    await alert.save();
+    log(`[alertFanout] alert=${alert._id} matched=${delivery.matched} notified=${delivery.notified} failed=${delivery.failed} batches=${delivery.batches}`);
+    return delivery;
+}
+
+/**
+ * Emit `event` to officials and to every citizen inside the alert area (no stored notification).
+ * Failures are logged, not thrown, so callers can finish their own work.
+ * @param {Alert} alert
+ * @param {import('socket.io').Server} [io]
+ * @param {string} event
+ * @param {*} [payload] Defaults to the alert
+ */
+async function emitToAlertAudience(alert, io, event, payload = alert) {
+    if (!io) return;
+    try {
+        io.to(GOVERNMENT_ROOM).emit(event, payload);
+        const cursor = User.find(alertAudienceQuery(alert)).select('_id').lean().cursor({ batchSize: FANOUT_BATCH_SIZE });
+        let rooms = [];
+        for await (const doc of cursor) {
+            rooms.push(userRoom(doc._id));
+            if (rooms.length >= FANOUT_BATCH_SIZE) {
+                io.to(rooms).emit(event, payload);
+                rooms = [];
+            }
+        }
+        if (rooms.length) io.to(rooms).emit(event, payload);
+    } catch (e) {
+        warn(`[alertFanout] ${event} alert=${alert._id} emit failed: ${e.message}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    FANOUT_BATCH_SIZE,
+    alertAudienceQuery,
+    deliverInBatches,
+    fanOutAlert,
+    emitToAlertAudience
+};
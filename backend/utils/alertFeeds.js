@@ -0,0 +1,203 @@
+// Parsers for external alert feeds
+// Both formats are normalized to plain objects shaped like the Alert schema plus `externalId`,
+// which ingestion (utils/alertIngestion.js) uses to deduplicate:
+//   CAP 1.2 XML   -> one alert per <alert> (first <info> block, English preferred); <circle>/<polygon> areas
+//   GeoJSON       -> one alert per Feature; Point geometry + properties.radius (km) or Polygon/MultiPolygon
+// Polygon areas are kept as location.area (GeoJSON) and also reduced to a covering point + radius.
+// CAP "Cancel" messages come back with `cancels: [externalId]` instead of an alert body.
+
+const { XMLParser } = require('fast-xml-parser');
+const { DEFAULT_RADIUS_KM } = require('./alertFanout');
+const { circleAround, normalizeArea, areaCircle } = require('./geoArea');
+
+// CAP <severity> / NWS style severities -> Alert.severity
+const SEVERITY_MAP = {
+    extreme: 'critical',
+    severe: 'high',
+    moderate: 'medium',
+    minor: 'low',
+    unknown: 'low',
+    critical: 'critical',
+    high: 'high',
+    medium: 'medium',
+    low: 'low'
+};
+
+// First keyword found in the event name/category decides Alert.type
+const TYPE_KEYWORDS = [
+    ['flood', 'flood'],
+    ['earthquake', 'earthquake'],
+    ['seismic', 'earthquake'],
+    ['cyclone', 'cyclone'],
+    ['hurricane', 'cyclone'],
+    ['typhoon', 'cyclone'],
+    ['heat', 'heatwave'],
+    ['rain', 'heavy-rain'],
+    ['storm', 'heavy-rain'],
+    ['thunder', 'heavy-rain']
+];
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: true,
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => ['alert', 'info', 'area', 'polygon', 'circle'].includes(name)
+});
+
+function mapSeverity(value) {
+    return SEVERITY_MAP[String(value || '').toLowerCase()] || 'low';
+}
+
+function mapType(...texts) {
+    const haystack = texts.filter(Boolean).join(' ').toLowerCase();
+    const hit = TYPE_KEYWORDS.find(([keyword]) => haystack.includes(keyword));
+    return hit ? hit[1] : 'other';
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Polygon(s) -> { area, coordinates, radius }; malformed polygons fall back to their covering circle
+function polygonLocation(geometry) {
+    try {
+        const area = normalizeArea(geometry);
+        return { area, ...areaCircle(area) };
+    } catch {
+        const vertices = [];
+        const walk = (value) => {
+            if (Array.isArray(value) && typeof value[0] === 'number') vertices.push(value);
+            else if (Array.isArray(value)) value.forEach(walk);
+        };
+        walk(geometry.coordinates || (geometry.geometries || []).map(g => g.coordinates));
+        return circleAround(vertices.filter(v => v.length >= 2));
+    }
+}
+
+// CAP area: "<lat>,<lon> <radiusKm>" circles or "lat,lon lat,lon ..." polygons (note lat first)
+function capAreaToLocation(areas = []) {
+    const circles = [];
+    const polygons = [];
+    areas.forEach(area => {
+        (area.circle || []).forEach(text => {
+            const [pair, radius] = String(text).trim().split(/\s+/);
+            const [lat, lng] = pair.split(',').map(Number);
+            if (!Number.isNaN(lat) && !Number.isNaN(lng)) circles.push({ coordinates: [lng, lat], radius: Number(radius) || DEFAULT_RADIUS_KM });
+        });
+        (area.polygon || []).forEach(text => {
+            const ring = String(text).trim().split(/\s+/)
+                .map(pair => pair.split(',').map(Number))
+                .filter(([lat, lng]) => !Number.isNaN(lat) && !Number.isNaN(lng))
+                .map(([lat, lng]) => [lng, lat]);
+            if (ring.length) polygons.push({ type: 'Polygon', coordinates: [ring] });
+        });
+    });
+    const areaDesc = areas.map(a => a.areaDesc).filter(Boolean).join('; ') || undefined;
+    if (polygons.length) {
+        const location = polygonLocation({ type: 'GeometryCollection', geometries: polygons });
+        if (location) return { ...location, areaDesc };
+    }
+    const circle = circles[0];
+    if (!circle) return null;
+    return { coordinates: circle.coordinates, radius: circle.radius, areaDesc };
+}
+
+/**
+ * Parse a CAP 1.2 document (single <alert> or a feed wrapping several).
+ * @param {string} xml
+ * @returns {Array<Object>} Normalized alerts, or `{ cancels: [externalId] }` entries for Cancel messages
+ */
+function parseCap(xml) {
+    const doc = xmlParser.parse(xml);
+    const alerts = [];
+    const collect = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node.alert)) alerts.push(...node.alert);
+        Object.values(node).forEach(child => {
+            if (child && typeof child === 'object' && !Array.isArray(child)) collect(child);
+        });
+    };
+    collect(doc);
+
+    return alerts.map(cap => {
+        const sender = cap.sender || 'unknown';
+        const externalId = `cap:${sender}:${cap.identifier}`;
+        if (String(cap.msgType).toLowerCase() === 'cancel') {
+            // references: "sender,identifier,sent sender,identifier,sent"
+            const cancels = String(cap.references || '').trim().split(/\s+/).filter(Boolean)
+                .map(ref => {
+                    const [refSender, refId] = ref.split(',');
+                    return `cap:${refSender}:${refId}`;
+                });
+            return { externalId, cancels };
+        }
+        const infos = cap.info || [];
+        const info = infos.find(i => /^en/i.test(i.language || 'en')) || infos[0];
+        if (!info) return null;
+        const location = capAreaToLocation(info.area);
+        if (!location) return null;
+        const description = [info.description, info.instruction].filter(Boolean).join('\n\n');
+        return {
+            externalId,
+            title: info.headline || info.event || 'Alert',
+            description: description || info.headline || info.event,
+            type: mapType(info.event, Array.isArray(info.category) ? info.category.join(' ') : info.category),
+            severity: mapSeverity(info.severity),
+            location,
+            startTime: toDate(info.onset) || toDate(info.effective) || toDate(cap.sent) || new Date(),
+            endTime: toDate(info.expires),
+            source: info.senderName || sender
+        };
+    }).filter(Boolean);
+}
+
+function geometryToLocation(geometry, radius) {
+    if (!geometry) return null;
+    if (geometry.type === 'Point') {
+        return { coordinates: geometry.coordinates.slice(0, 2), radius: Number(radius) || DEFAULT_RADIUS_KM };
+    }
+    if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') return polygonLocation(geometry);
+    return null;
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection (or single Feature) of alerts.
+ * Recognized properties: id/identifier, headline/title/event, description, instruction, event/type,
+ * severity, onset/effective/startTime, expires/ends/endTime, areaDesc, radius (km), senderName/source.
+ * @param {string|Object} input
+ * @returns {Array<Object>}
+ */
+function parseGeoJson(input) {
+    const doc = typeof input === 'string' ? JSON.parse(input) : input;
+    const features = doc.type === 'FeatureCollection' ? doc.features || [] : [doc];
+    return features.map(feature => {
+        const p = feature.properties || {};
+        const id = p.identifier || p.id || feature.id;
+        if (!id) return null;
+        const location = geometryToLocation(feature.geometry, p.radius);
+        if (!location) return null;
+        location.areaDesc = p.areaDesc || undefined;
+        const description = [p.description, p.instruction].filter(Boolean).join('\n\n');
+        return {
+            externalId: `geojson:${id}`,
+            title: p.headline || p.title || p.event || 'Alert',
+            description: description || p.headline || p.title || p.event,
+            type: mapType(p.type, p.event),
+            severity: mapSeverity(p.severity),
+            location,
+            startTime: toDate(p.onset) || toDate(p.effective) || toDate(p.startTime) || new Date(),
+            endTime: toDate(p.ends) || toDate(p.expires) || toDate(p.endTime),
+            source: p.senderName || p.source || 'GeoJSON feed'
+        };
+    }).filter(Boolean);
+}
+
+module.exports = {
+    parseCap,
+    parseGeoJson,
+    mapSeverity,
+    mapType
+};
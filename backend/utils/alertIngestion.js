@@ -0,0 +1,194 @@
+// External alert ingestion
+// A provider is { name, format: 'cap' | 'geojson', source, fetch() } where source is a URL or a file path
+// (relative paths resolve from the backend folder). Providers come from ALERT_PROVIDERS, a comma-separated
+// list of "<format>:<source>" entries; the entry "sample" adds the bundled offline feeds in samples/alert-feeds.
+// Each run:
+//   - fetches and parses every provider (utils/alertFeeds.js); one failing provider does not stop the others
+//   - deduplicates on Alert.externalId: new alerts are activated and fanned out (or stored as scheduled when
+//     they start later), known ones are updated in place without notifying again, CAP Cancel messages end the
+//     alerts they reference (or cancel them before they start)
+//   - runs the lifecycle pass (utils/alertLifecycle.js) so alerts past endTime expire right away
+// startAlertIngestion(io) runs this every ALERT_INGEST_INTERVAL_MINUTES (default 10) when providers are configured.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Alert = require('../models/Alert');
+const { parseCap, parseGeoJson } = require('./alertFeeds');
+const { emitToAlertAudience } = require('./alertFanout');
+const { isScheduled, activateAlert, endAlert, cancelScheduledAlert, runAlertLifecycle } = require('./alertLifecycle');
+const { log, warn, error } = require('./logger');
+
+const INGEST_INTERVAL_MINUTES = parseInt(process.env.ALERT_INGEST_INTERVAL_MINUTES || '10', 10);
+const FETCH_TIMEOUT_MS = 15000;
+const SAMPLE_DIR = path.join(__dirname, '..', 'samples', 'alert-feeds');
+const PARSERS = { cap: parseCap, geojson: parseGeoJson };
+// Fields refreshed when a feed re-publishes a known alert
+const SYNCED_FIELDS = ['title', 'description', 'type', 'severity', 'location', 'startTime', 'endTime', 'source'];
+
+async function readSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+        const response = await axios.get(source, { responseType: 'text', timeout: FETCH_TIMEOUT_MS });
+        return response.data;
+    }
+    const file = path.isAbsolute(source) ? source : path.join(__dirname, '..', source);
+    return fs.promises.readFile(file, 'utf8');
+}
+
+/**
+ * @param {{name?: string, format: 'cap'|'geojson', source: string}} config
+ * @returns {{name: string, format: string, source: string, fetch: () => Promise<Object[]>}}
+ */
+function createFeedProvider({ name, format, source }) {
+    const parse = PARSERS[format];
+    if (!parse) throw new Error(`Unknown alert feed format "${format}"`);
+    return {
+        name: name || `${format}:${source}`,
+        format,
+        source,
+        fetch: async () => parse(await readSource(source))
+    };
+}
+
+// Offline stand-in: bundled CAP and GeoJSON samples, handy for local testing without network access
+function createSampleProviders() {
+    return [
+        createFeedProvider({ name: 'sample-cap', format: 'cap', source: path.join(SAMPLE_DIR, 'sample-cap.xml') }),
+        createFeedProvider({ name: 'sample-geojson', format: 'geojson', source: path.join(SAMPLE_DIR, 'sample-alerts.geojson') })
+    ];
+}
+
+/**
+ * Providers configured through ALERT_PROVIDERS ("cap:https://...,geojson:feeds/local.geojson,sample").
+ * Invalid entries are logged and skipped.
+ * @param {string} [spec]
+ */
+function configuredProviders(spec = process.env.ALERT_PROVIDERS || '') {
+    return spec.split(',').map(s => s.trim()).filter(Boolean).flatMap(entry => {
+        if (entry === 'sample') return createSampleProviders();
+        const sep = entry.indexOf(':');
+        try {
+            return [createFeedProvider({ format: entry.slice(0, sep).toLowerCase(), source: entry.slice(sep + 1) })];
+        } catch (e) {
+            warn(`[alertIngest] ignoring provider "${entry}": ${e.message}`);
+            return [];
+        }
+    });
+}
+
+async function upsertAlert(provider, item, io, summary) {
+    if (item.cancels) {
+        for (const externalId of item.cancels) {
+            // Active alerts end with an all clear; scheduled ones are closed so they never start
+            const cancelled = await Alert.findOne({ externalId });
+            if (cancelled?.isActive) {
+                await endAlert(cancelled, io);
+            } else if (cancelled && !cancelled.endedAt) {
+                await cancelScheduledAlert(cancelled, io);
+            } else {
+                continue;
+            }
+            summary.cancelled += 1;
+        }
+        return;
+    }
+
+    const existing = await Alert.findOne({ externalId: item.externalId });
+    if (existing) {
+        const before = JSON.stringify(SYNCED_FIELDS.map(f => existing.get(f)));
+        SYNCED_FIELDS.forEach(f => existing.set(f, item[f]));
+        if (JSON.stringify(SYNCED_FIELDS.map(f => existing.get(f))) === before) {
+            summary.unchanged += 1;
+            return;
+        }
+        await existing.save();
+        await emitToAlertAudience(existing, io, 'alertUpdate');
+        summary.updated += 1;
+        return;
+    }
+
+    if (item.endTime && item.endTime <= new Date()) {
+        summary.skippedExpired += 1;
+        return;
+    }
+
+    // Stored as scheduled even when it has already started: should activation fail below,
+    // the lifecycle pass picks the alert up again
+    const alert = new Alert({ ...item, provider: provider.name, isActive: false, scheduled: true });
+    try {
+        // Saved inactive first so the unique externalId settles races before anyone is notified
+        await alert.save();
+    } catch (e) {
+        // Another run (or provider) stored the same identifier first
+        if (e.code === 11000) {
+            summary.unchanged += 1;
+            return;
+        }
+        throw e;
+    }
+    if (!isScheduled(alert)) await activateAlert(alert, io);
+    summary.created += 1;
+}
+
+/**
+ * Fetch every provider once and sync the results into the Alert collection.
+ * @param {Array} providers
+ * @param {import('socket.io').Server} [io]
+ * @returns {Promise<Object>} Run summary
+ */
+async function ingestAlerts(providers, io) {
+    const summary = { providers: providers.length, fetched: 0, created: 0, updated: 0, unchanged: 0, cancelled: 0, skippedExpired: 0, activated: 0, expired: 0, failedProviders: [] };
+    for (const provider of providers) {
+        let items;
+        try {
+            items = await provider.fetch();
+        } catch (e) {
+            warn(`[alertIngest] provider=${provider.name} fetch failed: ${e.message}`);
+            summary.failedProviders.push({ name: provider.name, error: e.message });
+            continue;
+        }
+        summary.fetched += items.length;
+        for (const item of items) {
+            try {
+                await upsertAlert(provider, item, io, summary);
+            } catch (e) {
+                error(`[alertIngest] provider=${provider.name} externalId=${item.externalId} failed: ${e.message}`);
+            }
+        }
+    }
+    const lifecycle = await runAlertLifecycle(io);
+    summary.activated = lifecycle.activated;
+    summary.expired = lifecycle.expired;
+    log('[alertIngest] run complete', JSON.stringify(summary));
+    return summary;
+}
+
+function startAlertIngestion(io, providers = configuredProviders()) {
+    if (!providers.length) {
+        log('[alertIngest] no ALERT_PROVIDERS configured, scheduler not started');
+        return null;
+    }
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await ingestAlerts(providers, io);
+        } catch (e) {
+            error('[alertIngest] run failed', e.message);
+        } finally {
+            running = false;
+        }
+    };
+    log('[alertIngest] scheduler started providers=', providers.map(p => p.name).join(','), 'intervalMinutes=', INGEST_INTERVAL_MINUTES);
+    tick();
+    return setInterval(tick, INGEST_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+    createFeedProvider,
+    createSampleProviders,
+    configuredProviders,
+    ingestAlerts,
+    startAlertIngestion
+};
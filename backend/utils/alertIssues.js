@@ -0,0 +1,69 @@
+// Alert <-> issue linking for disaster-time triage
+// An issue reported inside the area of an active alert (polygon, or circle around location.coordinates)
+// is tagged with Issue.alertId so officials can work through everything reported during that alert.
+// When several active alerts cover the point, the most severe (then most recent) one wins.
+
+const Alert = require('../models/Alert');
+const { DEFAULT_RADIUS_KM } = require('./alertFanout');
+const { log } = require('./logger');
+
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+// Upper bound for circle alert radii, keeps the $geoNear scan bounded
+const MAX_ALERT_RADIUS_KM = 1000;
+
+function activeAlertFilter(now = new Date()) {
+    return { isActive: true, startTime: { $lte: now }, endTime: { $not: { $lte: now } } };
+}
+
+/**
+ * Active alerts whose area contains the point.
+ * @param {[number, number]} coordinates [longitude, latitude]
+ * @returns {Promise<Array<{_id, title, severity, startTime}>>} Most severe first
+ */
+async function findAlertsAtPoint(coordinates) {
+    const active = activeAlertFilter();
+    const point = { type: 'Point', coordinates };
+    const [polygonHits, circleHits] = await Promise.all([
+        Alert.find({ ...active, 'location.area': { $geoIntersects: { $geometry: point } } })
+            .select('title severity startTime')
+            .lean(),
+        Alert.aggregate([
+            {
+                $geoNear: {
+                    near: point,
+                    key: 'location.coordinates',
+                    distanceField: 'distance',
+                    spherical: true,
+                    maxDistance: MAX_ALERT_RADIUS_KM * 1000,
+                    query: { ...active, 'location.area.type': { $exists: false } }
+                }
+            },
+            // Inside the alert's own radius (km -> m)
+            { $match: { $expr: { $lte: ['$distance', { $multiply: [{ $ifNull: ['$location.radius', DEFAULT_RADIUS_KM] }, 1000] }] } } },
+            { $project: { title: 1, severity: 1, startTime: 1 } }
+        ])
+    ]);
+    return [...polygonHits, ...circleHits].sort((a, b) =>
+        (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0) ||
+        new Date(b.startTime) - new Date(a.startTime));
+}
+
+/**
+ * Tag an (unsaved or saved) issue with the alert covering its location, if any.
+ * @param {Issue} issue
+ * @returns {Promise<Object|null>} The matched alert
+ */
+async function tagIssueWithAlert(issue) {
+    const coordinates = issue.location?.coordinates;
+    if (issue.alertId || !Array.isArray(coordinates) || coordinates.length !== 2) return null;
+    const [alert] = await findAlertsAtPoint(coordinates);
+    if (!alert) return null;
+    issue.alertId = alert._id;
+    log(`[alertIssues] issue=${issue._id} tagged with alert=${alert._id} (${alert.title})`);
+    return alert;
+}
+
+module.exports = {
+    findAlertsAtPoint,
+    tagIssueWithAlert
+};
@@ -0,0 +1,160 @@
+// Alert lifecycle scheduler
+// States: scheduled (isActive false, scheduled true, startTime in the future) -> active -> ended.
+//   activateAlert  -> isActive, activatedAt, geo fan-out (utils/alertFanout.js), 'alertUpdate'
+//   endAlert       -> isActive false, endedAt, 'alertUpdate', then an "all clear" notification to every
+//                     citizen who received the original alert (Notification.relatedAlert)
+//   cancelScheduledAlert -> scheduled false, endedAt, 'alertUpdate'; nobody was notified, so no all clear
+// 'alertUpdate' goes to officials and the citizens inside the alert area (emitToAlertAudience), not to everyone.
+// runAlertLifecycle() activates due scheduled alerts and ends alerts past endTime; startAlertLifecycle(io)
+// runs it every ALERT_LIFECYCLE_INTERVAL_SECONDS (default 60). Officials deactivating an alert go through
+// endAlert as well, so the all clear is sent exactly once either way (allClear.sentAt).
+
+const Alert = require('../models/Alert');
+const Notification = require('../models/Notification');
+const { fanOutAlert, deliverInBatches, emitToAlertAudience, FANOUT_BATCH_SIZE } = require('./alertFanout');
+const { GOVERNMENT_ROOM } = require('./socketRooms');
+const { log, error } = require('./logger');
+
+const LIFECYCLE_INTERVAL_SECONDS = parseInt(process.env.ALERT_LIFECYCLE_INTERVAL_SECONDS || '60', 10);
+
+// Alerts whose start time has not come yet stay inactive until the scheduler activates them
+function isScheduled(alert, now = new Date()) {
+    return !!alert.startTime && alert.startTime > now;
+}
+
+/**
+ * Activate an alert and notify the citizens in its area.
+ * @param {Alert} alert
+ * @param {import('socket.io').Server} [io]
+ */
+async function activateAlert(alert, io) {
+    alert.isActive = true;
+    alert.scheduled = false;
+    alert.activatedAt = new Date();
+    alert.endedAt = undefined;
+    await alert.save();
+    io?.to(GOVERNMENT_ROOM).emit('newAlert', alert);
+    await emitToAlertAudience(alert, io, 'alertUpdate');
+    await fanOutAlert(alert, io);
+    return alert;
+}
+
+/**
+ * Send the all clear once to everyone who was notified about the alert.
+ * @returns {Promise<number>} Citizens notified
+ */
+async function sendAllClear(alert, io) {
+    if (alert.allClear?.sentAt) return 0;
+    const recipients = Notification.aggregate([
+        { $match: { relatedAlert: alert._id, type: 'alert' } },
+        { $group: { _id: '$recipient' } }
+    ]).cursor({ batchSize: FANOUT_BATCH_SIZE });
+    const area = alert.location?.areaDesc || alert.location?.city || 'your area';
+    const delivery = await deliverInBatches(recipients, {
+        title: `ALL CLEAR: ${alert.title}`,
+        message: `The ${alert.type.replace('-', ' ')} alert for ${area} has ended.`,
+        type: 'alert',
+        relatedAlert: alert._id
+    }, io, 'alertAllClear', { alertId: alert._id, title: alert.title });
+
+    alert.allClear = { sentAt: new Date(), notified: delivery.notified };
+    await alert.save();
+    log(`[alertLifecycle] all clear alert=${alert._id} notified=${delivery.notified}`);
+    return delivery.notified;
+}
+
+/**
+ * End an active alert (expired or deactivated by an official) and send the all clear.
+ * @param {Alert} alert
+ * @param {import('socket.io').Server} [io]
+ */
+async function endAlert(alert, io) {
+    const now = new Date();
+    alert.isActive = false;
+    alert.endedAt = now;
+    if (!alert.endTime || alert.endTime > now) alert.endTime = now;
+    await alert.save();
+    await emitToAlertAudience(alert, io, 'alertUpdate');
+    await sendAllClear(alert, io);
+    return alert;
+}
+
+/**
+ * Cancel a scheduled alert before it starts so the scheduler never activates it.
+ * @param {Alert} alert
+ * @param {import('socket.io').Server} [io]
+ */
+async function cancelScheduledAlert(alert, io) {
+    alert.scheduled = false;
+    alert.isActive = false;
+    alert.endedAt = new Date();
+    await alert.save();
+    await emitToAlertAudience(alert, io, 'alertUpdate');
+    return alert;
+}
+
+/**
+ * Activate scheduled alerts whose start time has come and end active alerts past their end time.
+ * Scheduled alerts whose end time passed before they could start are closed without notifying anyone.
+ * @param {import('socket.io').Server} [io]
+ * @returns {Promise<{activated: number, expired: number}>}
+ */
+async function runAlertLifecycle(io) {
+    const now = new Date();
+    const result = { activated: 0, expired: 0 };
+
+    await Alert.updateMany(
+        { scheduled: true, endTime: { $ne: null, $lte: now } },
+        { $set: { scheduled: false, endedAt: now } }
+    );
+    const due = await Alert.find({ scheduled: true, startTime: { $lte: now } });
+    for (const alert of due) {
+        try {
+            await activateAlert(alert, io);
+            result.activated += 1;
+        } catch (e) {
+            error(`[alertLifecycle] activate alert=${alert._id} failed: ${e.message}`);
+        }
+    }
+
+    const ended = await Alert.find({ isActive: true, endTime: { $ne: null, $lte: now } });
+    for (const alert of ended) {
+        try {
+            await endAlert(alert, io);
+            result.expired += 1;
+        } catch (e) {
+            error(`[alertLifecycle] expire alert=${alert._id} failed: ${e.message}`);
+        }
+    }
+
+    if (result.activated || result.expired) log('[alertLifecycle] run', JSON.stringify(result));
+    return result;
+}
+
+function startAlertLifecycle(io) {
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runAlertLifecycle(io);
+        } catch (e) {
+            error('[alertLifecycle] run failed', e.message);
+        } finally {
+            running = false;
+        }
+    };
+    log('[alertLifecycle] scheduler started intervalSeconds=', LIFECYCLE_INTERVAL_SECONDS);
+    tick();
+    return setInterval(tick, LIFECYCLE_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = {
+    isScheduled,
+    activateAlert,
+    endAlert,
+    cancelScheduledAlert,
+    sendAllClear,
+    runAlertLifecycle,
+    startAlertLifecycle
+};
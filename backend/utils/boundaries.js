@@ -0,0 +1,268 @@
+// Ward / zone boundaries
+// Admins import GeoJSON FeatureCollections (POST /api/boundaries/import); every feature becomes a Boundary
+// keyed by level + code. Issues get Issue.ward / Issue.zone from the boundary containing their location:
+// at creation through tagIssueWithBoundaries, and for existing issues through backfillIssueBoundaries, which
+// runs after every import (and from scripts/backfillIssueWards.js).
+
+const Boundary = require('../models/Boundary');
+const Issue = require('../models/Issue');
+const { normalizeArea } = require('./geoArea');
+const { log, warn } = require('./logger');
+
+const LEVELS = ['ward', 'zone'];
+
+// Property names commonly used for ward name / number / zone in municipal GeoJSON exports
+const NAME_KEYS = ['name', 'NAME', 'ward_name', 'WARD_NAME', 'wardName', 'Ward_Name'];
+const CODE_KEYS = ['code', 'CODE', 'ward_no', 'WARD_NO', 'wardNo', 'Ward_No', 'ward_id', 'WARD_ID', 'id'];
+const PARENT_KEYS = ['zone', 'ZONE', 'zone_code', 'ZONE_CODE', 'zone_no', 'ZONE_NO'];
+
+const pick = (props, keys) => {
+    for (const key of keys) {
+        const value = props[key];
+        if (value !== undefined && value !== null && String(value).trim() !== '') return String(value).trim();
+    }
+    return undefined;
+};
+
+const toRef = (boundary) => (boundary ? { boundary: boundary._id, code: boundary.code, name: boundary.name } : undefined);
+
+/**
+ * Issue query clause for ?ward= / ?zone= filters (comma-separated codes; "none" matches untagged issues).
+ * @param {{ward?: string, zone?: string}} query
+ * @returns {Object}
+ */
+function boundaryFilter({ ward, zone } = {}) {
+    const filter = {};
+    for (const [level, value] of [['ward', ward], ['zone', zone]]) {
+        if (!value) continue;
+        const codes = String(value).split(',').map(c => c.trim()).filter(Boolean);
+        if (codes.includes('none')) {
+            filter[`${level}.code`] = { $exists: false };
+        } else if (codes.length) {
+            filter[`${level}.code`] = { $in: codes };
+        }
+    }
+    return filter;
+}
+
+/**
+ * Ward and zone containing a point.
+ * @param {[number, number]} coordinates [longitude, latitude]
+ * @returns {Promise<{ward: Object|null, zone: Object|null}>}
+ */
+async function findBoundariesAtPoint(coordinates) {
+    const hits = await Boundary.find({
+        geometry: { $geoIntersects: { $geometry: { type: 'Point', coordinates } } }
+    })
+        .select('level code name parentCode')
+        .lean();
+    const ward = hits.find(b => b.level === 'ward') || null;
+    let zone = hits.find(b => b.level === 'zone') || null;
+    // Zone layers are optional; fall back to the zone code carried by the ward
+    if (!zone && ward?.parentCode) {
+        zone = await Boundary.findOne({ level: 'zone', code: ward.parentCode }).select('level code name').lean();
+    }
+    return { ward, zone };
+}
+
+/**
+ * Tag an (unsaved or saved) issue with the ward/zone containing its location.
+ * @param {Issue} issue
+ * @returns {Promise<{ward: Object|null, zone: Object|null}>}
+ */
+async function tagIssueWithBoundaries(issue) {
+    const coordinates = issue.location?.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return { ward: null, zone: null };
+    const found = await findBoundariesAtPoint(coordinates);
+    issue.ward = toRef(found.ward);
+    issue.zone = toRef(found.zone);
+    if (found.ward) log(`[boundaries] issue=${issue._id} in ward ${found.ward.code} (${found.ward.name})`);
+    return found;
+}
+
+/**
+ * Import boundaries from a GeoJSON FeatureCollection (or a single Feature).
+ * Features are upserted by level + code; with replace=true, boundaries of the level missing from the file are removed.
+ * @param {Object|string} geojson
+ * @param {Object} options
+ * @param {'ward'|'zone'} [options.level='ward']
+ * @param {string} [options.nameProperty] Feature property holding the name (defaults to common names)
+ * @param {string} [options.codeProperty] Feature property holding the code / number
+ * @param {string} [options.parentProperty] Feature property holding the enclosing zone's code (wards only)
+ * @param {string} [options.city]
+ * @param {boolean} [options.replace=false]
+ * @param {string} [options.userId]
+ * @returns {Promise<{level, created, updated, removed, skipped: Array<{index, name, reason}>}>}
+ * @throws {Error} with a user-facing message when the document itself is unusable
+ */
+async function importBoundaries(geojson, {
+    level = 'ward',
+    nameProperty,
+    codeProperty,
+    parentProperty,
+    city,
+    replace = false,
+    userId
+} = {}) {
+    if (!LEVELS.includes(level)) throw new Error(`level must be one of: ${LEVELS.join(', ')}`);
+    let doc = geojson;
+    if (typeof doc === 'string') {
+        try {
+            doc = JSON.parse(doc);
+        } catch {
+            throw new Error('Boundary file is not valid JSON');
+        }
+    }
+    const features = doc?.type === 'FeatureCollection' ? doc.features : doc?.type === 'Feature' ? [doc] : null;
+    if (!Array.isArray(features) || !features.length) {
+        throw new Error('Boundary file must be a GeoJSON FeatureCollection with at least one feature');
+    }
+
+    const summary = { level, created: 0, updated: 0, removed: 0, skipped: [] };
+    const importedCodes = new Set();
+
+    for (const [index, feature] of features.entries()) {
+        const props = feature?.properties || {};
+        const name = pick(props, nameProperty ? [nameProperty] : NAME_KEYS);
+        const code = pick(props, codeProperty ? [codeProperty] : CODE_KEYS) ||
+            (feature?.id !== undefined ? String(feature.id) : name);
+        if (!name || !code) {
+            summary.skipped.push({ index, name: name || null, reason: 'missing name/code property' });
+            continue;
+        }
+        if (importedCodes.has(code)) {
+            summary.skipped.push({ index, name, reason: `duplicate code ${code}` });
+            continue;
+        }
+        let geometry;
+        try {
+            geometry = normalizeArea(feature);
+        } catch (e) {
+            summary.skipped.push({ index, name, reason: e.message });
+            continue;
+        }
+        try {
+            const result = await Boundary.findOneAndUpdate(
+                { level, code },
+                {
+                    $set: {
+                        name,
+                        geometry,
+                        properties: props,
+                        importedBy: userId,
+                        ...(city && { city }),
+                        ...(level === 'ward' && { parentCode: pick(props, parentProperty ? [parentProperty] : PARENT_KEYS) })
+                    }
+                },
+                { upsert: true, runValidators: true, includeResultMetadata: true }
+            );
+            importedCodes.add(code);
+            summary[result.lastErrorObject?.updatedExisting ? 'updated' : 'created'] += 1;
+        } catch (e) {
+            // Typically a self-intersecting polygon rejected by the 2dsphere index
+            summary.skipped.push({ index, name, reason: e.message });
+        }
+    }
+
+    if (replace && importedCodes.size) {
+        const result = await Boundary.deleteMany({ level, code: { $nin: [...importedCodes] } });
+        summary.removed = result.deletedCount;
+    }
+    log('[boundaries] import level=', level, 'created=', summary.created, 'updated=', summary.updated,
+        'removed=', summary.removed, 'skipped=', summary.skipped.length);
+    return summary;
+}
+
+/**
+ * Re-tag issues with the boundaries containing them, one boundary at a time so existing tags stay in place
+ * while it runs. Without onlyMissing, tags whose boundary was removed or no longer contains the issue are cleared.
+ * @param {Object} [options]
+ * @param {Array<'ward'|'zone'>} [options.levels]
+ * @param {boolean} [options.onlyMissing=false] Only tag issues that have no tag for the level yet
+ * @returns {Promise<Object>} Issues (re)tagged per level, stale tags cleared, plus issues left without a ward
+ */
+async function backfillIssueBoundaries({ levels = LEVELS, onlyMissing = false } = {}) {
+    const summary = { cleared: 0 };
+    for (const level of levels) {
+        const path = `${level}.boundary`;
+        summary[level] = 0;
+        const boundaries = await Boundary.find({ level }).select('code name geometry').lean();
+
+        // Wards per zone code: issues in them keep a zone taken from the ward (see the fallback below)
+        const wardsByZone = new Map();
+        if (level === 'zone') {
+            const wards = await Boundary.find({ level: 'ward', parentCode: { $in: boundaries.map(b => b.code) } })
+                .select('parentCode')
+                .lean();
+            wards.forEach(w => wardsByZone.set(w.parentCode, [...(wardsByZone.get(w.parentCode) || []), w._id]));
+        }
+
+        if (!onlyMissing) {
+            const result = await Issue.updateMany(
+                { [path]: { $exists: true, $nin: boundaries.map(b => b._id) } },
+                { $unset: { [level]: 1 } }
+            );
+            summary.cleared += result.modifiedCount;
+        }
+
+        for (const boundary of boundaries) {
+            const ref = toRef(boundary);
+            const within = { 'location.coordinates': { $geoWithin: { $geometry: boundary.geometry } } };
+            try {
+                const result = await Issue.updateMany(
+                    {
+                        ...within,
+                        ...(onlyMissing
+                            ? { [path]: { $exists: false } }
+                            // Skip issues already carrying this tag (code and name included, they may have been renamed)
+                            : { $or: [
+                                { [path]: { $ne: ref.boundary } },
+                                { [`${level}.code`]: { $ne: ref.code } },
+                                { [`${level}.name`]: { $ne: ref.name } }
+                            ] })
+                    },
+                    { $set: { [level]: ref } }
+                );
+                summary[level] += result.modifiedCount;
+                if (onlyMissing) continue;
+
+                // Issues tagged with the boundary that lie outside it since it was redrawn
+                const inside = await Issue.distinct('_id', { [path]: boundary._id, ...within });
+                const cleared = await Issue.updateMany(
+                    {
+                        [path]: boundary._id,
+                        _id: { $nin: inside },
+                        ...(level === 'zone' && { 'ward.boundary': { $nin: wardsByZone.get(boundary.code) || [] } })
+                    },
+                    { $unset: { [level]: 1 } }
+                );
+                summary.cleared += cleared.modifiedCount;
+            } catch (e) {
+                warn('[boundaries] backfill failed for', level, boundary.code, e.message);
+            }
+        }
+
+        if (level === 'zone') {
+            // Same fallback as findBoundariesAtPoint: the zone code carried by the issue's ward
+            const byCode = new Map(boundaries.map(b => [b.code, b]));
+            for (const [code, wardIds] of wardsByZone) {
+                const result = await Issue.updateMany(
+                    { 'ward.boundary': { $in: wardIds }, [path]: { $exists: false } },
+                    { $set: { zone: toRef(byCode.get(code)) } }
+                );
+                summary.zone += result.modifiedCount;
+            }
+        }
+    }
+    summary.withoutWard = await Issue.countDocuments({ 'ward.boundary': { $exists: false } });
+    log('[boundaries] backfill', JSON.stringify(summary));
+    return summary;
+}
+
+module.exports = {
+    boundaryFilter,
+    findBoundariesAtPoint,
+    tagIssueWithBoundaries,
+    importBoundaries,
+    backfillIssueBoundaries
+};
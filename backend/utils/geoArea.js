@@ -0,0 +1,105 @@
+// GeoJSON area helpers shared by alerts (officials' drawn/uploaded areas and external feeds)
+// Areas are stored as Polygon or MultiPolygon geometries ([longitude, latitude] positions) so MongoDB can
+// answer "does this area contain the point" with $geoIntersects and "who lives inside" with $geoWithin.
+
+// Shared by the covering-circle math here and the $centerSphere queries on alerts (utils/alertFanout.js,
+// GET /api/alerts), so a circle computed here matches what the queries cover. WGS84 equatorial radius,
+// like the rest of the backend.
+const EARTH_RADIUS_KM = 6378.1;
+
+function distanceKm([lng1, lat1], [lng2, lat2]) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Reduce a set of [lng, lat] vertices to a covering circle (centroid + distance to the farthest vertex).
+ * @param {Array<[number, number]>} vertices
+ * @returns {{coordinates: [number, number], radius: number} | null} radius in km
+ */
+function circleAround(vertices) {
+    // Rings repeat their first vertex at the end; count each position once for the centroid
+    const points = [...new Map(vertices.map(p => [`${p[0]},${p[1]}`, p])).values()];
+    if (!points.length) return null;
+    const lng = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+    const lat = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+    const radius = Math.max(...points.map(p => distanceKm([lng, lat], p)));
+    return { coordinates: [lng, lat], radius: Math.max(Math.round(radius * 10) / 10, 1) };
+}
+
+function validPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+        Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+// Validates one polygon (array of rings) and closes rings that do not end on their first vertex
+function normalizePolygon(rings) {
+    if (!Array.isArray(rings) || !rings.length) throw new Error('Polygon has no rings');
+    return rings.map(ring => {
+        if (!Array.isArray(ring) || !ring.every(validPosition)) {
+            throw new Error('Polygon positions must be [longitude, latitude] pairs');
+        }
+        const positions = ring.map(p => [p[0], p[1]]);
+        const [first] = positions;
+        const last = positions[positions.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) positions.push([first[0], first[1]]);
+        if (positions.length < 4) throw new Error('A polygon ring needs at least three distinct points');
+        return positions;
+    });
+}
+
+/**
+ * Turn a GeoJSON Polygon/MultiPolygon geometry, Feature or FeatureCollection into a single geometry.
+ * Several polygons (e.g. a FeatureCollection of river segments) are merged into one MultiPolygon.
+ * @param {Object|string} input GeoJSON object or its JSON text
+ * @returns {{type: 'Polygon'|'MultiPolygon', coordinates: Array}}
+ * @throws {Error} with a user-facing message when the input is not a usable area
+ */
+function normalizeArea(input) {
+    let geojson = input;
+    if (typeof geojson === 'string') {
+        try {
+            geojson = JSON.parse(geojson);
+        } catch {
+            throw new Error('Area is not valid JSON');
+        }
+    }
+    if (!geojson || typeof geojson !== 'object') throw new Error('Area must be a GeoJSON object');
+
+    const polygons = [];
+    const collect = (node) => {
+        if (!node) return;
+        if (node.type === 'FeatureCollection') return (node.features || []).forEach(collect);
+        if (node.type === 'Feature') return collect(node.geometry);
+        if (node.type === 'GeometryCollection') return (node.geometries || []).forEach(collect);
+        if (node.type === 'Polygon') return polygons.push(normalizePolygon(node.coordinates));
+        if (node.type === 'MultiPolygon') return (node.coordinates || []).forEach(p => polygons.push(normalizePolygon(p)));
+    };
+    collect(geojson);
+
+    if (!polygons.length) throw new Error('Area must contain a Polygon or MultiPolygon');
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Covering circle of a Polygon/MultiPolygon (used as the alert's point + radius).
+ * @param {{type: string, coordinates: Array}} area
+ */
+function areaCircle(area) {
+    const vertices = area.type === 'MultiPolygon' ? area.coordinates.flat(2) : area.coordinates.flat();
+    return circleAround(vertices);
+}
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    distanceKm,
+    circleAround,
+    normalizeArea,
+    areaCircle
+};
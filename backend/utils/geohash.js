@@ -0,0 +1,78 @@
+// Minimal geohash encoder/decoder (base32, interleaved longitude/latitude bits) used for spatial bucketing.
+// Precision 5 ≈ 4.9 × 4.9 km, 6 ≈ 1.2 × 0.6 km, 7 ≈ 153 × 153 m.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+function encode(latitude, longitude, precision = 6) {
+    let latMin = -90, latMax = 90;
+    let lngMin = -180, lngMax = 180;
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+    let evenBit = true; // even bits refine longitude
+    while (hash.length < precision) {
+        if (evenBit) {
+            const mid = (lngMin + lngMax) / 2;
+            if (longitude >= mid) {
+                value = (value << 1) | 1;
+                lngMin = mid;
+            } else {
+                value <<= 1;
+                lngMax = mid;
+            }
+        } else {
+            const mid = (latMin + latMax) / 2;
+            if (latitude >= mid) {
+                value = (value << 1) | 1;
+                latMin = mid;
+            } else {
+                value <<= 1;
+                latMax = mid;
+            }
+        }
+        evenBit = !evenBit;
+        if (++bits === 5) {
+            hash += BASE32[value];
+            bits = 0;
+            value = 0;
+        }
+    }
+    return hash;
+}
+
+/**
+ * Cell bounds and centre of a geohash.
+ * @returns {{south:number, west:number, north:number, east:number, center:[number, number]}} center is [lat, lng]
+ */
+function decodeBounds(hash) {
+    let latMin = -90, latMax = 90;
+    let lngMin = -180, lngMax = 180;
+    let evenBit = true;
+    for (const char of hash) {
+        const value = BASE32.indexOf(char);
+        if (value === -1) throw new Error(`Invalid geohash character "${char}"`);
+        for (let bit = 4; bit >= 0; bit--) {
+            const on = (value >> bit) & 1;
+            if (evenBit) {
+                const mid = (lngMin + lngMax) / 2;
+                if (on) lngMin = mid; else lngMax = mid;
+            } else {
+                const mid = (latMin + latMax) / 2;
+                if (on) latMin = mid; else latMax = mid;
+            }
+            evenBit = !evenBit;
+        }
+    }
+    return {
+        south: latMin,
+        west: lngMin,
+        north: latMax,
+        east: lngMax,
+        center: [(latMin + latMax) / 2, (lngMin + lngMax) / 2]
+    };
+}
+
+module.exports = {
+    encode,
+    decodeBounds
+};
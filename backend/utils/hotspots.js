@@ -0,0 +1,156 @@
+// Spatial hotspot detection
+// Buckets canonical issues into geohash cells and, per cell, reports issues created in the look-back window,
+// issues open right now, average resolution time, weekly counts with a trend line, and whether the cell is an
+// emerging hotspot: the current week's count is at least HOTSPOT_MIN_WEEKLY and clearly above the cell's own
+// baseline (mean of the previous weeks), i.e. above both baseline * spikeRatio and baseline + 2 standard deviations.
+// Used by GET /api/analytics/hotspots.
+
+const Issue = require('../models/Issue');
+const { OPEN_STATUSES } = require('./issueStatusMachine');
+const geohash = require('./geohash');
+const { boundaryFilter } = require('./boundaries');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MIN_WEEKLY = parseInt(process.env.HOTSPOT_MIN_WEEKLY || '3', 10);
+const SPIKE_RATIO = parseFloat(process.env.HOTSPOT_SPIKE_RATIO || '2');
+const MAX_SCANNED = 50000;
+
+const round = (value, digits = 2) => (value == null ? null : Number(value.toFixed(digits)));
+
+// Least-squares slope of the weekly counts (issues per week, per week)
+function slope(series) {
+    const n = series.length;
+    if (n < 2) return 0;
+    const meanX = (n - 1) / 2;
+    const meanY = series.reduce((sum, y) => sum + y, 0) / n;
+    let num = 0;
+    let den = 0;
+    series.forEach((y, x) => {
+        num += (x - meanX) * (y - meanY);
+        den += (x - meanX) ** 2;
+    });
+    return num / den;
+}
+
+function summarizeCell(cell, { minWeekly, spikeRatio }) {
+    const previous = cell.weekly.slice(0, -1);
+    const currentWeek = cell.weekly[cell.weekly.length - 1];
+    const baseline = previous.length ? previous.reduce((sum, c) => sum + c, 0) / previous.length : 0;
+    const stdDev = previous.length
+        ? Math.sqrt(previous.reduce((sum, c) => sum + (c - baseline) ** 2, 0) / previous.length)
+        : 0;
+    const threshold = Math.max(minWeekly, baseline * spikeRatio, baseline + 2 * stdDev);
+    const trendSlope = slope(cell.weekly);
+    const bounds = geohash.decodeBounds(cell.geohash);
+
+    return {
+        geohash: cell.geohash,
+        center: bounds.center,
+        bounds: { north: bounds.north, south: bounds.south, east: bounds.east, west: bounds.west },
+        count: cell.count,
+        open: cell.open,
+        resolved: cell.resolutionHours.length,
+        avgResolutionHours: cell.resolutionHours.length
+            ? round(cell.resolutionHours.reduce((sum, h) => sum + h, 0) / cell.resolutionHours.length)
+            : null,
+        weekly: cell.weekly,
+        trend: {
+            slope: round(trendSlope),
+            direction: trendSlope > 0.1 ? 'rising' : trendSlope < -0.1 ? 'falling' : 'stable'
+        },
+        currentWeek,
+        baseline: round(baseline),
+        emerging: currentWeek >= threshold
+    };
+}
+
+/**
+ * Aggregate canonical issues into geohash cells.
+ * @param {Object} options
+ * @param {number} [options.precision=6] Geohash length (3-8)
+ * @param {number} [options.weeks=8] Look-back window in weeks (the last one is the "current" week)
+ * @param {{north:number, south:number, east:number, west:number}} [options.bounds]
+ * @param {string[]} [options.categories]
+ * @param {string} [options.ward] Comma-separated ward codes
+ * @param {string} [options.zone] Comma-separated zone codes
+ * @param {number} [options.minWeekly] Minimum current-week count for an emerging hotspot
+ * @param {number} [options.spikeRatio] Current week must reach baseline * spikeRatio
+ * @param {Date} [options.now]
+ */
+async function computeHotspots({
+    precision = 6,
+    weeks = 8,
+    bounds,
+    categories,
+    ward,
+    zone,
+    minWeekly = MIN_WEEKLY,
+    spikeRatio = SPIKE_RATIO,
+    now = new Date()
+} = {}) {
+    const windowStart = new Date(now.getTime() - weeks * WEEK_MS);
+    // Issues reported in the window, plus older ones that are still open (they count towards "open")
+    const query = {
+        mergedInto: { $exists: false },
+        ...boundaryFilter({ ward, zone }),
+        $or: [{ createdAt: { $gte: windowStart } }, { status: { $in: OPEN_STATUSES } }]
+    };
+    if (bounds) {
+        query['location.coordinates'] = {
+            $geoWithin: { $box: [[bounds.west, bounds.south], [bounds.east, bounds.north]] }
+        };
+    }
+    if (categories?.length) query.category = { $in: categories };
+
+    const issues = await Issue.find(query)
+        .select('location.coordinates status createdAt resolutionDetails.resolutionDate actualResolutionTime')
+        .limit(MAX_SCANNED)
+        .lean();
+
+    const cells = new Map();
+    for (const issue of issues) {
+        const [lng, lat] = issue.location?.coordinates || [];
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+        const hash = geohash.encode(lat, lng, precision);
+        if (!cells.has(hash)) {
+            cells.set(hash, { geohash: hash, count: 0, open: 0, resolutionHours: [], weekly: new Array(weeks).fill(0) });
+        }
+        const cell = cells.get(hash);
+        if (OPEN_STATUSES.includes(issue.status)) cell.open += 1;
+
+        const created = new Date(issue.createdAt);
+        if (created < windowStart) continue;
+        cell.count += 1;
+        // Week 0 is the oldest, weeks - 1 the seven days up to now
+        const weekIndex = weeks - 1 - Math.min(weeks - 1, Math.floor((now - created) / WEEK_MS));
+        cell.weekly[weekIndex] += 1;
+
+        const resolvedAt = issue.resolutionDetails?.resolutionDate;
+        if (resolvedAt) {
+            cell.resolutionHours.push((new Date(resolvedAt) - created) / (60 * 60 * 1000));
+        } else if (issue.actualResolutionTime != null) {
+            cell.resolutionHours.push(issue.actualResolutionTime);
+        }
+    }
+
+    const summarized = [...cells.values()]
+        .map(cell => summarizeCell(cell, { minWeekly, spikeRatio }))
+        .sort((a, b) => (b.emerging - a.emerging) || (b.currentWeek - a.currentWeek) || (b.count - a.count) || (b.open - a.open));
+
+    return {
+        precision,
+        weeks,
+        windowStart,
+        generatedAt: now,
+        scanned: issues.length,
+        truncated: issues.length === MAX_SCANNED,
+        thresholds: { minWeekly, spikeRatio },
+        emergingCount: summarized.filter(c => c.emerging).length,
+        cells: summarized
+    };
+}
+
+module.exports = {
+    computeHotspots
+};
@@ -4,56 +4,96 @@
  * or another ML library to perform more accurate classification
  */
 
-// Keywords associated with each category
+// Keywords associated with each Issue.category enum value
+// ('Other' has no keywords; it is the fallback when nothing matches)
 const categoryKeywords = {
-    pothole: ['pothole', 'hole', 'road damage', 'crater', 'broken road', 'asphalt damage', 'road hazard'],
-    garbage: ['garbage', 'trash', 'waste', 'litter', 'dump', 'debris', 'rubbish', 'waste collection'],
-    streetlight: ['streetlight', 'light', 'lamp post', 'street lamp', 'lighting', 'pole', 'dark street'],
-    water: ['water', 'pipe', 'leakage', 'tap', 'supply', 'drainage', 'flood', 'overflow', 'sewage'],
-    electricity: ['electricity', 'power', 'outage', 'electric', 'transformer', 'wires', 'blackout'],
-    sewage: ['sewage', 'drain', 'clogged', 'blockage', 'manhole', 'sewer', 'overflow', 'drainage'],
-    traffic: ['traffic', 'signal', 'jam', 'congestion', 'road block', 'accident', 'crossing'],
-    vandalism: ['vandalism', 'graffiti', 'damage', 'broken', 'destroyed', 'defacement', 'property damage']
+    'Roads & Infrastructure': ['pothole', 'hole', 'road damage', 'crater', 'broken road', 'asphalt damage', 'road hazard', 'footpath', 'pavement', 'bridge'],
+    'Waste Management': ['garbage', 'trash', 'waste', 'litter', 'dump', 'debris', 'rubbish', 'waste collection', 'dustbin'],
+    'Street Lighting': ['streetlight', 'street light', 'lamp post', 'street lamp', 'lighting', 'light pole', 'dark street'],
+    'Water Supply': ['water', 'pipe', 'leakage', 'tap', 'water supply', 'no water', 'contaminated water', 'pipeline'],
+    'Electricity': ['electricity', 'power', 'outage', 'electric', 'transformer', 'wires', 'blackout', 'power cut'],
+    'Sewage & Drainage': ['sewage', 'drain', 'clogged', 'blockage', 'manhole', 'sewer', 'overflow', 'drainage', 'waterlogging', 'flood'],
+    'Traffic & Transportation': ['traffic', 'signal', 'jam', 'congestion', 'road block', 'crossing', 'bus stop', 'parking'],
+    'Public Safety': ['vandalism', 'graffiti', 'destroyed', 'defacement', 'property damage', 'accident', 'unsafe', 'theft', 'stray dog'],
+    'Parks & Recreation': ['park', 'playground', 'garden', 'bench', 'swing', 'fallen tree', 'open gym'],
+    'Noise Pollution': ['noise', 'loud', 'loudspeaker', 'honking', 'music', 'construction noise', 'horn']
 };
 
+// Title matches count more than description matches: citizens usually put the gist in the title
+const TITLE_WEIGHT = 2;
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
- * Categorize issue based on text description
- * @param {string} text - Issue description text
- * @returns {string} - Predicted category
+ * Score every category against a piece of text
+ * @param {string} text - Text to score
+ * @returns {Object} - { [category]: { score, keywords[] } } for categories with at least one match
  */
-function categorizeIssue(text) {
-    if (!text) return 'other';
+function scoreText(text) {
+    const scores = {};
+    if (!text) return scores;
 
     const lowercaseText = text.toLowerCase();
 
-    // Calculate score for each category based on keyword matches
-    const scores = {};
-
     for (const [category, keywords] of Object.entries(categoryKeywords)) {
-        scores[category] = keywords.reduce((score, keyword) => {
+        for (const keyword of keywords) {
+            const lowercaseKeyword = keyword.toLowerCase();
             // Check if the keyword is in the text
-            if (lowercaseText.includes(keyword.toLowerCase())) {
-                // Add a higher score for full word matches vs partial matches
-                const regex = new RegExp(`\\b${keyword.toLowerCase()}\\b`, 'i');
-                return score + (regex.test(lowercaseText) ? 2 : 1);
-            }
-            return score;
-        }, 0);
+            if (!lowercaseText.includes(lowercaseKeyword)) continue;
+            // Add a higher score for full word matches vs partial matches
+            const regex = new RegExp(`\\b${escapeRegex(lowercaseKeyword)}\\b`, 'i');
+            const entry = scores[category] || (scores[category] = { score: 0, keywords: [] });
+            entry.score += regex.test(lowercaseText) ? 2 : 1;
+            entry.keywords.push(keyword);
+        }
     }
 
-    // Find category with highest score
-    let bestCategory = 'other';
-    let highestScore = 0;
+    return scores;
+}
 
-    for (const [category, score] of Object.entries(scores)) {
-        if (score > highestScore) {
-            highestScore = score;
-            bestCategory = category;
-        }
-    }
+/**
+ * Categorize issue based on text description
+ * @param {string} text - Issue description text
+ * @returns {string} - Predicted Issue.category value ('Other' when nothing matches)
+ */
+function categorizeIssue(text) {
+    const [best] = suggestCategories({ description: text });
+    return best ? best.category : 'Other';
+}
 
-    // If no clear match, return 'other'
-    return highestScore > 0 ? bestCategory : 'other';
+/**
+ * Rank category suggestions for an issue
+ * Confidence is the category's share of the total keyword score, so it is relative to
+ * the other candidates rather than an absolute probability.
+ * @param {Object} input - { title, description }
+ * @param {number} [limit=3] - Maximum number of suggestions to return
+ * @returns {Array<{category: string, confidence: number, matchedKeywords: string[]}>} - Highest confidence first
+ */
+function suggestCategories({ title = '', description = '' } = {}, limit = 3) {
+    const combined = {};
+    const merge = (scores, weight) => {
+        for (const [category, { score, keywords }] of Object.entries(scores)) {
+            const entry = combined[category] || (combined[category] = { score: 0, keywords: new Set() });
+            entry.score += score * weight;
+            keywords.forEach(k => entry.keywords.add(k));
+        }
+    };
+    merge(scoreText(title), TITLE_WEIGHT);
+    merge(scoreText(description), 1);
+
+    const total = Object.values(combined).reduce((sum, entry) => sum + entry.score, 0);
+    if (total === 0) return [];
+
+    return Object.entries(combined)
+        .map(([category, entry]) => ({
+            category,
+            confidence: Math.round((entry.score / total) * 100) / 100,
+            matchedKeywords: [...entry.keywords]
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
 }
 
 /**
@@ -107,6 +147,14 @@ function extractEntities(text) {
     return entities;
 }
 
+// Keywords used to estimate priority from text; the urgent list also seeds the safety keyword
+// priority rule (utils/priority.js)
+const priorityKeywords = {
+    urgent: ['urgent', 'emergency', 'immediately', 'dangerous', 'hazard', 'accident', 'critical', 'severe'],
+    high: ['important', 'serious', 'significant', 'major', 'big problem', 'many people'],
+    medium: ['problem', 'issue', 'fix', 'repair', 'attention']
+};
+
 /**
  * Estimate priority based on text content
  * @param {string} text - Issue description text
@@ -117,27 +165,22 @@ function estimatePriority(text) {
 
     const lowercaseText = text.toLowerCase();
 
-    // Check for urgent keywords
-    const urgentKeywords = ['urgent', 'emergency', 'immediately', 'dangerous', 'hazard', 'accident', 'critical', 'severe'];
-    const highKeywords = ['important', 'serious', 'significant', 'major', 'big problem', 'many people'];
-    const mediumKeywords = ['problem', 'issue', 'fix', 'repair', 'attention'];
-
     // Check for urgent priority
-    for (const keyword of urgentKeywords) {
+    for (const keyword of priorityKeywords.urgent) {
         if (lowercaseText.includes(keyword)) {
             return 'urgent';
         }
     }
 
     // Check for high priority
-    for (const keyword of highKeywords) {
+    for (const keyword of priorityKeywords.high) {
         if (lowercaseText.includes(keyword)) {
             return 'high';
         }
     }
 
     // Check for medium priority
-    for (const keyword of mediumKeywords) {
+    for (const keyword of priorityKeywords.medium) {
         if (lowercaseText.includes(keyword)) {
             return 'medium';
         }
@@ -147,7 +190,10 @@ function estimatePriority(text) {
 }
 
 module.exports = {
+    categoryKeywords,
     categorizeIssue,
+    suggestCategories,
     extractEntities,
-    estimatePriority
+    estimatePriority,
+    priorityKeywords
 };
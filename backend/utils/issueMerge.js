@@ -0,0 +1,362 @@
+// Duplicate merging: the single code path used by createIssue (new report near an existing issue) and
+// retroactiveCluster (government clean-up). mergeIssues(canonicalId, duplicateId) runs in one MongoDB
+// transaction and:
+//   - marks the duplicate mergedInto the canonical (the duplicate's own duplicates move along with it)
+//   - adds the duplicate's reporters to canonical.reporters as { user, consent: null } (pending consent)
+//   - counts every new reporter and every voter of the duplicate as one vote on the canonical, recording the
+//     voters it added in duplicate.mergeAddedVoters
+//   - lets the canonical inherit a thumbnail and alert tag it lacks, then recomputes its priority
+// Consent requests, notifications and socket events are sent after the commit.
+// unmergeIssue(duplicateId) reverses a wrong merge the same way (POST /api/issues/:id/unmerge).
+// Standalone MongoDB servers have no transactions; there the same writes run without one (warned once).
+
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const { computePriority } = require('./priority');
+const { notifyIssueEvent } = require('./issueNotifications');
+const { emitIssueEvent, userRoom, GOVERNMENT_ROOM } = require('./socketRooms');
+const { log, warn } = require('./logger');
+
+let transactionsUnsupported = false;
+
+function isTransactionUnsupported(e) {
+    return e?.code === 20 || /replica set|Transaction numbers/i.test(e?.message || '');
+}
+
+// Run work(session) inside a transaction (retried by the driver on transient errors)
+async function runInTransaction(work) {
+    if (!transactionsUnsupported) {
+        const session = await mongoose.startSession();
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                result = await work(session);
+            });
+            return result;
+        } catch (e) {
+            if (!isTransactionUnsupported(e)) throw e;
+            transactionsUnsupported = true;
+            warn('[issueMerge] MongoDB deployment does not support transactions (needs a replica set); merging without one');
+        } finally {
+            await session.endSession();
+        }
+    }
+    return work(null);
+}
+
+function mergeError(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Voters the duplicate's merge added to its canonical. Duplicates merged before mergeAddedVoters was
+// recorded fall back to everyone they brought: their reporters and their own voters.
+function mergeAddedVoterIds(duplicate) {
+    if (duplicate.mergeAddedVoters) return duplicate.mergeAddedVoters.map(v => v.toString());
+    return [duplicate.reportedBy, ...(duplicate.reporters || []).map(r => r.user), ...(duplicate.voters || [])]
+        .filter(Boolean)
+        .map(u => u.toString());
+}
+
+/**
+ * Which of the votes a departing duplicate added to the canonical go away. A vote stays when the user is the
+ * canonical's reporter or another duplicate (`others`, lean) still brings them; it is then handed over to that
+ * duplicate's mergeAddedVoters so its own unmerge can take it back.
+ * @param {Issue} duplicate
+ * @param {Issue} canonical
+ * @param {Object[]} others Remaining duplicates with reportedBy, reporters, voters, mergeAddedVoters
+ * @returns {{dropped: string[], handOver: Map<string, string[]>}} handOver maps duplicate id -> voter ids
+ */
+function splitMergedVotes(duplicate, canonical, others) {
+    const backers = new Map();
+    others.forEach(other => {
+        [other.reportedBy, ...(other.reporters || []).map(r => r.user), ...(other.voters || [])]
+            .filter(Boolean)
+            .forEach(u => backers.has(u.toString()) || backers.set(u.toString(), other));
+    });
+    const current = new Set(canonical.voters.map(v => v.toString()));
+    const canonicalReporter = canonical.reportedBy?.toString();
+    const dropped = [];
+    const handOver = new Map();
+    for (const userId of new Set(mergeAddedVoterIds(duplicate))) {
+        if (!current.has(userId) || userId === canonicalReporter) continue;
+        const backer = backers.get(userId);
+        if (!backer) {
+            dropped.push(userId);
+        } else if (backer.mergeAddedVoters) {
+            const key = backer._id.toString();
+            handOver.set(key, [...(handOver.get(key) || []), userId]);
+        }
+    }
+    return { dropped, handOver };
+}
+
+// Older merges pushed bare ObjectIds into reporters; Mongoose hydrates those without a user, so rebuild
+// them from the raw documents as pending reporters
+async function repairLegacyReporters(issues, session) {
+    const raws = await Issue.find({ _id: { $in: issues.map(i => i._id) } })
+        .select('reporters createdAt')
+        .session(session)
+        .lean();
+    for (const raw of raws) {
+        if (!(raw.reporters || []).some(r => r instanceof mongoose.Types.ObjectId)) continue;
+        const issue = issues.find(i => i._id.equals(raw._id));
+        issue.reporters = raw.reporters
+            .map(r => r instanceof mongoose.Types.ObjectId ? { user: r, consent: null, joinedAt: raw.createdAt } : r)
+            .filter(r => r.user);
+        log('[issueMerge] repaired legacy reporters issue=', raw._id.toString());
+    }
+}
+
+/**
+ * Merge a duplicate issue into a canonical issue.
+ * @param {string|ObjectId} canonicalId Issue that stays visible
+ * @param {string|ObjectId} duplicateId Issue that becomes a duplicate
+ * @param {Object} [options]
+ * @param {import('socket.io').Server} [options.io] Socket server for consent requests and events
+ * @returns {Promise<{canonical: Issue, duplicate: Issue, addedReporters: string[]}>}
+ * @throws {Error} with status 404/409 when the issues cannot be merged
+ */
+async function mergeIssues(canonicalId, duplicateId, { io } = {}) {
+    const outcome = await runInTransaction(async (session) => {
+        const [canonical, duplicate] = await Promise.all([
+            Issue.findById(canonicalId).session(session),
+            Issue.findById(duplicateId).session(session)
+        ]);
+        if (!canonical || !duplicate) throw mergeError('Issue not found', 404);
+        if (canonical._id.equals(duplicate._id)) throw mergeError('An issue cannot be merged into itself', 409);
+        if (canonical.mergedInto) throw mergeError('Target issue is itself a duplicate', 409);
+        if (duplicate.mergedInto) throw mergeError('Issue is already merged', 409);
+        await repairLegacyReporters([canonical, duplicate], session);
+
+        const now = new Date();
+        const addedReporters = [];
+        const knownReporters = new Set(canonical.reporters.map(r => r.user.toString()));
+        const incoming = [duplicate.reportedBy, ...duplicate.reporters.map(r => r.user)].filter(Boolean);
+        for (const userId of incoming) {
+            const key = userId.toString();
+            if (knownReporters.has(key)) continue;
+            knownReporters.add(key);
+            canonical.reporters.push({ user: userId, consent: null, joinedAt: now });
+            addedReporters.push(key);
+        }
+
+        // Reporting the same problem counts as backing it
+        const voters = new Set(canonical.voters.map(v => v.toString()));
+        const addedVoters = [];
+        for (const userId of [...addedReporters, ...duplicate.voters.map(v => v.toString())]) {
+            if (voters.has(userId)) continue;
+            voters.add(userId);
+            canonical.voters.push(userId);
+            canonical.votes += 1;
+            addedVoters.push(userId);
+        }
+        duplicate.mergeAddedVoters = addedVoters;
+
+        // Issues previously merged into the duplicate now point at the canonical directly
+        const moved = duplicate.duplicates || [];
+        if (moved.length) {
+            await Issue.updateMany({ _id: { $in: moved } }, { $set: { mergedInto: canonical._id } }, { session });
+            duplicate.duplicates = [];
+        }
+        canonical.duplicates.addToSet(duplicate._id, ...moved);
+        duplicate.mergedInto = canonical._id;
+
+        if (!canonical.thumbnailImage) {
+            canonical.thumbnailImage = duplicate.thumbnailImage || duplicate.images?.[0];
+        }
+        // An older canonical picks up the alert the duplicate was reported under
+        if (duplicate.alertId && !canonical.alertId) {
+            canonical.alertId = duplicate.alertId;
+        }
+
+        const oldPriority = canonical.priority;
+        if (canonical.priorityAuto) {
+            const { priority, reasons } = await computePriority(canonical);
+            canonical.priority = priority;
+            canonical.priorityReasons = reasons;
+        }
+
+        await duplicate.save({ session });
+        await canonical.save({ session });
+        return { canonical, duplicate, addedReporters, oldPriority };
+    });
+
+    const { canonical, duplicate, addedReporters, oldPriority } = outcome;
+    log('[issueMerge] merged', duplicate._id.toString(), 'into', canonical._id.toString(), 'newReporters=', addedReporters.length, 'votes=', canonical.votes);
+    await announceMerge(io, canonical, duplicate, addedReporters, oldPriority);
+    return { canonical, duplicate, addedReporters };
+}
+
+// Post-commit side effects; failures are logged and never undo the merge
+async function announceMerge(io, canonical, duplicate, addedReporters, oldPriority) {
+    try {
+        // Ask every newly added reporter whether they want to join the issue's discussion group
+        addedReporters.forEach(userId => {
+            io?.to(userRoom(userId)).emit('issueConsentRequest', {
+                issueId: canonical._id,
+                canonical: true,
+                message: 'Do you want to join the discussion group for this existing issue?',
+                thumbnail: canonical.thumbnailImage || (canonical.images?.[0] || null)
+            });
+        });
+
+        // The new reporters learn about the merge, existing reporters about the new report
+        await notifyIssueEvent(io, canonical, 'merged', {
+            recipients: addedReporters,
+            message: `Your report "${duplicate.title}" was merged into an existing issue: "${canonical.title}"`
+        });
+        await notifyIssueEvent(io, canonical, 'duplicateReported', {
+            actorId: duplicate.reportedBy,
+            message: `Another citizen reported "${canonical.title}". It now has ${canonical.votes} votes.`
+        });
+
+        emitIssueEvent(io, canonical, 'issueMerged', {
+            canonicalId: canonical._id,
+            duplicateId: duplicate._id,
+            reporters: canonical.reporters
+        });
+        if (oldPriority !== canonical.priority) {
+            emitIssueEvent(io, canonical, 'issuePriorityUpdated', {
+                issueId: canonical._id,
+                oldPriority,
+                newPriority: canonical.priority,
+                reasons: canonical.priorityReasons
+            });
+        }
+    } catch (e) {
+        warn('[issueMerge] post-merge notifications failed canonical=', canonical._id.toString(), e.message);
+    }
+}
+
+/**
+ * Split a wrongly merged duplicate back out into an independent issue (reverse of mergeIssues).
+ * The canonical loses the duplicate, the reporters that only came in through it and the votes the merge
+ * added (unless another remaining duplicate still brings the same user); both priorities are recomputed and
+ * the split is recorded in both status histories.
+ * @param {string|ObjectId} duplicateId
+ * @param {Object} options
+ * @param {string} options.actorId Official performing the split
+ * @param {string} options.reason Why the issues are unrelated
+ * @param {import('socket.io').Server} [options.io]
+ * @returns {Promise<{canonical: Issue|null, issue: Issue, removedReporters: string[], removedVotes: number}>}
+ * @throws {Error} with status 404/409 when the issue is missing or not a duplicate
+ */
+async function unmergeIssue(duplicateId, { actorId, reason, io } = {}) {
+    const outcome = await runInTransaction(async (session) => {
+        const issue = await Issue.findById(duplicateId).session(session);
+        if (!issue) throw mergeError('Issue not found', 404);
+        if (!issue.mergedInto) throw mergeError('Issue is not merged into another issue', 409);
+        const canonical = await Issue.findById(issue.mergedInto).session(session);
+        const now = new Date();
+        const removedReporters = [];
+        let removedVotes = 0;
+        const oldPriorities = { canonical: canonical?.priority, issue: issue.priority };
+
+        if (canonical) {
+            await repairLegacyReporters([canonical], session);
+            canonical.duplicates.pull(issue._id);
+
+            // Users the remaining duplicates still bring to the canonical keep their place
+            const remaining = await Issue.find({ mergedInto: canonical._id, _id: { $ne: issue._id } })
+                .select('reportedBy reporters voters mergeAddedVoters')
+                .session(session)
+                .lean();
+            const stillReporting = new Set([canonical.reportedBy.toString()]);
+            remaining.forEach(other => {
+                stillReporting.add(other.reportedBy.toString());
+                (other.reporters || []).forEach(r => r.user && stillReporting.add(r.user.toString()));
+            });
+
+            const leaving = new Set([issue.reportedBy, ...issue.reporters.map(r => r.user)]
+                .filter(Boolean)
+                .map(u => u.toString())
+                .filter(u => !stillReporting.has(u)));
+            canonical.reporters = canonical.reporters.filter(r => {
+                if (!leaving.has(r.user.toString())) return true;
+                removedReporters.push(r.user.toString());
+                return false;
+            });
+
+            // Only votes this merge added go; votes cast on the canonical itself stay
+            const { dropped, handOver } = splitMergedVotes(issue, canonical, remaining);
+            const droppedVotes = new Set(dropped);
+            canonical.voters = canonical.voters.filter(v => !droppedVotes.has(v.toString()));
+            removedVotes = dropped.length;
+            canonical.votes = Math.max((canonical.votes || 0) - removedVotes, 0);
+            for (const [otherId, userIds] of handOver) {
+                await Issue.updateOne({ _id: otherId }, { $addToSet: { mergeAddedVoters: { $each: userIds } } }, { session });
+            }
+            canonical.statusHistory.push({
+                status: canonical.status,
+                updatedBy: actorId,
+                comment: `[unmerged] "${issue.title}" split off: ${reason}`,
+                timestamp: now
+            });
+        }
+
+        issue.mergedInto = undefined;
+        issue.mergeAddedVoters = undefined;
+        issue.statusHistory.push({
+            status: issue.status,
+            updatedBy: actorId,
+            comment: `[unmerged] Split from "${canonical?.title || 'merged issue'}": ${reason}`,
+            timestamp: now
+        });
+
+        for (const doc of [issue, canonical].filter(Boolean)) {
+            if (!doc.priorityAuto) continue;
+            const { priority, reasons } = await computePriority(doc);
+            doc.priority = priority;
+            doc.priorityReasons = reasons;
+        }
+        await issue.save({ session });
+        if (canonical) await canonical.save({ session });
+        return { canonical, issue, removedReporters, removedVotes, oldPriorities };
+    });
+
+    const { canonical, issue, removedReporters, removedVotes, oldPriorities } = outcome;
+    log('[issueMerge] unmerged', issue._id.toString(), 'from', canonical?._id.toString(), 'by=', actorId, 'removedReporters=', removedReporters.length, 'removedVotes=', removedVotes);
+    await announceUnmerge(io, canonical, issue, oldPriorities);
+    return { canonical, issue, removedReporters, removedVotes };
+}
+
+async function announceUnmerge(io, canonical, issue, oldPriorities) {
+    try {
+        await notifyIssueEvent(io, issue, 'unmerged', {
+            message: `Your report "${issue.title}" is now tracked as a separate issue`
+        });
+        io?.to(GOVERNMENT_ROOM).emit('newIssue', {
+            issue,
+            message: `Issue split from a merged report: ${issue.title}`
+        });
+        if (canonical) {
+            emitIssueEvent(io, canonical, 'issueUnmerged', {
+                canonicalId: canonical._id,
+                duplicateId: issue._id,
+                reporters: canonical.reporters,
+                votes: canonical.votes
+            });
+        }
+        for (const [key, doc] of [['canonical', canonical], ['issue', issue]]) {
+            if (!doc || oldPriorities[key] === doc.priority) continue;
+            emitIssueEvent(io, doc, 'issuePriorityUpdated', {
+                issueId: doc._id,
+                oldPriority: oldPriorities[key],
+                newPriority: doc.priority,
+                reasons: doc.priorityReasons
+            });
+        }
+    } catch (e) {
+        warn('[issueMerge] post-unmerge notifications failed issue=', issue._id.toString(), e.message);
+    }
+}
+
+module.exports = {
+    runInTransaction,
+    mergeAddedVoterIds,
+    splitMergedVotes,
+    mergeIssues,
+    unmergeIssue
+};
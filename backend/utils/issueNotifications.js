@@ -0,0 +1,93 @@
+// Single dispatcher for issue lifecycle notifications
+// Every issue controller calls notifyIssueEvent(...) instead of writing Notification docs itself.
+// Audiences:
+//   reporter  -> original reporter only
+//   reporters -> original reporter + every merged reporter (Issue.reporters[].user)
+//   followers -> reporters + voters
+// The actor who triggered the event is never notified about their own action.
+
+const Notification = require('../models/Notification');
+const { log, warn } = require('./logger');
+
+const EVENTS = {
+    submitted: { type: 'issue-submission', audience: 'reporter', title: 'Issue reported' },
+    merged: { type: 'issue-submission', audience: 'reporter', title: 'Issue merged with an existing report' },
+    unmerged: { type: 'status-update', audience: 'reporter', title: 'Issue split from a merged report' },
+    duplicateReported: { type: 'upvote', audience: 'reporters', title: 'Another citizen reported this issue' },
+    upvoted: { type: 'upvote', audience: 'reporters', title: 'Your issue received a vote' },
+    assigned: { type: 'assignment', audience: 'followers', title: 'Issue assigned' },
+    statusChanged: { type: 'status-update', audience: 'followers', title: 'Issue status updated' },
+    resolved: { type: 'resolution', audience: 'followers', title: 'Issue resolved' },
+    deleted: { type: 'status-update', audience: 'reporters', title: 'Issue removed' },
+    restored: { type: 'status-update', audience: 'reporters', title: 'Issue restored' },
+    // Officials only: always dispatched with explicit recipients
+    slaBreached: { type: 'escalation', audience: 'reporter', title: 'SLA breached' },
+    resolutionAccepted: { type: 'resolution', audience: 'reporter', title: 'Resolution confirmed by citizen' },
+    resolutionRejected: { type: 'status-update', audience: 'reporter', title: 'Resolution disputed, issue reopened' }
+};
+
+// Accepts ObjectId, string or populated document
+function idOf(value) {
+    if (!value) return null;
+    if (value._id) return value._id.toString();
+    return value.toString();
+}
+
+function audienceFor(issue, audience) {
+    const ids = [idOf(issue.reportedBy)];
+    if (audience === 'reporters' || audience === 'followers') {
+        (issue.reporters || []).forEach(r => ids.push(idOf(r.user)));
+    }
+    if (audience === 'followers') {
+        (issue.voters || []).forEach(v => ids.push(idOf(v)));
+    }
+    return ids;
+}
+
+/**
+ * Persist Notification documents for an issue event and push them to each recipient's socket room.
+ * Never throws: a failed notification must not fail the request that triggered it.
+ * @param {import('socket.io').Server|undefined} io Socket server (req.io)
+ * @param {Issue} issue Canonical issue document (reportedBy/reporters/voters may be populated or raw ids)
+ * @param {string} event One of the EVENTS keys
+ * @param {Object} [options]
+ * @param {string} options.message Notification body (required)
+ * @param {string} [options.title] Overrides the event's default title
+ * @param {string} [options.actorId] User who caused the event (excluded from recipients)
+ * @param {Array} [options.recipients] Explicit recipient ids (bypasses audience resolution)
+ * @returns {Promise<Notification[]>} Created notifications
+ */
+async function notifyIssueEvent(io, issue, event, { message, title, actorId, recipients } = {}) {
+    const config = EVENTS[event];
+    if (!config) {
+        warn('[issueNotifications] unknown event', event);
+        return [];
+    }
+    try {
+        const actor = idOf(actorId);
+        const ids = (recipients ? recipients.map(idOf) : audienceFor(issue, config.audience))
+            .filter(Boolean)
+            .filter(id => id !== actor);
+        const unique = [...new Set(ids)];
+        if (!unique.length) return [];
+
+        const docs = await Notification.insertMany(unique.map(recipient => ({
+            recipient,
+            title: title || config.title,
+            message,
+            type: config.type,
+            relatedIssue: issue._id
+        })));
+        log('[issueNotifications]', event, 'issue=', issue._id?.toString(), 'recipients=', unique.length);
+
+        docs.forEach(doc => {
+            io?.to(doc.recipient.toString()).emit('newNotification', doc);
+        });
+        return docs;
+    } catch (e) {
+        warn('[issueNotifications] dispatch failed event=', event, 'issue=', issue?._id?.toString(), e.message);
+        return [];
+    }
+}
+
+module.exports = { notifyIssueEvent, EVENTS };
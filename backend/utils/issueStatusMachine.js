@@ -0,0 +1,112 @@
+// Declarative issue status state machine
+// STATUS_TRANSITIONS[from][to] lists the requirements that must hold for the move; a target missing from
+// the table is not reachable from that status. Requirements are checked against the issue and the request input:
+//   department        -> input.department (who the issue is being assigned to)
+//   assignment        -> issue already has assignedTo.department
+//   resolutionDetails -> input.resolutionDetails.description explaining the fix
+//   reason            -> input.reason explaining the rejection
+// updateIssueStatus and assignIssue call checkTransition(...) and answer 409 with its result when it is not null;
+// GET /api/issues/:id/transitions exposes listTransitions(...) so clients only offer valid actions.
+
+// Statuses in which an issue still needs work (SLA tracking, priority recomputation)
+const OPEN_STATUSES = ['pending', 'acknowledged', 'assigned', 'in-progress'];
+
+const STATUS_TRANSITIONS = {
+    pending: {
+        acknowledged: [],
+        assigned: ['department'],
+        rejected: ['reason']
+    },
+    acknowledged: {
+        assigned: ['department'],
+        rejected: ['reason']
+    },
+    assigned: {
+        assigned: ['department'], // reassignment
+        'in-progress': ['assignment'],
+        rejected: ['reason']
+    },
+    'in-progress': {
+        assigned: ['department'],
+        resolved: ['assignment', 'resolutionDetails'],
+        rejected: ['reason']
+    },
+    resolved: {
+        'in-progress': [], // reopened (official or disputed by the reporter)
+        closed: []
+    },
+    rejected: {
+        pending: [], // reconsidered
+        closed: []
+    },
+    closed: {}
+};
+
+const REQUIREMENTS = {
+    department: {
+        description: 'A department to assign the issue to (PUT /api/issues/:id/assign)',
+        check: (issue, input) => !!input.department
+    },
+    assignment: {
+        description: 'The issue must be assigned to a department first',
+        check: (issue) => !!issue.assignedTo?.department
+    },
+    resolutionDetails: {
+        description: 'resolutionDetails.description explaining how the issue was fixed',
+        check: (issue, input) => !!input.resolutionDetails?.description?.trim()
+    },
+    reason: {
+        description: 'A reason for rejecting the issue',
+        check: (issue, input) => !!input.reason?.trim()
+    }
+};
+
+/**
+ * Validate a status move.
+ * @param {Issue} issue Issue in its current state
+ * @param {string} to Target status
+ * @param {Object} [input] Request fields (department, resolutionDetails, reason)
+ * @returns {null | {code: string, error: string, allowed?: string[], missing?: string[]}} null when the move is allowed
+ */
+function checkTransition(issue, to, input = {}) {
+    const from = issue.status;
+    const targets = STATUS_TRANSITIONS[from] || {};
+    if (!Object.prototype.hasOwnProperty.call(targets, to)) {
+        return {
+            code: 'INVALID_TRANSITION',
+            error: `Cannot move an issue from ${from} to ${to}`,
+            allowed: Object.keys(targets)
+        };
+    }
+    const missing = targets[to].filter(key => !REQUIREMENTS[key].check(issue, input));
+    if (missing.length) {
+        return {
+            code: 'MISSING_REQUIREMENTS',
+            error: `Moving to ${to} requires: ${missing.map(key => REQUIREMENTS[key].description).join('; ')}`,
+            missing
+        };
+    }
+    return null;
+}
+
+/**
+ * Statuses reachable from the issue's current status, with their requirements.
+ * `ready` is false when an issue-side requirement (e.g. assignment) is not met yet.
+ * @param {Issue} issue
+ * @returns {Array<{status: string, requires: Array<{field: string, description: string}>, ready: boolean}>}
+ */
+function listTransitions(issue) {
+    const targets = STATUS_TRANSITIONS[issue.status] || {};
+    return Object.entries(targets).map(([status, keys]) => ({
+        status,
+        requires: keys.map(key => ({ field: key, description: REQUIREMENTS[key].description })),
+        ready: !keys.includes('assignment') || REQUIREMENTS.assignment.check(issue)
+    }));
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    STATUS_TRANSITIONS,
+    checkTransition,
+    listTransitions
+};
@@ -1,140 +1,216 @@
 // Utility to compute automatic priority and reasons for an Issue
-// Rules:
-// 1. Vote thresholds: >=7 => high, >=2 => medium (baseline before cluster bump)
-// 2. Clustering: If there are at least CLUSTER_MIN other issues of SAME category within 100m
-//    then bump one level (low->medium, medium->high, high->urgent(rare)).
-// 3. Always gather reasons so UI can display transparency.
-// 4. If issue.priorityAuto === false we do NOT change its priority (return existing with empty reasons array).
+// Rules are stored in the database (models/PriorityRules.js) and editable by admins; the defaults match the
+// original hard-coded behaviour. They are applied in this order, each shift clamped to low..urgent:
+// 1. Vote thresholds: highest matching threshold sets the baseline (default >=7 => high, >=2 => medium)
+// 2. Category weight: levels added for the issue's category
+// 3. Safety keywords: title/description mentions a safety keyword => bump
+// 4. Clustering: at least cluster.minOthers other issues of SAME category within cluster.radiusMeters => bump
+// 5. Age decay: open issues older than ageDecay.startAfterDays lose levels
+// 6. SLA breach: if the issue is currently breached (utils/slaEngine.js) bump.
+// 7. Alert area: issues tagged with an alert (utils/alertIssues.js) bump while the alert is active.
+// Every rule that fires adds a reason so the UI can display transparency.
+// If issue.priorityAuto === false we do NOT change its priority (return existing with empty reasons array).
 //
-// NOTE: We use spherical distance with Mongo $geoNear like logic; here we just query using $near.
-// The 100m radius converted to radians is approx 100 / 6378137.
+// Rules are cached for RULES_CACHE_MS; savePriorityRules clears the cache.
 
 const Issue = require('../models/Issue');
+const Alert = require('../models/Alert');
+const PriorityRules = require('../models/PriorityRules');
+const { OPEN_STATUSES } = require('./issueStatusMachine');
 
 const EARTH_RADIUS_M = 6378137; // WGS84
-const CLUSTER_RADIUS_METERS = 100;
-const CLUSTER_RADIUS_RADIANS = CLUSTER_RADIUS_METERS / EARTH_RADIUS_M; // ~1.567e-5
-// Minimum OTHER issues required for a bump. Override with env CLUSTER_MIN_OTHERS=1 if you want 2 total issues to trigger.
-const CLUSTER_MIN = parseInt(process.env.CLUSTER_MIN_OTHERS || '2', 10);
-
-let loggedIndexesOnce = false;
-
-function bumpPriority(level) {
-    switch (level) {
-        case 'low': return 'medium';
-        case 'medium': return 'high';
-        case 'high': return 'urgent';
-        default: return level;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+const RULES_CACHE_MS = 60 * 1000;
+const RULE_FIELDS = ['categoryWeights', 'voteThresholds', 'cluster', 'ageDecay', 'safetyKeywords', 'slaBreach', 'alertBoost'];
+const MAX_LEVELS = PRIORITY_LEVELS.length - 1;
+// Dry runs evaluate at most this many open issues
+const PREVIEW_MAX_ISSUES = 2000;
+
+let cachedRules = null;
+let cachedAt = 0;
+
+function bumpPriority(level, by = 1) {
+    const index = PRIORITY_LEVELS.indexOf(level);
+    if (index === -1) return level;
+    return PRIORITY_LEVELS[Math.min(Math.max(index + by, 0), MAX_LEVELS)];
+}
+
+// Plain rules object (schema defaults applied) from a stored document or admin input
+function toRules(raw) {
+    const doc = new PriorityRules(raw);
+    const obj = doc.toObject({ flattenMaps: true });
+    const rules = {};
+    RULE_FIELDS.forEach(field => { rules[field] = obj[field]; });
+    return rules;
+}
+
+/**
+ * Validate admin input and return a complete rules object.
+ * @param {Object} input Rules (missing sections fall back to the defaults)
+ * @returns {Object}
+ * @throws {Error} with a user-facing message when a rule is invalid
+ */
+function normalizeRules(input = {}) {
+    const picked = {};
+    RULE_FIELDS.forEach(field => {
+        if (input[field] !== undefined) picked[field] = input[field];
+    });
+    const doc = new PriorityRules(picked);
+    const validation = doc.validateSync();
+    if (validation) {
+        throw new Error(Object.values(validation.errors).map(e => e.message).join(', '));
+    }
+    const rules = toRules(picked);
+
+    const categories = Issue.schema.path('category').enumValues;
+    for (const [category, weight] of Object.entries(rules.categoryWeights || {})) {
+        if (!categories.includes(category)) throw new Error(`Unknown category "${category}"`);
+        if (!Number.isInteger(weight) || Math.abs(weight) > MAX_LEVELS) {
+            throw new Error(`Weight for "${category}" must be a whole number between -${MAX_LEVELS} and ${MAX_LEVELS}`);
+        }
+    }
+    const minVotes = rules.voteThresholds.map(t => t.minVotes);
+    if (new Set(minVotes).size !== minVotes.length) throw new Error('Vote thresholds must use different vote counts');
+    for (const field of ['cluster', 'safetyKeywords', 'slaBreach', 'alertBoost']) {
+        const levels = rules[field].levels;
+        if (!Number.isInteger(levels) || levels < 0 || levels > MAX_LEVELS) {
+            throw new Error(`${field}.levels must be a whole number between 0 and ${MAX_LEVELS}`);
+        }
+    }
+    if (!Number.isInteger(rules.ageDecay.maxLevels) || rules.ageDecay.maxLevels > MAX_LEVELS) {
+        throw new Error(`ageDecay.maxLevels must be a whole number between 0 and ${MAX_LEVELS}`);
+    }
+    rules.voteThresholds.sort((a, b) => b.minVotes - a.minVotes);
+    rules.safetyKeywords.keywords = [...new Set(rules.safetyKeywords.keywords
+        .map(k => String(k).trim().toLowerCase())
+        .filter(Boolean))];
+    return rules;
+}
+
+/**
+ * Current rules (stored document or defaults), cached for RULES_CACHE_MS.
+ * @returns {Promise<Object>}
+ */
+async function getPriorityRules() {
+    if (cachedRules && Date.now() - cachedAt < RULES_CACHE_MS) return cachedRules;
+    const stored = await PriorityRules.findOne({ key: 'default' }).lean();
+    cachedRules = toRules(stored || {});
+    cachedRules.voteThresholds.sort((a, b) => b.minVotes - a.minVotes);
+    cachedAt = Date.now();
+    return cachedRules;
+}
+
+function invalidatePriorityRules() {
+    cachedRules = null;
+    cachedAt = 0;
+}
+
+/**
+ * Validate and store new rules. They apply to every priority computed from now on.
+ * @param {Object} input
+ * @param {string} [userId] Admin making the change
+ * @returns {Promise<PriorityRules>}
+ */
+async function savePriorityRules(input, userId) {
+    const rules = normalizeRules(input);
+    const saved = await PriorityRules.findOneAndUpdate(
+        { key: 'default' },
+        { $set: { ...rules, updatedBy: userId }, $inc: { version: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    invalidatePriorityRules();
+    console.log('[priority] rules saved version=', saved.version, 'by=', userId);
+    return saved;
+}
+
+// Number of OTHER same-category issues within the cluster radius
+async function countClusterNeighbours(issueDoc, radiusMeters) {
+    const [lng, lat] = issueDoc.location.coordinates;
+    // First attempt: $geoWithin sphere (center + radius)
+    let nearby = await Issue.countDocuments({
+        _id: { $ne: issueDoc._id },
+        category: issueDoc.category,
+        location: {
+            $geoWithin: {
+                $centerSphere: [[lng, lat], radiusMeters / EARTH_RADIUS_M]
+            }
+        }
+    });
+    // Fallback to $near only if first returns 0 and we still want to double-check
+    if (nearby === 0) {
+        try {
+            nearby = await Issue.countDocuments({
+                _id: { $ne: issueDoc._id },
+                category: issueDoc.category,
+                'location.coordinates': {
+                    $near: {
+                        $geometry: { type: 'Point', coordinates: [lng, lat] },
+                        $maxDistance: radiusMeters
+                    }
+                }
+            });
+        } catch (nearErr) {
+            console.log('[priority] $near fallback failed:', nearErr.message);
+        }
     }
+    return nearby;
 }
 
 /**
- * Compute automatic priority and reasons (pure logic except for cluster query).
+ * Compute automatic priority and reasons (pure logic except for cluster/alert queries).
  * @param {Issue} issueDoc Mongoose issue document (NOT yet saved modifications ok)
+ * @param {Object} [options]
+ * @param {Object} [options.rules] Rules to apply instead of the stored ones (dry runs)
  * @returns {Promise<{priority: string, reasons: string[]}>}
  */
-async function computePriority(issueDoc) {
+async function computePriority(issueDoc, options = {}) {
     if (!issueDoc.priorityAuto) {
         return { priority: issueDoc.priority, reasons: [] };
     }
+    const rules = options.rules || await getPriorityRules();
+    const issueId = issueDoc._id?.toString();
     const reasons = [];
 
-    try {
-        if (!loggedIndexesOnce && Issue?.collection) {
-            loggedIndexesOnce = true;
-            Issue.collection.indexes().then(idx => {
-                console.log('[priority] Existing indexes:', idx.map(i => i.name));
-            }).catch(e => console.log('[priority] Could not list indexes:', e.message));
-        }
-    } catch (_) {
-        // ignore
+    // Vote thresholds (sorted highest first)
+    let derived = 'low';
+    const votes = issueDoc.votes || 0;
+    const threshold = rules.voteThresholds.find(t => votes >= t.minVotes);
+    if (threshold) {
+        derived = threshold.priority;
+        reasons.push(`votes>=${threshold.minVotes}`);
     }
 
-    console.log('[priority] START compute', {
-        issueId: issueDoc._id?.toString(),
-        category: issueDoc.category,
-        votes: issueDoc.votes,
-        priorityAuto: issueDoc.priorityAuto,
-        coords: issueDoc.location?.coordinates,
-        CLUSTER_MIN_OTHERS: CLUSTER_MIN,
-        radiusM: CLUSTER_RADIUS_METERS
-    });
-
-    // Start from current priority baseline (could be user-set previously)
-    let derived = 'low';
+    // Category weight
+    const weight = rules.categoryWeights?.[issueDoc.category] || 0;
+    if (weight) {
+        derived = bumpPriority(derived, weight);
+        reasons.push(`category-weight(${weight > 0 ? '+' : ''}${weight})`);
+    }
 
-    // Vote thresholds
-    if (issueDoc.votes >= 7) {
-        console.log('[priority] votes>=7 raising baseline to high for issue', issueDoc._id?.toString());
-        derived = 'high';
-        reasons.push('votes>=7');
-    } else if (issueDoc.votes >= 2) {
-        console.log('[priority] votes>=2 raising baseline to medium for issue', issueDoc._id?.toString());
-        derived = 'medium';
-        reasons.push('votes>=2');
-    } else {
-        console.log('[priority] votes baseline low (votes=', issueDoc.votes, ') for issue', issueDoc._id?.toString());
-        derived = 'low';
+    // Safety keywords in title/description
+    if (rules.safetyKeywords.enabled && rules.safetyKeywords.levels) {
+        const text = `${issueDoc.title || ''} ${issueDoc.description || ''}`.toLowerCase();
+        const keyword = rules.safetyKeywords.keywords.find(k => text.includes(k));
+        if (keyword) {
+            derived = bumpPriority(derived, rules.safetyKeywords.levels);
+            reasons.push(`safety-keyword(${keyword})`);
+        }
     }
 
     // Cluster detection (only if we have coordinates & category)
-    if (issueDoc.location && Array.isArray(issueDoc.location.coordinates) && issueDoc.location.coordinates.length === 2) {
-        const [lng, lat] = issueDoc.location.coordinates;
+    const { cluster } = rules;
+    if (cluster.enabled && cluster.levels && Array.isArray(issueDoc.location?.coordinates) && issueDoc.location.coordinates.length === 2) {
         try {
-            const start = Date.now();
-            // First attempt: $geoWithin sphere (center + radius)
-            const sphereFilter = {
-                _id: { $ne: issueDoc._id },
-                category: issueDoc.category,
-                location: {
-                    $geoWithin: {
-                        $centerSphere: [[lng, lat], CLUSTER_RADIUS_METERS / EARTH_RADIUS_M]
-                    }
-                }
-            };
-            let nearby = await Issue.countDocuments(sphereFilter);
-            let method = 'geoWithin';
-            // Fallback to $near only if first returns 0 and we still want to double-check
-            if (nearby === 0) {
-                try {
-                    const nearFilter = {
-                        _id: { $ne: issueDoc._id },
-                        category: issueDoc.category,
-                        'location.coordinates': {
-                            $near: {
-                                $geometry: { type: 'Point', coordinates: [lng, lat] },
-                                $maxDistance: CLUSTER_RADIUS_METERS
-                            }
-                        }
-                    };
-                    const nearCount = await Issue.countDocuments(nearFilter);
-                    if (nearCount > 0) {
-                        nearby = nearCount;
-                        method = 'near-fallback';
-                    }
-                } catch (nearErr) {
-                    console.log('[priority] $near fallback failed:', nearErr.message);
-                }
-            }
-            const ms = Date.now() - start;
-            console.log('[priority] cluster query result', {
-                issueId: issueDoc._id?.toString(),
-                nearby,
-                durationMs: ms,
-                method,
-                category: issueDoc.category,
-                coords: [lng, lat]
-            });
-            if (nearby >= CLUSTER_MIN) {
+            const nearby = await countClusterNeighbours(issueDoc, cluster.radiusMeters);
+            if (nearby >= cluster.minOthers) {
                 const previous = derived;
-                derived = bumpPriority(derived);
-                reasons.push(`cluster(${nearby + 1} issues within 100m)`); // +1 includes current issue
+                derived = bumpPriority(derived, cluster.levels);
+                reasons.push(`cluster(${nearby + 1} issues within ${cluster.radiusMeters}m)`); // +1 includes current issue
                 if (previous !== derived) {
                     reasons.push('cluster-bump');
                 }
-                console.log('[priority] cluster bump applied issue', issueDoc._id?.toString(), 'nearby=', nearby, 'previous=', previous, 'new=', derived);
-            } else {
-                console.log('[priority] cluster not large enough issue', issueDoc._id?.toString(), 'nearby=', nearby, 'needed>=', CLUSTER_MIN);
+                console.log('[priority] cluster bump issue', issueId, 'nearby=', nearby, 'previous=', previous, 'new=', derived);
             }
         } catch (e) {
             reasons.push('cluster-error');
@@ -142,12 +218,97 @@ async function computePriority(issueDoc) {
         }
     }
 
-    const result = { priority: derived, reasons };
-    console.log('[priority] END compute', { issueId: issueDoc._id?.toString(), priority: derived, reasons });
-    return result;
+    // Age decay for issues that have been open for a long time
+    const { ageDecay } = rules;
+    if (ageDecay.enabled && ageDecay.maxLevels && issueDoc.createdAt) {
+        const ageDays = (Date.now() - new Date(issueDoc.createdAt).getTime()) / DAY_MS;
+        if (ageDays >= ageDecay.startAfterDays) {
+            const levels = Math.min(1 + Math.floor((ageDays - ageDecay.startAfterDays) / ageDecay.everyDays), ageDecay.maxLevels);
+            derived = bumpPriority(derived, -levels);
+            reasons.push(`age-decay(-${levels})`);
+        }
+    }
+
+    // SLA escalation (flag is set by the SLA engine before it recomputes)
+    if (rules.slaBreach.enabled && rules.slaBreach.levels && issueDoc.sla?.breached) {
+        derived = bumpPriority(derived, rules.slaBreach.levels);
+        reasons.push('sla-breach');
+    }
+
+    // Disaster-time triage: reported inside an alert area that is still active
+    if (rules.alertBoost.enabled && rules.alertBoost.levels && issueDoc.alertId) {
+        try {
+            const activeAlert = await Alert.exists({ _id: issueDoc.alertId, isActive: true });
+            if (activeAlert) {
+                derived = bumpPriority(derived, rules.alertBoost.levels);
+                reasons.push('alert-area');
+            }
+        } catch (e) {
+            console.error('[priority] Alert lookup failed:', e.message);
+        }
+    }
+
+    console.log('[priority] computed', { issueId, priority: derived, reasons });
+    return { priority: derived, reasons };
+}
+
+/**
+ * Dry run: compare priorities under the stored rules and under proposed rules for open canonical issues.
+ * Nothing is saved.
+ * @param {Object} proposed Output of normalizeRules
+ * @param {{limit?: number}} [options]
+ */
+async function previewPriorityRules(proposed, { limit = 500 } = {}) {
+    const current = await getPriorityRules();
+    const max = Math.min(Math.max(parseInt(limit, 10) || 500, 1), PREVIEW_MAX_ISSUES);
+    const issues = await Issue.find({ status: { $in: OPEN_STATUSES }, mergedInto: null })
+        .sort({ createdAt: -1 })
+        .limit(max);
+
+    const summary = {
+        evaluated: 0,
+        locked: 0,
+        changed: 0,
+        raised: 0,
+        lowered: 0,
+        current: Object.fromEntries(PRIORITY_LEVELS.map(p => [p, 0])),
+        proposed: Object.fromEntries(PRIORITY_LEVELS.map(p => [p, 0]))
+    };
+    const changes = [];
+    for (const issue of issues) {
+        if (!issue.priorityAuto) {
+            summary.locked += 1;
+            continue;
+        }
+        const before = await computePriority(issue, { rules: current });
+        const after = await computePriority(issue, { rules: proposed });
+        summary.evaluated += 1;
+        summary.current[before.priority] += 1;
+        summary.proposed[after.priority] += 1;
+        if (before.priority === after.priority) continue;
+        const diff = PRIORITY_LEVELS.indexOf(after.priority) - PRIORITY_LEVELS.indexOf(before.priority);
+        summary.changed += 1;
+        summary[diff > 0 ? 'raised' : 'lowered'] += 1;
+        changes.push({
+            issueId: issue._id,
+            title: issue.title,
+            category: issue.category,
+            stored: issue.priority,
+            from: before.priority,
+            to: after.priority,
+            reasons: after.reasons
+        });
+    }
+    return { summary, changes, truncated: issues.length === max };
 }
 
 module.exports = {
+    PRIORITY_LEVELS,
     computePriority,
-    constants: { CLUSTER_RADIUS_METERS, CLUSTER_MIN }
+    bumpPriority,
+    getPriorityRules,
+    normalizeRules,
+    savePriorityRules,
+    invalidatePriorityRules,
+    previewPriorityRules
 };
@@ -0,0 +1,144 @@
+// Bulk priority recomputation
+// computePriority otherwise only runs on votes, merges and SLA breaches, so cluster-based priorities go stale
+// when neighbouring issues are created or resolved (and new priority rules only reach issues as they change).
+// recomputePriorities() pages through open canonical issues by _id, recomputes them with the current rules,
+// stores priority + reasons, emits 'issuePriorityUpdated' only for issues whose priority moved and returns a
+// summary. Issues locked with priorityAuto=false are counted but never touched.
+// Triggered by POST /api/priority-rules/recompute, which starts a run in the background; clients follow it
+// through getRecomputeStatus() (GET /api/priority-rules/recompute/status). startPriorityRecompute(io) also
+// runs it every PRIORITY_RECOMPUTE_INTERVAL_MINUTES when that is set (disabled by default).
+
+const Issue = require('../models/Issue');
+const { computePriority, getPriorityRules, PRIORITY_LEVELS } = require('./priority');
+const { OPEN_STATUSES } = require('./issueStatusMachine');
+const { emitIssueEvent } = require('./socketRooms');
+const { log, warn, error } = require('./logger');
+
+const PAGE_SIZE = parseInt(process.env.PRIORITY_RECOMPUTE_PAGE_SIZE || '200', 10);
+const INTERVAL_MINUTES = parseInt(process.env.PRIORITY_RECOMPUTE_INTERVAL_MINUTES || '0', 10);
+
+let running = false;
+let runStartedAt = null;
+// { startedAt, finishedAt, summary } or { startedAt, finishedAt, error } of the last finished run
+let lastRun = null;
+
+/**
+ * Recompute priority for every open canonical issue.
+ * @param {import('socket.io').Server} [io]
+ * @param {{pageSize?: number}} [options]
+ * @returns {Promise<Object|null>} Summary, or null when a run is already in progress
+ */
+async function recomputePriorities(io, { pageSize = PAGE_SIZE } = {}) {
+    if (running) return null;
+    running = true;
+    runStartedAt = new Date();
+    const started = runStartedAt.getTime();
+    const summary = {
+        scanned: 0,
+        locked: 0,
+        changed: 0,
+        raised: 0,
+        lowered: 0,
+        unchanged: 0,
+        failed: 0,
+        pages: 0,
+        // "<from>-><to>" -> count
+        moves: {}
+    };
+    const base = { status: { $in: OPEN_STATUSES }, mergedInto: null };
+
+    try {
+        summary.locked = await Issue.countDocuments({ ...base, priorityAuto: false });
+        // Load the rules once so every issue of the run uses the same version
+        const rules = await getPriorityRules();
+        let lastId = null;
+        for (;;) {
+            const page = await Issue.find({ ...base, priorityAuto: { $ne: false }, ...(lastId && { _id: { $gt: lastId } }) })
+                .sort({ _id: 1 })
+                .limit(pageSize);
+            if (!page.length) break;
+            summary.pages += 1;
+            lastId = page[page.length - 1]._id;
+
+            for (const issue of page) {
+                summary.scanned += 1;
+                try {
+                    const oldPriority = issue.priority;
+                    const { priority, reasons } = await computePriority(issue, { rules });
+                    const reasonsChanged = reasons.join('|') !== (issue.priorityReasons || []).join('|');
+                    if (priority === oldPriority && !reasonsChanged) {
+                        summary.unchanged += 1;
+                        continue;
+                    }
+                    // Conditional update: an official may have locked the priority while the job was running
+                    const result = await Issue.updateOne(
+                        { _id: issue._id, priorityAuto: { $ne: false } },
+                        { $set: { priority, priorityReasons: reasons } }
+                    );
+                    if (!result.matchedCount) {
+                        summary.locked += 1;
+                        continue;
+                    }
+                    if (priority === oldPriority) {
+                        summary.unchanged += 1;
+                        continue;
+                    }
+                    summary.changed += 1;
+                    const diff = PRIORITY_LEVELS.indexOf(priority) - PRIORITY_LEVELS.indexOf(oldPriority);
+                    summary[diff > 0 ? 'raised' : 'lowered'] += 1;
+                    const move = `${oldPriority}->${priority}`;
+                    summary.moves[move] = (summary.moves[move] || 0) + 1;
+                    emitIssueEvent(io, issue, 'issuePriorityUpdated', {
+                        issueId: issue._id,
+                        oldPriority,
+                        newPriority: priority,
+                        reasons
+                    });
+                } catch (e) {
+                    summary.failed += 1;
+                    warn('[priorityRecompute] issue=', issue._id.toString(), 'failed:', e.message);
+                }
+            }
+        }
+    } catch (e) {
+        lastRun = { startedAt: runStartedAt, finishedAt: new Date(), error: e.message };
+        throw e;
+    } finally {
+        running = false;
+    }
+
+    summary.durationMs = Date.now() - started;
+    lastRun = { startedAt: runStartedAt, finishedAt: new Date(), summary };
+    log('[priorityRecompute] run', JSON.stringify(summary));
+    return summary;
+}
+
+/**
+ * Whether a run is in progress, and the outcome of the last finished one.
+ * @returns {{running: boolean, startedAt: Date|null, lastRun: Object|null}}
+ */
+function getRecomputeStatus() {
+    return { running, startedAt: running ? runStartedAt : null, lastRun };
+}
+
+function startPriorityRecompute(io) {
+    if (!INTERVAL_MINUTES) {
+        log('[priorityRecompute] PRIORITY_RECOMPUTE_INTERVAL_MINUTES not set, scheduler not started');
+        return null;
+    }
+    const tick = async () => {
+        try {
+            await recomputePriorities(io);
+        } catch (e) {
+            error('[priorityRecompute] run failed', e.message);
+        }
+    };
+    log('[priorityRecompute] scheduler started intervalMinutes=', INTERVAL_MINUTES);
+    return setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+    recomputePriorities,
+    getRecomputeStatus,
+    startPriorityRecompute
+};
@@ -0,0 +1,233 @@
+// Automatic department routing
+// RoutingRule documents map an issue's category, ward (Issue.ward.code) and/or pincode to a department and an
+// optional default official. createIssue calls routeIssue(...) on every new canonical issue: the first enabled
+// rule (ascending order) whose non-empty conditions all match assigns the issue and is recorded in Issue.routing.
+// assignIssue calls recordRoutingOverride(...) so a later manual reassignment to another department counts
+// against the rule in routingAccuracy(...) (GET /api/analytics/routing).
+
+const RoutingRule = require('../models/RoutingRule');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const { checkTransition } = require('./issueStatusMachine');
+const { log } = require('./logger');
+
+// Arrays or comma-separated strings -> trimmed, de-duplicated values
+const toList = (value) => {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(items.map(v => String(v ?? '').trim()).filter(Boolean))];
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Validate and normalize a routing rule from a request body.
+ * @param {Object} body
+ * @returns {Promise<Object>} Fields ready for RoutingRule
+ * @throws {Error} with a user-facing message when the rule is invalid
+ */
+async function normalizeRoutingRule(body = {}) {
+    const name = String(body.name ?? '').trim();
+    const department = String(body.department ?? '').trim();
+    if (!name) throw new Error('Rule name is required');
+    if (!department) throw new Error('Department is required');
+
+    const match = {
+        categories: toList(body.match?.categories),
+        wards: toList(body.match?.wards),
+        pincodes: toList(body.match?.pincodes)
+    };
+    if (!match.categories.length && !match.wards.length && !match.pincodes.length) {
+        throw new Error('A rule needs at least one category, ward or pincode condition');
+    }
+    const categories = Issue.schema.path('category').enumValues;
+    const unknown = match.categories.filter(c => !categories.includes(c));
+    if (unknown.length) throw new Error(`Unknown categories: ${unknown.join(', ')}`);
+
+    let official = null;
+    if (body.official) {
+        const user = await User.findOne({ _id: body.official, role: 'government' }).select('_id').lean().catch(() => null);
+        if (!user) throw new Error('Default official must be a government user');
+        official = user._id;
+    }
+
+    const order = body.order === undefined || body.order === '' ? 100 : Number(body.order);
+    if (!Number.isFinite(order)) throw new Error('Order must be a number');
+
+    return {
+        name,
+        department,
+        official,
+        match,
+        order,
+        enabled: body.enabled !== false && body.enabled !== 'false'
+    };
+}
+
+/**
+ * Whether every non-empty condition of the rule matches the issue.
+ * @param {Object} rule
+ * @param {{category?: string, ward?: string, pincode?: string}} keys
+ */
+function ruleMatches(rule, { category, ward, pincode }) {
+    const { categories = [], wards = [], pincodes = [] } = rule.match || {};
+    if (!categories.length && !wards.length && !pincodes.length) return false;
+    if (categories.length && !categories.includes(category)) return false;
+    if (wards.length && !wards.includes(ward)) return false;
+    if (pincodes.length && !pincodes.includes(String(pincode ?? '').trim())) return false;
+    return true;
+}
+
+const routingKeys = (issue) => ({
+    category: issue.category,
+    ward: issue.ward?.code,
+    pincode: issue.location?.pincode
+});
+
+/**
+ * First enabled rule matching the keys, or null.
+ * @param {{category?: string, ward?: string, pincode?: string}} keys
+ */
+async function findRoutingRule(keys) {
+    const rules = await RoutingRule.find({ enabled: true }).sort({ order: 1, createdAt: 1 }).lean();
+    return rules.find(rule => ruleMatches(rule, keys)) || null;
+}
+
+/**
+ * Auto-assign a new issue with the first matching rule (does not save).
+ * @param {Issue} issue Mongoose issue document, tagged with its ward
+ * @returns {Promise<Object|null>} The rule applied, or null when no rule matched
+ */
+async function routeIssue(issue) {
+    const rule = await findRoutingRule(routingKeys(issue));
+    if (!rule) return null;
+    if (checkTransition(issue, 'assigned', { department: rule.department })) return null;
+
+    // A default official who left government service is skipped; the department still gets the issue
+    const official = rule.official && await User.exists({ _id: rule.official, role: 'government' })
+        ? rule.official
+        : null;
+    const now = new Date();
+
+    issue.assignedTo = { department: rule.department, official };
+    issue.status = 'assigned';
+    issue.statusHistory.push({
+        status: 'assigned',
+        comment: `Auto-assigned by rule "${rule.name}" to ${rule.department} department`,
+        timestamp: now
+    });
+    issue.notifications.push({
+        message: `Your issue has been assigned to the ${rule.department} department`,
+        type: 'assignment',
+        timestamp: now
+    });
+    issue.routing = {
+        rule: rule._id,
+        ruleName: rule.name,
+        department: rule.department,
+        official,
+        routedAt: now
+    };
+    log('[routing] issue=', issue._id?.toString(), 'rule=', rule.name, '->', rule.department);
+    return { ...rule, official };
+}
+
+/**
+ * Record a manual reassignment of an auto-routed issue (does not save).
+ * Only the first departure from the rule's choice is recorded.
+ * @param {Issue} issue Issue before the new assignment is applied
+ * @param {{department: string, officialId?: string, userId: string}} assignment
+ */
+function recordRoutingOverride(issue, { department, officialId, userId }) {
+    const routing = issue.routing;
+    if (!routing?.rule || routing.overridden) return;
+    if (department !== routing.department) {
+        routing.overridden = true;
+        routing.overrideDepartment = department;
+    } else if (idOf(officialId) !== idOf(routing.official) && !routing.officialChanged) {
+        routing.officialChanged = true;
+    } else {
+        return;
+    }
+    routing.overriddenBy = userId;
+    routing.overriddenAt = new Date();
+}
+
+/**
+ * How often each rule's department was kept, for canonical issues routed in the period.
+ * @param {{startDate?: string|Date, endDate?: string|Date}} [range]
+ */
+async function routingAccuracy({ startDate, endDate } = {}) {
+    const match = { mergedInto: { $exists: false } };
+    if (startDate || endDate) {
+        match.createdAt = {};
+        if (startDate) match.createdAt.$gte = new Date(startDate);
+        if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const [rules, overrides, unrouted] = await Promise.all([
+        Issue.aggregate([
+            { $match: { ...match, 'routing.rule': { $exists: true } } },
+            {
+                $group: {
+                    _id: '$routing.rule',
+                    name: { $last: '$routing.ruleName' },
+                    department: { $last: '$routing.department' },
+                    routed: { $sum: 1 },
+                    overridden: { $sum: { $cond: ['$routing.overridden', 1, 0] } },
+                    officialChanged: { $sum: { $cond: ['$routing.officialChanged', 1, 0] } },
+                    // Settled issues whose department was never changed
+                    confirmed: {
+                        $sum: {
+                            $cond: [
+                                { $and: [{ $in: ['$status', ['resolved', 'closed']] }, { $ne: ['$routing.overridden', true] }] },
+                                1,
+                                0
+                            ]
+                        }
+                    }
+                }
+            },
+            { $sort: { routed: -1 } }
+        ]),
+        Issue.aggregate([
+            { $match: { ...match, 'routing.overridden': true } },
+            { $group: { _id: { from: '$routing.department', to: '$routing.overrideDepartment' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 10 }
+        ]),
+        Issue.countDocuments({ ...match, 'routing.rule': { $exists: false } })
+    ]);
+
+    const accuracy = (routed, overridden) => (routed ? Number(((routed - overridden) / routed * 100).toFixed(1)) : null);
+    const routed = rules.reduce((sum, r) => sum + r.routed, 0);
+    const overridden = rules.reduce((sum, r) => sum + r.overridden, 0);
+
+    return {
+        routed,
+        overridden,
+        unrouted,
+        // Share of issues created in the period that a rule routed
+        coverage: routed + unrouted ? Number((routed / (routed + unrouted) * 100).toFixed(1)) : null,
+        accuracy: accuracy(routed, overridden),
+        rules: rules.map(r => ({
+            rule: r._id,
+            name: r.name,
+            department: r.department,
+            routed: r.routed,
+            overridden: r.overridden,
+            officialChanged: r.officialChanged,
+            confirmed: r.confirmed,
+            accuracy: accuracy(r.routed, r.overridden)
+        })),
+        topOverrides: overrides.map(o => ({ from: o._id.from, to: o._id.to, count: o.count }))
+    };
+}
+
+module.exports = {
+    normalizeRoutingRule,
+    ruleMatches,
+    findRoutingRule,
+    routeIssue,
+    recordRoutingOverride,
+    routingAccuracy
+};
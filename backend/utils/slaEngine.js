@@ -0,0 +1,190 @@
+// SLA engine: tracks how long an issue may stay in each open status and escalates breaches
+// Deadlines:
+//   pending / acknowledged / assigned -> STATUS_SLA_HOURS after the issue entered that status
+//   every open status                 -> createdAt + estimatedResolutionTime (overall resolution deadline)
+// Issue.sla.dueAt is the earlier of the two. The scheduler (startSlaScheduler) periodically picks up open
+// canonical issues past dueAt that have not been breached in their current status yet, marks them breached,
+// lets computePriority bump the priority (reason 'sla-breach') and notifies the assigned official plus the
+// department head(s).
+
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const { computePriority } = require('./priority');
+const { OPEN_STATUSES } = require('./issueStatusMachine');
+const { notifyIssueEvent } = require('./issueNotifications');
+const { emitIssueEvent, governmentRoomsFor } = require('./socketRooms');
+const { log, warn, error } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Time allowed in a status before the issue must move on (in-progress is bounded by the overall deadline only)
+const STATUS_SLA_HOURS = {
+    pending: 24,
+    acknowledged: 24,
+    assigned: 48
+};
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES || '15', 10);
+const BATCH_SIZE = 100;
+
+// When the issue entered its current status (latest matching statusHistory entry)
+function statusEnteredAt(issue) {
+    const history = issue.statusHistory || [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].status === issue.status) return new Date(history[i].timestamp);
+    }
+    return new Date(issue.updatedAt || issue.createdAt || Date.now());
+}
+
+/**
+ * Deadline for an issue in its current status.
+ * @param {Issue} issue
+ * @returns {Date|undefined} undefined once the issue is no longer open
+ */
+function computeSlaDueAt(issue) {
+    if (!OPEN_STATUSES.includes(issue.status)) return undefined;
+    const createdAt = new Date(issue.createdAt || Date.now());
+    const overall = createdAt.getTime() + (issue.estimatedResolutionTime || 72) * HOUR_MS;
+    const statusHours = STATUS_SLA_HOURS[issue.status];
+    if (!statusHours) return new Date(overall);
+    const statusDue = statusEnteredAt(issue).getTime() + statusHours * HOUR_MS;
+    return new Date(Math.min(statusDue, overall));
+}
+
+/**
+ * Refresh issue.sla after a status change (does not save).
+ * Moving to an open status starts a new episode: the breach flag and breachedStatus are cleared so the new
+ * deadline can breach again, even in a status that breached before (e.g. resolved, then reopened to in-progress).
+ * Closing statuses keep the flag as the final outcome.
+ * @param {Issue} issue Mongoose issue document
+ */
+function refreshSla(issue) {
+    if (!issue.sla) issue.sla = {};
+    issue.sla.dueAt = computeSlaDueAt(issue);
+    const statusChanged = typeof issue.isModified === 'function'
+        ? issue.isModified('status')
+        : issue.sla.breachedStatus !== issue.status;
+    if (OPEN_STATUSES.includes(issue.status) && statusChanged) {
+        issue.sla.breached = false;
+        issue.sla.breachedStatus = undefined;
+    }
+}
+
+// Officials to escalate to: the assigned official plus the head(s) of the assigned department
+// (every department head while the issue is still unassigned)
+async function escalationRecipients(issue) {
+    const headFilter = { role: 'government', isDepartmentHead: true };
+    if (issue.assignedTo?.department) headFilter.department = issue.assignedTo.department;
+    const heads = await User.find(headFilter).select('_id');
+    const ids = heads.map(h => h._id.toString());
+    if (issue.assignedTo?.official) ids.push(issue.assignedTo.official.toString());
+    return ids;
+}
+
+async function escalateIssue(io, issue, now) {
+    const overdueHours = Math.round((now - issue.sla.dueAt) / HOUR_MS);
+    issue.sla.breached = true;
+    issue.sla.breachedAt = now;
+    issue.sla.breachedStatus = issue.status;
+    issue.sla.breachCount = (issue.sla.breachCount || 0) + 1;
+
+    const oldPriority = issue.priority;
+    if (issue.priorityAuto) {
+        const { priority, reasons } = await computePriority(issue);
+        issue.priority = priority;
+        issue.priorityReasons = reasons;
+    }
+    await issue.save();
+    log('[sla] breached issue=', issue._id.toString(), 'status=', issue.status, 'overdueHours=', overdueHours, 'priority=', oldPriority, '->', issue.priority);
+
+    if (oldPriority !== issue.priority) {
+        emitIssueEvent(io, issue, 'issuePriorityUpdated', {
+            issueId: issue._id,
+            oldPriority,
+            newPriority: issue.priority,
+            reasons: issue.priorityReasons
+        });
+    }
+    io?.to(governmentRoomsFor(issue)).emit('issueSlaBreached', {
+        issueId: issue._id,
+        status: issue.status,
+        department: issue.assignedTo?.department || null,
+        dueAt: issue.sla.dueAt,
+        priority: issue.priority
+    });
+
+    const recipients = await escalationRecipients(issue);
+    const department = issue.assignedTo?.department;
+    await notifyIssueEvent(io, issue, 'slaBreached', {
+        recipients,
+        message: `"${issue.title}" has been ${issue.status} for longer than allowed${department ? ` (${department})` : ''} and is ${overdueHours}h overdue`
+    });
+}
+
+/**
+ * One SLA pass: backfill missing deadlines, then escalate every newly breached open canonical issue.
+ * @param {import('socket.io').Server|undefined} io
+ * @returns {Promise<{backfilled: number, breached: number}>}
+ */
+async function runSlaCheck(io) {
+    const now = new Date();
+    const base = { status: { $in: OPEN_STATUSES }, mergedInto: { $exists: false } };
+    let backfilled = 0;
+    let breached = 0;
+
+    // Issues created before SLA tracking existed have no deadline yet
+    const missing = Issue.find({ ...base, 'sla.dueAt': { $exists: false } })
+        .select('status statusHistory createdAt updatedAt estimatedResolutionTime')
+        .cursor({ batchSize: BATCH_SIZE });
+    for await (const issue of missing) {
+        await Issue.updateOne({ _id: issue._id }, { $set: { 'sla.dueAt': computeSlaDueAt(issue) } });
+        backfilled++;
+    }
+
+    const overdue = Issue.find({
+        ...base,
+        'sla.dueAt': { $lte: now },
+        $expr: { $ne: ['$sla.breachedStatus', '$status'] }
+    }).cursor({ batchSize: BATCH_SIZE });
+    for await (const issue of overdue) {
+        try {
+            await escalateIssue(io, issue, now);
+            breached++;
+        } catch (e) {
+            warn('[sla] escalation failed issue=', issue._id.toString(), e.message);
+        }
+    }
+
+    if (backfilled || breached) log('[sla] check complete backfilled=', backfilled, 'breached=', breached);
+    return { backfilled, breached };
+}
+
+/**
+ * Run runSlaCheck every SLA_CHECK_INTERVAL_MINUTES (skips a tick while the previous pass is still running).
+ * @param {import('socket.io').Server} io
+ * @returns {NodeJS.Timeout}
+ */
+function startSlaScheduler(io) {
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runSlaCheck(io);
+        } catch (e) {
+            error('[sla] check failed', e.message);
+        } finally {
+            running = false;
+        }
+    };
+    log('[sla] scheduler started intervalMinutes=', CHECK_INTERVAL_MINUTES);
+    tick();
+    return setInterval(tick, CHECK_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    STATUS_SLA_HOURS,
+    computeSlaDueAt,
+    refreshSla,
+    runSlaCheck,
+    startSlaScheduler
+};
@@ -0,0 +1,226 @@
+// Socket.IO room naming + targeted emit helpers for issue events
+// Rooms:
+//   <userId>                  -> personal room (one per user, joined on connection)
+//   issue:<canonicalId>       -> clients currently viewing an issue (joined via 'joinIssue' after access check)
+//   government                -> every connected government official
+//   government:dept:<name>    -> officials of one department
+//   area:city:<city> / area:state:<state> -> citizens by profile location (announcement targeting)
+// Controllers should call emitIssueEvent(...) instead of req.io.emit(...) so events only reach
+// users connected to the issue (reporters, voters, consenting co-reporters, the owning department).
+
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const { log, warn } = require('./logger');
+
+const GOVERNMENT_ROOM = 'government';
+
+function userRoom(userId) {
+    return userId.toString();
+}
+
+function issueRoom(issueId) {
+    return `issue:${issueId.toString()}`;
+}
+
+function departmentRoom(department) {
+    return `${GOVERNMENT_ROOM}:dept:${department}`;
+}
+
+function cityRoom(city) {
+    return `area:city:${city.trim().toLowerCase()}`;
+}
+
+function stateRoom(state) {
+    return `area:state:${state.trim().toLowerCase()}`;
+}
+
+/**
+ * Rooms for an area-targeted broadcast: the city when given, otherwise the state.
+ * @param {{city?: string, state?: string}} [area]
+ * @returns {string[]} Empty when the target is everyone
+ */
+function areaRoomsFor({ city, state } = {}) {
+    if (city && city.trim()) return [cityRoom(city)];
+    if (state && state.trim()) return [stateRoom(state)];
+    return [];
+}
+
+// Accepts ObjectId, string or populated document
+function idOf(value) {
+    if (!value) return null;
+    if (value._id) return value._id.toString();
+    return value.toString();
+}
+
+// Government rooms that should see an issue: its department, or every official while unassigned
+function governmentRoomsFor(issue) {
+    const department = issue.assignedTo?.department;
+    return department ? [departmentRoom(department)] : [GOVERNMENT_ROOM];
+}
+
+/**
+ * Whether a user may receive real-time events for an issue.
+ * Citizens: original reporter, voters and co-reporters who consented.
+ * Government: officials of the assigned department (any official while the issue is unassigned).
+ * @param {{id: string, role: string, department?: string}} user
+ * @param {Issue} issue Canonical issue
+ * @returns {boolean}
+ */
+function canAccessIssue(user, issue) {
+    if (!user || !issue) return false;
+    const userId = String(user.id);
+    if (user.role === 'government') {
+        const department = issue.assignedTo?.department;
+        return !department || department === user.department;
+    }
+    if (idOf(issue.reportedBy) === userId) return true;
+    if ((issue.voters || []).some(v => idOf(v) === userId)) return true;
+    return (issue.reporters || []).some(r => idOf(r.user) === userId && r.consent === true);
+}
+
+/**
+ * Rooms for an issue-level event. Chat goes to the issue room plus consenting participants,
+ * everything else also reaches voters and merged reporters in their personal rooms.
+ * @param {Issue} issue Canonical issue
+ * @param {{chat?: boolean}} [options]
+ * @returns {string[]}
+ */
+function roomsForIssue(issue, { chat = false } = {}) {
+    const rooms = [issueRoom(issue._id), ...governmentRoomsFor(issue)];
+    const reporter = idOf(issue.reportedBy);
+    if (reporter) rooms.push(userRoom(reporter));
+    (issue.reporters || []).forEach(r => {
+        if (!r.user) return;
+        if (chat && r.consent !== true) return;
+        rooms.push(userRoom(idOf(r.user)));
+    });
+    if (!chat) {
+        (issue.voters || []).forEach(v => rooms.push(userRoom(idOf(v))));
+    }
+    return [...new Set(rooms)];
+}
+
+/**
+ * Emit an issue event only to the rooms allowed to see it.
+ * Socket.IO de-duplicates sockets across rooms, so a user in several rooms receives the event once.
+ * @param {import('socket.io').Server|undefined} io
+ * @param {Issue} issue Canonical issue
+ * @param {string} event Socket event name
+ * @param {Object} payload
+ * @param {{chat?: boolean}} [options]
+ */
+function emitIssueEvent(io, issue, event, payload, options) {
+    if (!io || !issue) return;
+    io.to(roomsForIssue(issue, options)).emit(event, payload);
+}
+
+// Load the canonical issue for an id (duplicates resolve to the issue they were merged into)
+async function findCanonicalIssue(issueId) {
+    const fields = '_id mergedInto reportedBy reporters voters assignedTo';
+    let issue = await Issue.findById(issueId).select(fields);
+    if (issue?.mergedInto) issue = await Issue.findById(issue.mergedInto).select(fields);
+    return issue;
+}
+
+/**
+ * Join the verified user's rooms and register room join/leave handlers.
+ * Expects socket.data.user to be set by auth.middleware.authenticateSocket.
+ * @param {import('socket.io').Socket} socket
+ */
+function registerRoomHandlers(socket) {
+    const user = socket.data.user;
+    socket.join(userRoom(user.id));
+    if (user.role === 'government') {
+        socket.join(GOVERNMENT_ROOM);
+        if (user.department) socket.join(departmentRoom(user.department));
+        log('[socket] government user joined rooms', user.id, 'department=', user.department);
+    } else {
+        if (user.city) socket.join(cityRoom(user.city));
+        if (user.state) socket.join(stateRoom(user.state));
+    }
+
+    // Legacy clients still emit registerUser after connecting; the personal room is derived
+    // from the verified token, so the client-supplied id is never trusted.
+    socket.on('registerUser', (uid) => {
+        if (uid && uid.toString() !== user.id) {
+            warn('[socket] registerUser ignored mismatched id', uid, 'verified=', user.id);
+        }
+    });
+
+    socket.on('joinIssue', async (issueId, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            if (!mongoose.isValidObjectId(issueId)) return reply({ success: false, error: 'Invalid issue id' });
+            const issue = await findCanonicalIssue(issueId);
+            if (!issue) return reply({ success: false, error: 'Issue not found' });
+            if (!canAccessIssue(user, issue)) {
+                warn('[socket] joinIssue denied user=', user.id, 'issue=', issue._id.toString());
+                return reply({ success: false, error: 'Access denied' });
+            }
+            socket.join(issueRoom(issue._id));
+            log('[socket] joinIssue user=', user.id, 'room=', issueRoom(issue._id));
+            reply({ success: true, issueId: issue._id.toString() });
+        } catch (e) {
+            warn('[socket] joinIssue error', e.message);
+            reply({ success: false, error: 'Failed to join issue' });
+        }
+    });
+
+    socket.on('leaveIssue', (issueId) => {
+        if (!issueId) return;
+        socket.leave(issueRoom(issueId));
+        log('[socket] leaveIssue socketId=', socket.id, 'room=', issueRoom(issueId));
+    });
+}
+
+/**
+ * Client relays of issue updates. Only government users may relay, and a status relay only
+ * reaches the rooms of an issue the official can access.
+ * @param {import('socket.io').Server} io
+ * @param {import('socket.io').Socket} socket
+ */
+function registerRelayHandlers(io, socket) {
+    const user = socket.data.user;
+
+    socket.on('newIssue', (data) => {
+        if (user.role !== 'government') {
+            warn('[socket] newIssue relay rejected for non-government user', user.id);
+            return;
+        }
+        log('[socket] newIssue relay issueId=', data?.issue?._id, 'by=', user.id);
+        io.to(GOVERNMENT_ROOM).emit('issueUpdate', data);
+    });
+
+    socket.on('statusChange', async (data) => {
+        if (user.role !== 'government') {
+            warn('[socket] statusChange relay rejected for non-government user', user.id);
+            return;
+        }
+        try {
+            if (!mongoose.isValidObjectId(data?.issueId)) return;
+            const issue = await findCanonicalIssue(data.issueId);
+            if (!issue || !canAccessIssue(user, issue)) {
+                warn('[socket] statusChange relay rejected user=', user.id, 'issueId=', data.issueId);
+                return;
+            }
+            log('[socket] statusChange relay issueId=', data.issueId, 'status=', data?.status, 'by=', user.id);
+            emitIssueEvent(io, issue, 'issueUpdate', data);
+        } catch (e) {
+            warn('[socket] statusChange relay error', e.message);
+        }
+    });
+}
+
+module.exports = {
+    GOVERNMENT_ROOM,
+    userRoom,
+    issueRoom,
+    departmentRoom,
+    areaRoomsFor,
+    governmentRoomsFor,
+    canAccessIssue,
+    roomsForIssue,
+    emitIssueEvent,
+    registerRoomHandlers,
+    registerRelayHandlers
+};
@@ -19,8 +19,16 @@ import ResolvedIssues from './pages/dashboard/ResolvedIssues';
 import AllIssues from './pages/dashboard/AllIssues';
 import Analytics from './pages/dashboard/Analytics';
 import Alerts from './pages/dashboard/Alerts';
+import AlertIssues from './pages/dashboard/AlertIssues';
+import PriorityRules from './pages/dashboard/PriorityRules';
+import Heatmap from './pages/dashboard/Heatmap';
+import Boundaries from './pages/dashboard/Boundaries';
+import RoutingRules from './pages/dashboard/RoutingRules';
+import IssueDetail from './pages/dashboard/IssueDetail';
+import Announcements from './pages/dashboard/Announcements';
 import ReportIssue from './pages/issues/ReportIssue';
 import MyIssues from './pages/issues/MyIssues';
+import IssuesNearby from './pages/issues/IssuesNearby';
 import NotFound from './pages/errors/NotFound';
 import Profile from './pages/profile/Profile';
 import Settings from './pages/settings/Settings';
@@ -58,6 +66,7 @@ const App = () => {
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/issues/nearby" element={<IssuesNearby />} />
 
             {/* Protected Routes */}
             <Route
@@ -95,6 +104,15 @@ const App = () => {
               }
             />
 
+            <Route
+              path="/dashboard/announcements"
+              element={
+                <ProtectedRoute>
+                  <Announcements />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Complete Profile - Protected */}
             <Route
               path="/complete-profile"
@@ -156,6 +174,22 @@ const App = () => {
                 </GovernmentRoute>
               }
             />
+            <Route
+              path="/dashboard/heatmap"
+              element={
+                <GovernmentRoute>
+                  <Heatmap />
+                </GovernmentRoute>
+              }
+            />
+            <Route
+              path="/dashboard/issues/:issueId"
+              element={
+                <GovernmentRoute>
+                  <IssueDetail />
+                </GovernmentRoute>
+              }
+            />
             <Route
               path="/dashboard/alerts"
               element={
@@ -164,6 +198,38 @@ const App = () => {
                 </GovernmentRoute>
               }
             />
+            <Route
+              path="/dashboard/alerts/:alertId/issues"
+              element={
+                <GovernmentRoute>
+                  <AlertIssues />
+                </GovernmentRoute>
+              }
+            />
+            <Route
+              path="/dashboard/priority-rules"
+              element={
+                <GovernmentRoute>
+                  <PriorityRules />
+                </GovernmentRoute>
+              }
+            />
+            <Route
+              path="/dashboard/boundaries"
+              element={
+                <GovernmentRoute>
+                  <Boundaries />
+                </GovernmentRoute>
+              }
+            />
+            <Route
+              path="/dashboard/routing-rules"
+              element={
+                <GovernmentRoute>
+                  <RoutingRules />
+                </GovernmentRoute>
+              }
+            />
 
             {/* Error Routes */}
             <Route path="/404" element={<NotFound />} />
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { MapContainer, TileLayer, Polygon, CircleMarker, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+
+/**
+ * AlertAreaPicker
+ * Props: value (GeoJSON Polygon/MultiPolygon or null), onChange(geometry | null), center ([lat, lng])
+ * Behavior:
+ *  - Click the map to add vertices, "Finish polygon" closes the ring (several polygons -> MultiPolygon)
+ *  - Upload a .geojson file (Polygon, MultiPolygon, Feature or FeatureCollection) instead of drawing
+ *  - Emits GeoJSON ([longitude, latitude] positions); the backend validates and indexes it
+ */
+
+// GeoJSON geometry -> list of Leaflet rings ([lat, lng]) for display
+function toLeafletPolygons(geometry) {
+  if (!geometry) return [];
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.map(rings => rings[0].map(([lng, lat]) => [lat, lng]));
+}
+
+function toGeometry(polygons) {
+  if (!polygons.length) return null;
+  const rings = polygons.map(points => {
+    const ring = points.map(([lat, lng]) => [lng, lat]);
+    return [[...ring, ring[0]]];
+  });
+  return rings.length === 1 ? { type: 'Polygon', coordinates: rings[0] } : { type: 'MultiPolygon', coordinates: rings };
+}
+
+// Pull every polygon out of an uploaded GeoJSON document
+function polygonsFromGeoJson(doc) {
+  const found = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'FeatureCollection') node.features?.forEach(walk);
+    else if (node.type === 'Feature') walk(node.geometry);
+    else if (node.type === 'Polygon') found.push(node.coordinates);
+    else if (node.type === 'MultiPolygon') found.push(...node.coordinates);
+  };
+  walk(doc);
+  return found;
+}
+
+function ClickToDraw({ onPoint }) {
+  useMapEvents({ click: (e) => onPoint([e.latlng.lat, e.latlng.lng]) });
+  return null;
+}
+
+export default function AlertAreaPicker({ value, onChange, center = [20.5937, 78.9629] }) {
+  const [draft, setDraft] = useState([]);
+  const [error, setError] = useState(null);
+  const polygons = toLeafletPolygons(value);
+
+  const finish = () => {
+    if (draft.length < 3) {
+      setError('Add at least three points to close the area.');
+      return;
+    }
+    setError(null);
+    onChange(toGeometry([...polygons, draft]));
+    setDraft([]);
+  };
+
+  const clear = () => {
+    setDraft([]);
+    setError(null);
+    onChange(null);
+  };
+
+  const onUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const found = polygonsFromGeoJson(JSON.parse(await file.text()));
+      if (!found.length) throw new Error('no polygons');
+      setError(null);
+      setDraft([]);
+      onChange(found.length === 1 ? { type: 'Polygon', coordinates: found[0] } : { type: 'MultiPolygon', coordinates: found });
+    } catch {
+      setError('The file must be GeoJSON containing a Polygon or MultiPolygon.');
+    }
+    e.target.value = '';
+  };
+
+  return (
+    <div className="alert-area-picker">
+      <div style={{ height: 320, borderRadius: 8, overflow: 'hidden', border: '1px solid #ccc' }}>
+        <MapContainer center={polygons[0]?.[0] || center} zoom={polygons.length ? 11 : 5} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          <ClickToDraw onPoint={(p) => setDraft(prev => [...prev, p])} />
+          {polygons.map((ring, idx) => (
+            <Polygon key={idx} positions={ring} pathOptions={{ color: '#d9480f' }} />
+          ))}
+          {draft.length > 1 && <Polygon positions={draft} pathOptions={{ color: '#1c7ed6', dashArray: '4' }} />}
+          {draft.map((p, idx) => (
+            <CircleMarker key={idx} center={p} radius={4} pathOptions={{ color: '#1c7ed6' }} />
+          ))}
+        </MapContainer>
+      </div>
+      {error && <div style={{ color: 'red', marginTop: '0.5rem' }}>{error}</div>}
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginTop: '0.5rem' }}>
+        <button type="button" className="btn btn-sm btn-primary" onClick={finish} disabled={!draft.length}>Finish polygon</button>
+        <button type="button" className="btn btn-sm btn-outline" onClick={() => setDraft(prev => prev.slice(0, -1))} disabled={!draft.length}>Undo point</button>
+        <button type="button" className="btn btn-sm btn-outline" onClick={clear} disabled={!draft.length && !value}>Clear area</button>
+        <label className="btn btn-sm btn-outline" style={{ marginBottom: 0 }}>
+          Upload GeoJSON
+          <input type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={onUpload} style={{ display: 'none' }} />
+        </label>
+        <small className="text-muted">
+          {value ? `${polygons.length} polygon(s) selected` : 'Click the map to draw the affected area'}
+        </small>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+
+/**
+ * BeforeAfterComparison
+ * Props: before (citizen photos), after (resolution proof uploaded by officials), description
+ * Renders nothing until officials have uploaded proof.
+ */
+export default function BeforeAfterComparison({ before = [], after = [], description }) {
+  if (!after.length) return null;
+
+  const column = (label, images) => (
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ fontWeight: 600, marginBottom: '0.5rem' }}>{label}</div>
+      {images.length ? (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {images.map(src => (
+            <a key={src} href={src} target="_blank" rel="noreferrer">
+              <img src={src} alt={label} style={{ width: '100%', maxHeight: 200, objectFit: 'cover', borderRadius: 4 }} />
+            </a>
+          ))}
+        </div>
+      ) : (
+        <div style={{ color: '#777', fontSize: 13 }}>No photos</div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="before-after" style={{ border: '1px solid #ccc', padding: '1rem', borderRadius: 8, marginTop: '1rem' }}>
+      <h4 style={{ marginTop: 0 }}>Before &amp; After</h4>
+      {description && <p style={{ marginTop: 0 }}>{description}</p>}
+      <div style={{ display: 'flex', gap: '1rem' }}>
+        {column('Reported', before)}
+        {column('After resolution', after)}
+      </div>
+    </div>
+  );
+}
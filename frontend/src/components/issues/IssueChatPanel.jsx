@@ -8,13 +8,14 @@ import { getIssueMessages } from '../../services/chat';
  * Props: issueId (canonical or duplicate id)
  * Behavior:
  *  - Fetch initial messages (paged) via REST
+ *  - Join the issue's socket room on mount (leave on unmount)
  *  - Append real-time messages from SocketContext.liveMessages
  *  - Provide message input if user has consent OR is government
  *  - Show consent pending UI if consentStatus null
  */
 export default function IssueChatPanel({ issueId, assumeReporter = true }) {
   const { user } = useAuth();
-  const { liveMessages, consentStatus, sendChatMessage } = useSocket();
+  const { liveMessages, consentStatus, sendChatMessage, joinIssueRoom, leaveIssueRoom } = useSocket();
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -45,6 +46,13 @@ export default function IssueChatPanel({ issueId, assumeReporter = true }) {
     return () => { cancelled = true; };
   }, [issueId]);
 
+  // Subscribe to this issue's socket room while the panel is mounted
+  useEffect(() => {
+    if (!issueId) return;
+    joinIssueRoom(issueId);
+    return () => leaveIssueRoom(issueId);
+  }, [issueId, joinIssueRoom, leaveIssueRoom]);
+
   // Merge in live messages
   useEffect(() => {
     if (!issueId) return;
@@ -0,0 +1,92 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+
+/**
+ * LocationPicker
+ * Props: latitude, longitude (numbers or numeric strings, empty when unset), onChange(lat, lng), disabled
+ * Behavior:
+ *  - Click the map or drag the pin to choose the issue location
+ *  - Follows coordinates set from outside (e.g. GPS captured with the photo)
+ *  - Address lookup is left to the parent so every location source is geocoded the same way
+ */
+
+// Bundlers rewrite asset URLs, so Leaflet's default icon paths have to be set explicitly
+const pinIcon = L.icon({
+  iconUrl: markerIcon,
+  iconRetinaUrl: markerIcon2x,
+  shadowUrl: markerShadow,
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  shadowSize: [41, 41]
+});
+
+const DEFAULT_CENTER = [20.5937, 78.9629];
+
+function ClickToMove({ onPoint, disabled }) {
+  useMapEvents({ click: (e) => { if (!disabled) onPoint(e.latlng); } });
+  return null;
+}
+
+// Pan to coordinates that changed outside the map
+function FollowPosition({ position }) {
+  const map = useMap();
+  useEffect(() => {
+    if (!position) return;
+    if (!map.getBounds().contains(position)) {
+      map.setView(position, Math.max(map.getZoom(), 16));
+    }
+  }, [map, position]);
+  return null;
+}
+
+export default function LocationPicker({ latitude, longitude, onChange, disabled = false }) {
+  const markerRef = useRef(null);
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const position = useMemo(
+    () => (Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null),
+    [lat, lng]
+  );
+
+  const eventHandlers = useMemo(() => ({
+    dragend: () => {
+      const marker = markerRef.current;
+      if (marker) {
+        const { lat: newLat, lng: newLng } = marker.getLatLng();
+        onChange(newLat, newLng);
+      }
+    }
+  }), [onChange]);
+
+  return (
+    <div className="location-picker">
+      <div style={{ height: 300, borderRadius: 8, overflow: 'hidden', border: '1px solid #ccc' }}>
+        <MapContainer center={position || DEFAULT_CENTER} zoom={position ? 16 : 5} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          <ClickToMove onPoint={(p) => onChange(p.lat, p.lng)} disabled={disabled} />
+          <FollowPosition position={position} />
+          {position && (
+            <Marker
+              position={position}
+              icon={pinIcon}
+              draggable={!disabled}
+              eventHandlers={eventHandlers}
+              ref={markerRef}
+            />
+          )}
+        </MapContainer>
+      </div>
+      <small className="text-muted">
+        {position ? 'Drag the pin to the exact spot if needed' : 'Click the map to drop a pin at the issue location'}
+      </small>
+    </div>
+  );
+}
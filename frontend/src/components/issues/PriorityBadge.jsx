@@ -0,0 +1,23 @@
+import React from 'react';
+
+/**
+ * PriorityBadge
+ * Props: priority, priorityAuto, priorityOverride ({ setBy: { name } | id, setAt, justification })
+ * Behavior:
+ *  - Shows the priority pill used across the dashboard tables
+ *  - When the priority is locked by an official, adds "manually set by X" (justification as tooltip)
+ */
+export default function PriorityBadge({ priority = 'low', priorityAuto = true, priorityOverride }) {
+  const label = priority.charAt(0).toUpperCase() + priority.slice(1);
+  const setBy = priorityOverride?.setBy?.name || 'an official';
+  return (
+    <span>
+      <span className={`priority priority-${priority}`}>{label}</span>
+      {priorityAuto === false && (
+        <small className="text-muted" style={{ display: 'block' }} title={priorityOverride?.justification || ''}>
+          manually set by {setBy}
+        </small>
+      )}
+    </span>
+  );
+}
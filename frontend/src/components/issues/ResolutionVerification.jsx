@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { verifyResolution } from '../../services/issues';
+
+/**
+ * ResolutionVerification
+ * Props: issue (normalized MyIssues entry with rawStatus + resolutionVerification), onVerified(result)
+ * Behavior:
+ *  - Only rendered for resolved issues
+ *  - Reporter confirms the fix, or disputes it with a comment + photo (backend reopens the issue)
+ *  - Hides the form once the user has responded to the current resolution round
+ */
+export default function ResolutionVerification({ issue, onVerified }) {
+  const { user } = useAuth();
+  const [mode, setMode] = useState(null); // null | 'reject'
+  const [comment, setComment] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!issue || issue.rawStatus !== 'resolved') return null;
+
+  const verification = issue.resolutionVerification || {};
+  const round = verification.round || 1;
+  const userId = user?.id || user?._id;
+  const alreadyResponded = (verification.responses || []).some(r => r.user === userId && r.round === round);
+
+  async function submit(decision) {
+    if (decision === 'rejected' && (!comment.trim() || !photo)) {
+      setError('Please describe what is still wrong and attach a photo.');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    const res = await verifyResolution(issue.id, { decision, comment: comment.trim(), photo });
+    setSubmitting(false);
+    if (res.success) {
+      setMode(null);
+      onVerified?.(res.data);
+    } else {
+      setError(res.error);
+    }
+  }
+
+  if (alreadyResponded || verification.status === 'accepted') {
+    return (
+      <div style={{ color: '#0a5', marginTop: '1rem' }}>
+        {verification.status === 'accepted' ? 'Resolution confirmed. Thank you for verifying!' : 'Your response has been recorded.'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="resolution-verification" style={{ border: '1px solid #ccc', padding: '1rem', borderRadius: 8, marginTop: '1rem' }}>
+      <h4 style={{ marginTop: 0 }}>Was this issue actually fixed?</h4>
+      {error && <div style={{ color: 'red', marginBottom: '0.5rem' }}>{error}</div>}
+      {mode === 'reject' ? (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          <textarea
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            maxLength={500}
+            rows={3}
+            placeholder="What is still wrong?"
+          />
+          <input type="file" accept="image/*" onChange={e => setPhoto(e.target.files?.[0] || null)} />
+          <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+            <button className="btn btn-secondary btn-sm" onClick={() => setMode(null)} disabled={submitting}>Cancel</button>
+            <button className="btn btn-primary btn-sm" onClick={() => submit('rejected')} disabled={submitting}>
+              {submitting ? 'Submitting...' : 'Reopen issue'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button className="btn btn-primary btn-sm" onClick={() => submit('accepted')} disabled={submitting}>Yes, it's fixed</button>
+          <button className="btn btn-secondary btn-sm" onClick={() => setMode('reject')} disabled={submitting}>No, still a problem</button>
+        </div>
+      )}
+    </div>
+  );
+}
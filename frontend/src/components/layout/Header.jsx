@@ -78,6 +78,15 @@ const Header = () => {
                                 </li>
                             )}
 
+                            <li>
+                                <Link
+                                    to="/issues/nearby"
+                                    className={isActive('/issues/nearby') ? 'active' : ''}
+                                >
+                                    Issues Near Me
+                                </Link>
+                            </li>
+
                             <li>
                                 <Link
                                     to="/about"
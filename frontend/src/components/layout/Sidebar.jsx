@@ -1,7 +1,7 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
-import { IconDashboard, IconNotes, IconBell, IconPlus, IconHourglass, IconCheckCircle, IconChart, IconAlert, IconUser, IconSettings } from '../common/Icons';
+import { IconDashboard, IconNotes, IconBell, IconPlus, IconHourglass, IconCheckCircle, IconChart, IconAlert, IconUser, IconSettings, IconLocation } from '../common/Icons';
 
 const Sidebar = ({ isOpen }) => {
     const { isGovernment, isCitizen } = useAuth();
@@ -26,6 +26,15 @@ const Sidebar = ({ isOpen }) => {
                             <span>Overview</span>
                         </NavLink>
                     </li>
+                    <li>
+                        <NavLink
+                            to="/dashboard/announcements"
+                            className={({ isActive }) => isActive ? 'active' : ''}
+                        >
+                            <span className="icon"><IconBell /></span>
+                            <span>Announcements</span>
+                        </NavLink>
+                    </li>
 
                     {isCitizen && (
                         <>
@@ -56,6 +65,15 @@ const Sidebar = ({ isOpen }) => {
                                     <span>Report New Issue</span>
                                 </NavLink>
                             </li>
+                            <li>
+                                <NavLink
+                                    to="/issues/nearby"
+                                    className={({ isActive }) => isActive ? 'active' : ''}
+                                >
+                                    <span className="icon"><IconLocation /></span>
+                                    <span>Issues Near Me</span>
+                                </NavLink>
+                            </li>
                         </>
                     )}
 
@@ -88,6 +106,15 @@ const Sidebar = ({ isOpen }) => {
                                     <span>Analytics</span>
                                 </NavLink>
                             </li>
+                            <li>
+                                <NavLink
+                                    to="/dashboard/heatmap"
+                                    className={({ isActive }) => isActive ? 'active' : ''}
+                                >
+                                    <span className="icon"><IconLocation /></span>
+                                    <span>Heatmap</span>
+                                </NavLink>
+                            </li>
                             <li>
                                 <NavLink
                                     to="/dashboard/alerts"
@@ -97,6 +124,33 @@ const Sidebar = ({ isOpen }) => {
                                     <span>Manage Alerts</span>
                                 </NavLink>
                             </li>
+                            <li>
+                                <NavLink
+                                    to="/dashboard/priority-rules"
+                                    className={({ isActive }) => isActive ? 'active' : ''}
+                                >
+                                    <span className="icon"><IconSettings /></span>
+                                    <span>Priority Rules</span>
+                                </NavLink>
+                            </li>
+                            <li>
+                                <NavLink
+                                    to="/dashboard/routing-rules"
+                                    className={({ isActive }) => isActive ? 'active' : ''}
+                                >
+                                    <span className="icon"><IconSettings /></span>
+                                    <span>Routing Rules</span>
+                                </NavLink>
+                            </li>
+                            <li>
+                                <NavLink
+                                    to="/dashboard/boundaries"
+                                    className={({ isActive }) => isActive ? 'active' : ''}
+                                >
+                                    <span className="icon"><IconLocation /></span>
+                                    <span>Ward Boundaries</span>
+                                </NavLink>
+                            </li>
                         </>
                     )}
 
@@ -5,9 +5,13 @@ import { useAuth } from './AuthContext';
 /**
  * SocketContext
  * Responsibilities:
- *  - Establish authenticated socket.io connection using current user id (if logged in)
+ *  - Establish authenticated socket.io connection using the JWT (server verifies it and derives
+ *    the personal room from the token; unauthenticated sockets are rejected with connect_error)
  *  - Expose connection status
- *  - Provide helpers: respondToConsent, sendChatMessage, joinIssueRoom (future), leaveIssueRoom (future)
+ *  - Provide helpers: respondToConsent, sendChatMessage, joinIssueRoom, leaveIssueRoom
+ *      * joinIssueRoom(issueId) asks the server to add this socket to the issue's room (server checks access)
+ *        and resolves with { success, issueId: canonicalId }; joined rooms are re-joined after reconnects
+ *      * leaveIssueRoom(issueId) releases one join (ref-counted so several panels can share a room)
  *  - Maintain in-memory lists of:
  *      * pendingConsentRequests: issueIds awaiting user action
  *      * consentStatus: { [issueId]: true|false|null }
@@ -28,7 +32,9 @@ const defaultSocketContext = {
   consentStatus: {},
   liveMessages: {},
   respondToConsent: () => Promise.resolve({ success: false, error: 'socket not ready' }),
-  sendChatMessage: () => Promise.reject(new Error('socket not ready'))
+  sendChatMessage: () => Promise.reject(new Error('socket not ready')),
+  joinIssueRoom: () => Promise.resolve({ success: false, error: 'socket not ready' }),
+  leaveIssueRoom: () => {}
 };
 const SocketContext = createContext(defaultSocketContext);
 
@@ -42,6 +48,8 @@ export const SocketProvider = ({ children }) => {
   const [consentStatus, setConsentStatus] = useState({});
   const [liveMessages, setLiveMessages] = useState({});
   const reconnectTimer = useRef(null);
+  // requested issueId -> { canonicalId, count } for rooms this client wants to be in
+  const joinedIssues = useRef(new Map());
 
   const apiBase = import.meta.env.VITE_API_URL || '/api';
   const socketBase = apiBase.replace(/\/api$/, '');
@@ -57,8 +65,7 @@ export const SocketProvider = ({ children }) => {
     console.log('[Socket] Connecting to', socketBase, 'as user', user?.id);
     const sock = io(socketBase, {
       transports: ['websocket'],
-      auth: { userId: user.id, token },
-      query: { userId: user.id }, // redundancy for backend code that checks query
+      auth: { token },
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000
@@ -68,8 +75,13 @@ export const SocketProvider = ({ children }) => {
     sock.on('connect', () => {
       console.log('[Socket] CONNECTED id=', sock.id);
       setConnected(true);
-      // registerUser fallback if server didn't catch auth (defense-in-depth)
-      sock.emit('registerUser', user.id);
+      // Rooms are per-connection on the server: re-join every issue room still in use
+      joinedIssues.current.forEach((entry, issueId) => {
+        sock.emit('joinIssue', issueId, (res) => {
+          if (res?.success) entry.canonicalId = res.issueId;
+          else console.warn('[Socket] re-join failed issue=', issueId, res?.error);
+        });
+      });
     });
 
     sock.on('disconnect', (reason) => {
@@ -96,15 +108,19 @@ export const SocketProvider = ({ children }) => {
       setConsentStatus(prev => ({ ...prev, [issueId]: consent }));
     });
 
-    // Live chat message event
-    sock.on('issueChatMessage', ({ issueId, message }) => {
+    // Live chat message event (keyed by both the id the sender used and the canonical id)
+    sock.on('issueChatMessage', ({ issueId, canonicalId, message }) => {
       if (!issueId || !message) return;
+      const keys = [...new Set([issueId, canonicalId].filter(Boolean).map(String))];
       setLiveMessages(prev => {
-        const list = prev[issueId] ? [...prev[issueId]] : [];
-        list.push(message);
-        // keep only last 100 messages client-side per issue to bound memory
-        const trimmed = list.slice(-100);
-        return { ...prev, [issueId]: trimmed };
+        const next = { ...prev };
+        keys.forEach(key => {
+          const list = prev[key] ? [...prev[key]] : [];
+          list.push(message);
+          // keep only last 100 messages client-side per issue to bound memory
+          next[key] = list.slice(-100);
+        });
+        return next;
       });
     });
   }, [user, token, socketBase]);
@@ -120,6 +136,7 @@ export const SocketProvider = ({ children }) => {
       setPendingConsentRequests([]);
       setConsentStatus({});
       setLiveMessages({});
+      joinedIssues.current.clear();
     }
     return () => {
       if (reconnectTimer.current) clearTimeout(reconnectTimer.current);
@@ -163,6 +180,36 @@ export const SocketProvider = ({ children }) => {
     });
   };
 
+  const joinIssueRoom = useCallback((issueId) => new Promise(resolve => {
+    if (!issueId) return resolve({ success: false, error: 'issueId required' });
+    const existing = joinedIssues.current.get(issueId);
+    if (existing) {
+      existing.count += 1;
+      return resolve({ success: true, issueId: existing.canonicalId });
+    }
+    const entry = { canonicalId: issueId, count: 1 };
+    joinedIssues.current.set(issueId, entry);
+    const sock = socketRef.current;
+    if (!sock || !sock.connected) {
+      // Will be joined by the connect handler
+      return resolve({ success: false, error: 'socket not ready' });
+    }
+    sock.emit('joinIssue', issueId, (res) => {
+      if (res?.success) entry.canonicalId = res.issueId;
+      else console.warn('[Socket] joinIssue failed issue=', issueId, res?.error);
+      resolve(res || { success: false, error: 'No response' });
+    });
+  }), []);
+
+  const leaveIssueRoom = useCallback((issueId) => {
+    const entry = joinedIssues.current.get(issueId);
+    if (!entry) return;
+    entry.count -= 1;
+    if (entry.count > 0) return;
+    joinedIssues.current.delete(issueId);
+    socketRef.current?.emit('leaveIssue', entry.canonicalId);
+  }, []);
+
   const value = {
     socket: socketRef.current,
     connected,
@@ -170,7 +217,9 @@ export const SocketProvider = ({ children }) => {
     consentStatus,
     liveMessages,
     respondToConsent,
-    sendChatMessage
+    sendChatMessage,
+    joinIssueRoom,
+    leaveIssueRoom
   };
 
   return (
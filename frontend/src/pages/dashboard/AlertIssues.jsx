@@ -0,0 +1,105 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { DashboardLayout } from '../../components/layout';
+import { getAlertIssues } from '../../services/alerts';
+import PriorityBadge from '../../components/issues/PriorityBadge';
+
+// Board columns: open statuses grouped the way officials triage them during an alert
+const COLUMNS = [
+    { key: 'new', label: 'New', statuses: ['pending', 'acknowledged'] },
+    { key: 'assigned', label: 'Assigned', statuses: ['assigned'] },
+    { key: 'in-progress', label: 'In Progress', statuses: ['in-progress'] },
+    { key: 'done', label: 'Resolved / Closed', statuses: ['resolved', 'closed', 'rejected'] }
+];
+
+const PRIORITY_RANK = { urgent: 4, high: 3, medium: 2, low: 1 };
+
+const AlertIssues = () => {
+    const { alertId } = useParams();
+    const [alert, setAlert] = useState(null);
+    const [issues, setIssues] = useState([]);
+    const [counts, setCounts] = useState({});
+    const [category, setCategory] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        const response = await getAlertIssues(alertId, category ? { category } : {});
+        if (response.success) {
+            setAlert(response.data.alert);
+            setIssues(response.data.issues || []);
+            setCounts(response.data.counts || {});
+            setError(null);
+        } else {
+            setError(response.error);
+        }
+        setLoading(false);
+    }, [alertId, category]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const categories = [...new Set(issues.map(i => i.category))].sort();
+    const column = (statuses) => issues
+        .filter(i => statuses.includes(i.status))
+        .sort((a, b) => (PRIORITY_RANK[b.priority] || 0) - (PRIORITY_RANK[a.priority] || 0) || (b.votes || 0) - (a.votes || 0));
+
+    return (
+        <DashboardLayout>
+            <div className="card">
+                <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    <div>
+                        <h2>{alert ? `Alert: ${alert.title}` : 'Alert Issues'}</h2>
+                        {alert && (
+                            <div className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                {alert.type} · {alert.severity} · {alert.isActive ? 'active' : 'ended'}
+                                {alert.location?.areaDesc && ` · ${alert.location.areaDesc}`}
+                            </div>
+                        )}
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <select className="form-control" value={category} onChange={(e) => setCategory(e.target.value)}>
+                            <option value="">All categories</option>
+                            {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                        <button className="btn btn-outline" onClick={load}>Refresh</button>
+                        <Link to="/dashboard/alerts" className="btn btn-outline">Back to alerts</Link>
+                    </div>
+                </div>
+                <div className="card-body">
+                    {error && <div className="alert alert-danger">{error}</div>}
+                    {loading ? (
+                        <div className="text-muted">Loading...</div>
+                    ) : !issues.length ? (
+                        <div className="text-muted">No issues have been reported inside this alert's area yet.</div>
+                    ) : (
+                        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${COLUMNS.length}, minmax(0, 1fr))`, gap: '1rem' }}>
+                            {COLUMNS.map(col => {
+                                const items = column(col.statuses);
+                                const total = col.statuses.reduce((sum, s) => sum + (counts[s] || 0), 0);
+                                return (
+                                    <div key={col.key} style={{ background: 'var(--color-bg-secondary, #f7f7f7)', borderRadius: 8, padding: '0.75rem' }}>
+                                        <div style={{ fontWeight: 600, marginBottom: '0.5rem' }}>{col.label} ({total})</div>
+                                        {items.map(issue => (
+                                            <div key={issue._id} className="card" style={{ padding: '0.5rem', marginBottom: '0.5rem' }}>
+                                                <div style={{ fontWeight: 600 }}>{issue.title}</div>
+                                                <div className="text-muted" style={{ fontSize: '0.8rem' }}>
+                                                    {issue.category} · {issue.votes || 0} votes
+                                                    {issue.assignedTo?.department && ` · ${issue.assignedTo.department}`}
+                                                </div>
+                                                {issue.location?.address && <div className="text-muted" style={{ fontSize: '0.8rem' }}>{issue.location.address}</div>}
+                                                <PriorityBadge priority={issue.priority} priorityAuto={issue.priorityAuto} priorityOverride={issue.priorityOverride} />
+                                            </div>
+                                        ))}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </DashboardLayout>
+    );
+};
+
+export default AlertIssues;
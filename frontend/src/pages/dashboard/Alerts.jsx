@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { DashboardLayout } from '../../components/layout';
 import { getAlerts, createAlert, deleteAlert } from '../../services/alerts';
+import AlertAreaPicker from '../../components/alerts/AlertAreaPicker';
 import mockData from '../../utils/mockData';
 
 const Alerts = () => {
@@ -16,6 +18,7 @@ const Alerts = () => {
         type: 'info',
         audience: 'all',
         areas: [],
+        area: null, // GeoJSON Polygon/MultiPolygon drawn or uploaded by the official
         expiryDate: ''
     });
     const [filterType, setFilterType] = useState('');
@@ -96,6 +99,7 @@ const Alerts = () => {
             type: 'info',
             audience: 'all',
             areas: [],
+            area: null,
             expiryDate: ''
         });
     };
@@ -228,10 +232,17 @@ const Alerts = () => {
                                             <td>
                                                 <div className="truncate-text">{alert.message}</div>
                                             </td>
-                                            <td>{alert.audience === 'all' ? 'All Citizens' : 'Selected Areas'}</td>
+                                            <td>{(alert.area || alert.location?.area) ? 'Mapped Area' : alert.audience === 'all' ? 'All Citizens' : 'Selected Areas'}</td>
                                             <td>{formatDate(alert.date)}</td>
                                             <td>{formatDate(alert.expiryDate)}</td>
                                             <td>
+                                                <Link
+                                                    to={`/dashboard/alerts/${alert.id || alert._id}/issues`}
+                                                    className="btn btn-outline btn-sm"
+                                                    title="Issues reported inside this alert's area"
+                                                >
+                                                    <i className="fas fa-list"></i>
+                                                </Link>{' '}
                                                 <button
                                                     className="btn btn-danger btn-sm"
                                                     onClick={() => openDeleteModal(alert)}
@@ -346,6 +357,15 @@ const Alerts = () => {
                                 </div>
                             )}
 
+                            <div className="form-group">
+                                <label>Affected Area (optional)</label>
+                                <AlertAreaPicker
+                                    value={formData.area}
+                                    onChange={(area) => setFormData(prev => ({ ...prev, area }))}
+                                />
+                                <small className="text-muted">Draw or upload the exact area, e.g. a river floodplain or a cyclone track</small>
+                            </div>
+
                             <div className="form-group">
                                 <label htmlFor="expiryDate">Expiry Date</label>
                                 <input
@@ -1,13 +1,23 @@
 import React, { useEffect, useState, useMemo } from 'react';
 import { DashboardLayout } from '../../components/layout';
-import { getAllIssuesFull } from '../../services/issues';
+import { getAllIssuesFull, getIssueById, unmergeIssue } from '../../services/issues';
+import { getBoundaries } from '../../services/boundaries';
 import SearchBar from '../../components/common/SearchBar';
+import { useToast } from '../../context/ToastContext';
 
 const AllIssues = () => {
   const [issues, setIssues] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [search, setSearch] = useState('');
+  const [ward, setWard] = useState('');
+  const [wards, setWards] = useState([]);
+  const [duplicatesOf, setDuplicatesOf] = useState(null);
+  const [duplicates, setDuplicates] = useState([]);
+  const [splitting, setSplitting] = useState(null);
+  const [splitReason, setSplitReason] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const toast = useToast();
 
   const filtered = useMemo(() => {
     if (!search.trim()) return issues;
@@ -19,14 +29,15 @@ const AllIssues = () => {
       const status = (issue.status || '').toLowerCase();
       const category = (issue.category || '').toLowerCase();
       const priority = (issue.priority || '').toLowerCase();
-      return [title, reporter, location, status, category, priority].some(v => v.includes(term));
+      const wardName = (issue.ward?.name || '').toLowerCase();
+      return [title, reporter, location, status, category, priority, wardName].some(v => v.includes(term));
     });
   }, [issues, search]);
 
   useEffect(() => {
     const fetchAllIssues = async () => {
       setLoading(true);
-      const response = await getAllIssuesFull();
+      const response = await getAllIssuesFull(ward ? { ward } : {});
       if (response.success) {
         console.log('[AllIssues] fetched issues length:', response.data.length, 'sample first item:', response.data[0]);
         setIssues(response.data);
@@ -38,14 +49,60 @@ const AllIssues = () => {
       setLoading(false);
     };
     fetchAllIssues();
+  }, [reloadKey, ward]);
+
+  useEffect(() => {
+    getBoundaries({ level: 'ward' })
+      .then(data => setWards(data.boundaries))
+      .catch(() => setWards([]));
   }, []);
 
+  const openDuplicates = async (issue) => {
+    setDuplicatesOf(issue);
+    setDuplicates([]);
+    const response = await getIssueById(issue.id || issue._id);
+    if (response.success) {
+      setDuplicates(response.data?.data?.issue?.duplicates || []);
+    } else {
+      toast.push(response.error || 'Failed to load duplicates', { type: 'error' });
+    }
+  };
+
+  const closeDuplicates = () => {
+    setDuplicatesOf(null);
+    setSplitting(null);
+    setSplitReason('');
+  };
+
+  // Split a wrongly clustered duplicate back into an independent issue
+  const handleSplit = async () => {
+    const response = await unmergeIssue(splitting._id, splitReason.trim());
+    if (response.success) {
+      toast.push(`"${splitting.title}" is now a separate issue`, { type: 'success' });
+      setDuplicates(prev => prev.filter(d => d._id !== splitting._id));
+      setSplitting(null);
+      setSplitReason('');
+      setReloadKey(k => k + 1);
+    } else {
+      toast.push(response.error || 'Failed to split duplicate', { type: 'error' });
+    }
+  };
+
   return (
     <DashboardLayout>
       <div className="card">
         <div className="card-header" style={{display:'flex', flexDirection:'column', gap:'0.75rem'}}>
           <h2 style={{marginBottom:0}}>All Issues</h2>
-          <SearchBar onChange={setSearch} placeholder="Search issues (title, reporter, status...)" />
+          <div style={{display:'flex', gap:'0.5rem', flexWrap:'wrap', alignItems:'center'}}>
+            <SearchBar onChange={setSearch} placeholder="Search issues (title, reporter, status...)" />
+            {wards.length > 0 && (
+              <select className="form-control" style={{width:220}} value={ward} onChange={(e) => setWard(e.target.value)}>
+                <option value="">All wards</option>
+                {wards.map(w => <option key={w._id} value={w.code}>{w.name} ({w.code})</option>)}
+                <option value="none">Outside imported wards</option>
+              </select>
+            )}
+          </div>
         </div>
         <div className="card-body">
           {error && <div className="alert alert-danger">{error}</div>}
@@ -64,10 +121,12 @@ const AllIssues = () => {
                         <th>Title</th>
                         <th>Reporter</th>
                         <th>Location</th>
+                        <th>Ward</th>
                         <th>Date</th>
                         <th>Status</th>
                         <th>Category</th>
                         <th>Priority</th>
+                        <th>Duplicates</th>
                       </tr>
                     </thead>
                     <tbody>
@@ -76,10 +135,16 @@ const AllIssues = () => {
                           <td>{issue.title}</td>
                           <td>{issue.reporter?.name || issue.reporter}</td>
                           <td>{issue.location?.address || issue.location}</td>
+                          <td>{issue.ward?.name || '—'}</td>
                           <td>{issue.date || issue.createdAt}</td>
                           <td>{issue.status}</td>
                           <td>{issue.category}</td>
                           <td>{issue.priority}{/* Chat panel accessible from citizen My Issues modal currently */}</td>
+                          <td>
+                            {issue.duplicatesCount > 0 ? (
+                              <button className="btn btn-sm btn-outline" onClick={() => openDuplicates(issue)}>{issue.duplicatesCount}</button>
+                            ) : 0}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -90,6 +155,51 @@ const AllIssues = () => {
           )}
         </div>
       </div>
+
+      {duplicatesOf && (
+        <div className="modal-backdrop">
+          <div className="modal">
+            <div className="modal-header">
+              <h3>Duplicates of &quot;{duplicatesOf.title}&quot;</h3>
+              <button className="modal-close" onClick={closeDuplicates}>&times;</button>
+            </div>
+            <div className="modal-body">
+              {duplicates.length === 0 ? (
+                <p>No duplicates left.</p>
+              ) : (
+                <ul style={{listStyle:'none', padding:0}}>
+                  {duplicates.map(dup => (
+                    <li key={dup._id} style={{display:'flex', justifyContent:'space-between', alignItems:'center', gap:'0.5rem', marginBottom:'0.5rem'}}>
+                      <span>{dup.title} <span className="text-muted">({new Date(dup.createdAt).toLocaleDateString()})</span></span>
+                      <button className="btn btn-sm btn-outline" onClick={() => setSplitting(dup)} disabled={splitting?._id === dup._id}>Split</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {splitting && (
+                <div className="form-group">
+                  <label className="form-label">Why is &quot;{splitting.title}&quot; a different issue?</label>
+                  <textarea
+                    className="form-control"
+                    rows="2"
+                    value={splitReason}
+                    onChange={(e) => setSplitReason(e.target.value)}
+                    placeholder="e.g. different street, different problem"
+                    required
+                  ></textarea>
+                  <p className="form-text">Its reporter and votes are moved back to it and both priorities are recomputed.</p>
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-outline" onClick={closeDuplicates}>Close</button>
+              {splitting && (
+                <button className="btn btn-primary" onClick={handleSplit} disabled={!splitReason.trim()}>Split issue</button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </DashboardLayout>
   );
 };
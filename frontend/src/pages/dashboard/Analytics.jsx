@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { DashboardLayout } from '../../components/layout';
 import { getAnalyticsDashboard } from '../../services/analytics';
 
@@ -99,6 +100,7 @@ const Analytics = () => {
                             <option value="transport">Public Transport</option>
                             <option value="environment">Environment</option>
                         </select>
+                        <Link to="/dashboard/heatmap" className="btn btn-outline">Heatmap</Link>
                     </div>
                 </div>
 
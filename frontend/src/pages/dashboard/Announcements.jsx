@@ -0,0 +1,186 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { DashboardLayout } from '../../components/layout';
+import { useAuth } from '../../hooks/useAuth';
+import { useSocket } from '../../context/SocketContext.jsx';
+import { useToast } from '../../context/ToastContext';
+import { getUpdates, createUpdate, deleteUpdate } from '../../services/updates';
+
+const CATEGORIES = ['announcement', 'news', 'project', 'awareness', 'event', 'other'];
+
+const emptyForm = { title: '', content: '', category: 'announcement', city: '', state: '', endDate: '' };
+
+const Announcements = () => {
+    const { user, isGovernment } = useAuth();
+    const { socket } = useSocket() || {};
+    const toast = useToast();
+    // Citizens start on their own area; officials see everything
+    const [filters, setFilters] = useState({
+        city: isGovernment ? '' : (user?.location?.city || ''),
+        state: isGovernment ? '' : (user?.location?.state || ''),
+        department: ''
+    });
+    const [updates, setUpdates] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [form, setForm] = useState(emptyForm);
+    const [images, setImages] = useState([]);
+    const [attachments, setAttachments] = useState([]);
+    const [posting, setPosting] = useState(false);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v.trim()));
+            const data = await getUpdates({ ...params, limit: 50 });
+            setUpdates(data.updates || []);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load announcements');
+        } finally {
+            setLoading(false);
+        }
+    }, [filters]);
+
+    useEffect(() => { load(); }, [load]);
+
+    // Live feed: the server only pushes announcements targeted at this user's area
+    useEffect(() => {
+        if (!socket) return;
+        const onNew = ({ update }) => {
+            if (!update) return;
+            setUpdates(prev => prev.some(u => u._id === update._id) ? prev : [update, ...prev]);
+            if (!isGovernment) toast.push(`New announcement: ${update.title}`, { type: 'info' });
+        };
+        const onDeleted = ({ updateId }) => setUpdates(prev => prev.filter(u => u._id !== updateId));
+        socket.on('newGovernmentUpdate', onNew);
+        socket.on('deleteGovernmentUpdate', onDeleted);
+        return () => {
+            socket.off('newGovernmentUpdate', onNew);
+            socket.off('deleteGovernmentUpdate', onDeleted);
+        };
+    }, [socket, isGovernment, toast]);
+
+    const onFilterChange = (e) => setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    const onFormChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    const onSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.title.trim() || !form.content.trim()) return;
+        setPosting(true);
+        try {
+            const { city, state, ...fields } = form;
+            const res = await createUpdate({ ...fields, location: { city, state }, images, attachments });
+            toast.push(`Announcement posted (${res.notified ?? 0} citizens notified)`, { type: 'success' });
+            setForm(emptyForm);
+            setImages([]);
+            setAttachments([]);
+            e.target.reset();
+            if (res.update) setUpdates(prev => prev.some(u => u._id === res.update._id) ? prev : [res.update, ...prev]);
+        } catch (err) {
+            toast.push(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to post announcement', { type: 'error' });
+        } finally {
+            setPosting(false);
+        }
+    };
+
+    const onDelete = async (id) => {
+        try {
+            await deleteUpdate(id);
+            setUpdates(prev => prev.filter(u => u._id !== id));
+        } catch (err) {
+            toast.push(err.response?.data?.message || 'Failed to delete announcement', { type: 'error' });
+        }
+    };
+
+    return (
+        <DashboardLayout>
+            {isGovernment && (
+                <div className="card" style={{ marginBottom: '1rem' }}>
+                    <div className="card-header"><h2>Post Announcement</h2></div>
+                    <div className="card-body">
+                        <form onSubmit={onSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                            <input className="form-control" name="title" placeholder="Title" value={form.title} onChange={onFormChange} required />
+                            <textarea className="form-control" name="content" rows={4} placeholder="Announcement details" value={form.content} onChange={onFormChange} required />
+                            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                                <select className="form-control" name="category" value={form.category} onChange={onFormChange} style={{ flex: 1 }}>
+                                    {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                                </select>
+                                <input className="form-control" name="city" placeholder="Target city (optional)" value={form.city} onChange={onFormChange} style={{ flex: 1 }} />
+                                <input className="form-control" name="state" placeholder="Target state (optional)" value={form.state} onChange={onFormChange} style={{ flex: 1 }} />
+                                <input className="form-control" type="date" name="endDate" value={form.endDate} onChange={onFormChange} style={{ flex: 1 }} title="Show until" />
+                            </div>
+                            <label>
+                                Images
+                                <input type="file" accept="image/*" multiple onChange={e => setImages(Array.from(e.target.files || []).slice(0, 5))} />
+                            </label>
+                            <label>
+                                Attachments (PDF / Word)
+                                <input type="file" accept=".pdf,.doc,.docx" multiple onChange={e => setAttachments(Array.from(e.target.files || []).slice(0, 3))} />
+                            </label>
+                            <div className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                Leave city and state empty to notify every citizen.
+                            </div>
+                            <div>
+                                <button className="btn btn-primary" type="submit" disabled={posting}>{posting ? 'Posting...' : 'Post Announcement'}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            <div className="card">
+                <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    <h2>Announcements</h2>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <input className="form-control" name="city" placeholder="City" value={filters.city} onChange={onFilterChange} />
+                        <input className="form-control" name="state" placeholder="State" value={filters.state} onChange={onFilterChange} />
+                        <input className="form-control" name="department" placeholder="Department" value={filters.department} onChange={onFilterChange} />
+                    </div>
+                </div>
+                <div className="card-body">
+                    {loading && <div className="text-muted">Loading...</div>}
+                    {error && <div className="alert alert-danger">{error}</div>}
+                    {!loading && !updates.length && <div className="text-muted">No announcements</div>}
+                    <ul className="list" style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                        {updates.map(u => (
+                            <li key={u._id} className="list-item" style={{ padding: '0.75rem 0', borderBottom: '1px solid var(--color-border)' }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start' }}>
+                                    <div>
+                                        <div style={{ fontWeight: 600 }}>{u.title}</div>
+                                        <div className="text-muted" style={{ fontSize: '0.8rem' }}>
+                                            {u.department} · {u.category}
+                                            {(u.location?.city || u.location?.state) && ` · ${[u.location.city, u.location.state].filter(Boolean).join(', ')}`}
+                                            {u.createdAt && ` · ${new Date(u.createdAt).toLocaleString()}`}
+                                        </div>
+                                    </div>
+                                    {isGovernment && u.department === user?.department && (
+                                        <button className="btn btn-sm btn-danger" onClick={() => onDelete(u._id)}>Delete</button>
+                                    )}
+                                </div>
+                                <p style={{ margin: '0.5rem 0', whiteSpace: 'pre-wrap' }}>{u.content}</p>
+                                {!!u.images?.length && (
+                                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                        {u.images.map(src => (
+                                            <a key={src} href={src} target="_blank" rel="noreferrer">
+                                                <img src={src} alt={u.title} style={{ height: 100, objectFit: 'cover', borderRadius: 4 }} />
+                                            </a>
+                                        ))}
+                                    </div>
+                                )}
+                                {!!u.attachments?.length && (
+                                    <div style={{ marginTop: '0.5rem', fontSize: '0.9rem' }}>
+                                        {u.attachments.map((href, i) => (
+                                            <a key={href} href={href} target="_blank" rel="noreferrer" style={{ marginRight: '0.75rem' }}>Attachment {i + 1}</a>
+                                        ))}
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+        </DashboardLayout>
+    );
+};
+
+export default Announcements;
@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { DashboardLayout } from '../../components/layout';
+import { useAuth } from '../../hooks/useAuth';
+import { useToast } from '../../context/ToastContext';
+import { getBoundaries, importBoundaries, backfillBoundaries, deleteBoundary } from '../../services/boundaries';
+
+const EMPTY_IMPORT = { level: 'ward', nameProperty: '', codeProperty: '', parentProperty: '', city: '', replace: false };
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+const Boundaries = () => {
+    const { user } = useAuth();
+    const toast = useToast();
+    const canEdit = !!user?.isAdmin;
+    const [boundaries, setBoundaries] = useState([]);
+    const [untagged, setUntagged] = useState(0);
+    const [file, setFile] = useState(null);
+    const [options, setOptions] = useState(EMPTY_IMPORT);
+    const [result, setResult] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(() => {
+        getBoundaries()
+            .then(data => {
+                setBoundaries(data.boundaries);
+                setUntagged(data.untaggedIssues);
+                setError(null);
+            })
+            .catch(err => setError(errorMessage(err, 'Failed to load boundaries')));
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    const setOption = (e) => {
+        const { name, value, type, checked } = e.target;
+        setOptions(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const submitImport = async (e) => {
+        e.preventDefault();
+        if (!file) return;
+        setBusy(true);
+        try {
+            const data = await importBoundaries(file, options);
+            setResult(data);
+            toast.push(data.message, { type: 'success' });
+            load();
+        } catch (err) {
+            toast.push(errorMessage(err, 'Import failed'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const runBackfill = async (onlyMissing) => {
+        setBusy(true);
+        try {
+            const data = await backfillBoundaries(onlyMissing);
+            setResult({ backfill: data.backfill });
+            toast.push(data.message, { type: 'success' });
+            load();
+        } catch (err) {
+            toast.push(errorMessage(err, 'Re-tagging failed'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const remove = async (boundary) => {
+        if (!window.confirm(`Delete ${boundary.level} "${boundary.name}"? Issues tagged with it lose the tag.`)) return;
+        setBusy(true);
+        try {
+            const data = await deleteBoundary(boundary._id);
+            toast.push(`${boundary.name} deleted (${data.untagged} issue(s) untagged)`, { type: 'success' });
+            load();
+        } catch (err) {
+            toast.push(errorMessage(err, 'Failed to delete boundary'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <DashboardLayout>
+            <div className="card">
+                <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    <div>
+                        <h2>Ward Boundaries</h2>
+                        <div className="text-muted" style={{ fontSize: '0.85rem' }}>
+                            {boundaries.length} boundaries · {untagged} issue(s) outside every imported ward
+                        </div>
+                    </div>
+                    {canEdit && (
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <button className="btn btn-outline" onClick={() => runBackfill(true)} disabled={busy} title="Tag only issues without a ward yet">Tag untagged issues</button>
+                            <button className="btn btn-outline" onClick={() => runBackfill(false)} disabled={busy} title="Recompute ward/zone for every issue and clear tags of removed or redrawn boundaries">Re-tag all issues</button>
+                        </div>
+                    )}
+                </div>
+                <div className="card-body">
+                    {error && <div className="alert alert-danger">{error}</div>}
+                    {!canEdit && <p className="text-muted">Only administrators can import or delete boundaries.</p>}
+
+                    {canEdit && (
+                        <form onSubmit={submitImport} style={{ marginBottom: '1.5rem' }}>
+                            <h3>Import GeoJSON</h3>
+                            <p className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                A FeatureCollection of Polygon/MultiPolygon features. Boundaries are matched by code, so re-importing a file updates them.
+                                Leave the property fields empty to use common names (name / ward_name, code / ward_no, zone).
+                            </p>
+                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                                <input type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={(e) => setFile(e.target.files[0] || null)} />
+                                <select name="level" className="form-control" style={{ width: 120 }} value={options.level} onChange={setOption}>
+                                    <option value="ward">Wards</option>
+                                    <option value="zone">Zones</option>
+                                </select>
+                                <input name="nameProperty" className="form-control" style={{ width: 150 }} placeholder="Name property" value={options.nameProperty} onChange={setOption} />
+                                <input name="codeProperty" className="form-control" style={{ width: 150 }} placeholder="Code property" value={options.codeProperty} onChange={setOption} />
+                                {options.level === 'ward' && (
+                                    <input name="parentProperty" className="form-control" style={{ width: 150 }} placeholder="Zone property" value={options.parentProperty} onChange={setOption} />
+                                )}
+                                <input name="city" className="form-control" style={{ width: 150 }} placeholder="City" value={options.city} onChange={setOption} />
+                                <label>
+                                    <input type="checkbox" name="replace" checked={options.replace} onChange={setOption} /> Remove {options.level}s missing from the file
+                                </label>
+                                <button type="submit" className="btn btn-primary" disabled={busy || !file}>Import</button>
+                            </div>
+                        </form>
+                    )}
+
+                    {result && (
+                        <div className="alert alert-info">
+                            {result.import && (
+                                <div>
+                                    {result.import.created} created, {result.import.updated} updated, {result.import.removed} removed
+                                    {result.import.skipped.length > 0 && `, ${result.import.skipped.length} skipped: ${result.import.skipped.map(s => `#${s.index} ${s.name || ''} (${s.reason})`).join('; ')}`}
+                                </div>
+                            )}
+                            {result.backfill && (
+                                <div>
+                                    Issues re-tagged: {result.backfill.ward ?? 0} ward, {result.backfill.zone ?? 0} zone · {result.backfill.cleared ?? 0} stale tag(s) cleared · {result.backfill.withoutWard} without a ward
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {boundaries.length === 0 ? (
+                        <p className="text-muted">No boundaries imported yet.</p>
+                    ) : (
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Level</th>
+                                        <th>Code</th>
+                                        <th>Name</th>
+                                        <th>Zone</th>
+                                        <th>City</th>
+                                        <th>Issues</th>
+                                        <th>Open</th>
+                                        {canEdit && <th></th>}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {boundaries.map(b => (
+                                        <tr key={b._id}>
+                                            <td>{b.level}</td>
+                                            <td>{b.code}</td>
+                                            <td>{b.name}</td>
+                                            <td>{b.parentCode || '—'}</td>
+                                            <td>{b.city || '—'}</td>
+                                            <td>{b.issues ? b.issues.total : '—'}</td>
+                                            <td>{b.issues ? b.issues.open : '—'}</td>
+                                            {canEdit && (
+                                                <td>
+                                                    <button className="btn btn-sm btn-outline" onClick={() => remove(b)} disabled={busy}>Delete</button>
+                                                </td>
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </DashboardLayout>
+    );
+};
+
+export default Boundaries;
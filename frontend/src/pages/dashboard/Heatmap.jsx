@@ -0,0 +1,249 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, CircleMarker, Rectangle, Popup, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { DashboardLayout } from '../../components/layout';
+import { getHeatmapData, getHotspots } from '../../services/analytics';
+import { getBoundaries } from '../../services/boundaries';
+
+const DEFAULT_CENTER = [20.5937, 78.9629];
+
+const CATEGORIES = [
+    'Roads & Infrastructure',
+    'Waste Management',
+    'Electricity',
+    'Water Supply',
+    'Sewage & Drainage',
+    'Traffic & Transportation',
+    'Public Safety',
+    'Parks & Recreation',
+    'Street Lighting',
+    'Noise Pollution',
+    'Other'
+];
+
+const STATUS_FILTERS = {
+    open: 'pending,acknowledged,assigned,in-progress',
+    pending: 'pending',
+    'in-progress': 'in-progress',
+    resolved: 'resolved,closed',
+    all: ''
+};
+
+// Intensity (see calculateIntensity on the backend, roughly 0.5 - 8) -> colour and radius of the heat blob
+const HEAT_STEPS = [
+    { max: 2, color: '#fcc419' },
+    { max: 3.5, color: '#fd7e14' },
+    { max: 5, color: '#f03e3e' },
+    { max: Infinity, color: '#a61e4d' }
+];
+const heatColor = (intensity) => HEAT_STEPS.find(step => intensity < step.max).color;
+const heatRadius = (intensity) => 10 + Math.min(intensity, 8) * 3;
+
+// Geohash length for hotspot cells at a zoom level (coarser cells when zoomed out)
+const cellPrecision = (zoom) => (zoom <= 6 ? 4 : zoom <= 9 ? 5 : zoom <= 12 ? 6 : 7);
+
+// Report the visible bounds and zoom whenever the map settles
+function ViewWatcher({ onView }) {
+    const map = useMap();
+    const report = useCallback(() => {
+        const b = map.getBounds().pad(0.1);
+        onView({
+            bounds: { north: b.getNorth(), south: b.getSouth(), east: b.getEast(), west: b.getWest() },
+            zoom: map.getZoom()
+        });
+    }, [map, onView]);
+    useMapEvents({ moveend: report });
+    useEffect(() => { report(); }, [report]);
+    return null;
+}
+
+const Heatmap = () => {
+    const [view, setView] = useState(null);
+    const [filters, setFilters] = useState({ category: '', status: 'open', startDate: '', endDate: '', ward: '' });
+    const [wards, setWards] = useState([]);
+    const [data, setData] = useState({ heatmapData: [], categoryCounts: [], statusCounts: [], total: 0 });
+    const [showCells, setShowCells] = useState(false);
+    const [hotspots, setHotspots] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const requestRef = useRef(0);
+    const hotspotRequestRef = useRef(0);
+
+    const setFilter = (e) => setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    // Ward filter options; the select stays hidden until boundaries have been imported
+    useEffect(() => {
+        getBoundaries({ level: 'ward' })
+            .then(data => setWards(data.boundaries))
+            .catch(() => setWards([]));
+    }, []);
+
+    // Debounced refetch for the visible area; only the latest response is applied
+    useEffect(() => {
+        if (!view) return;
+        const timer = setTimeout(async () => {
+            const requestId = ++requestRef.current;
+            setLoading(true);
+            const response = await getHeatmapData({
+                bounds: view.bounds,
+                category: filters.category || undefined,
+                ward: filters.ward || undefined,
+                status: STATUS_FILTERS[filters.status] || undefined,
+                startDate: filters.startDate || undefined,
+                // Inclusive end date
+                endDate: filters.endDate ? `${filters.endDate}T23:59:59.999` : undefined
+            });
+            if (requestId !== requestRef.current) return;
+            if (response.success) {
+                setData(response.data);
+                setError(null);
+            } else {
+                setError(response.error);
+            }
+            setLoading(false);
+        }, 400);
+        return () => clearTimeout(timer);
+    }, [view, filters]);
+
+    // Hotspot cells follow the same view, category and ward filter (status/date filters do not apply to cells)
+    useEffect(() => {
+        if (!showCells || !view) return;
+        const timer = setTimeout(async () => {
+            const requestId = ++hotspotRequestRef.current;
+            const response = await getHotspots({
+                bounds: view.bounds,
+                precision: cellPrecision(view.zoom),
+                category: filters.category || undefined,
+                ward: filters.ward || undefined
+            });
+            if (requestId !== hotspotRequestRef.current) return;
+            if (response.success) setHotspots(response.data);
+            else setError(response.error);
+        }, 400);
+        return () => clearTimeout(timer);
+    }, [showCells, view, filters.category, filters.ward]);
+
+    return (
+        <DashboardLayout>
+            <div className="card">
+                <div className="card-header" style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                        <h2 style={{ marginBottom: 0 }}>Issue Heatmap</h2>
+                        <span className="text-muted">{loading ? 'Loading…' : `${data.total} issue(s) in view`}</span>
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                        <select name="category" className="form-control" style={{ width: 220 }} value={filters.category} onChange={setFilter}>
+                            <option value="">All categories</option>
+                            {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                        <select name="status" className="form-control" style={{ width: 170 }} value={filters.status} onChange={setFilter}>
+                            <option value="open">Open</option>
+                            <option value="pending">Pending</option>
+                            <option value="in-progress">In progress</option>
+                            <option value="resolved">Resolved / closed</option>
+                            <option value="all">All statuses</option>
+                        </select>
+                        {wards.length > 0 && (
+                            <select name="ward" className="form-control" style={{ width: 200 }} value={filters.ward} onChange={setFilter}>
+                                <option value="">All wards</option>
+                                {wards.map(w => <option key={w._id} value={w.code}>{w.name} ({w.code})</option>)}
+                                <option value="none">Outside imported wards</option>
+                            </select>
+                        )}
+                        <label>From <input type="date" name="startDate" className="form-control" style={{ display: 'inline-block', width: 160 }} value={filters.startDate} onChange={setFilter} /></label>
+                        <label>To <input type="date" name="endDate" className="form-control" style={{ display: 'inline-block', width: 160 }} value={filters.endDate} onChange={setFilter} /></label>
+                        <label>
+                            <input type="checkbox" checked={showCells} onChange={(e) => setShowCells(e.target.checked)} /> Hotspot cells
+                        </label>
+                    </div>
+                </div>
+                <div className="card-body">
+                    {error && <div className="alert alert-danger">{error}</div>}
+                    <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 3fr) minmax(200px, 1fr)', gap: '1rem' }}>
+                        <div style={{ height: 560, borderRadius: 8, overflow: 'hidden', border: '1px solid #ccc' }}>
+                            <MapContainer center={DEFAULT_CENTER} zoom={5} style={{ height: '100%', width: '100%' }}>
+                                <TileLayer
+                                    attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                                    url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                                />
+                                <ViewWatcher onView={setView} />
+                                {showCells && hotspots?.cells.map(cell => (
+                                    <Rectangle
+                                        key={cell.geohash}
+                                        bounds={[[cell.bounds.south, cell.bounds.west], [cell.bounds.north, cell.bounds.east]]}
+                                        pathOptions={{
+                                            color: cell.emerging ? '#c92a2a' : '#1c7ed6',
+                                            weight: cell.emerging ? 3 : 1,
+                                            fillOpacity: 0.05
+                                        }}
+                                    >
+                                        <Popup>
+                                            <div><strong>{cell.emerging ? 'Emerging hotspot' : 'Cell'} {cell.geohash}</strong></div>
+                                            <div>{cell.count} reported in {hotspots.weeks} weeks · {cell.open} open</div>
+                                            <div>This week {cell.currentWeek} (baseline {cell.baseline}/week) · trend {cell.trend.direction}</div>
+                                            <div>Avg resolution: {cell.avgResolutionHours != null ? `${cell.avgResolutionHours} h` : 'n/a'}</div>
+                                        </Popup>
+                                    </Rectangle>
+                                ))}
+                                {data.heatmapData.map(point => (
+                                    <CircleMarker
+                                        key={point.id}
+                                        center={[point.coordinates[1], point.coordinates[0]]}
+                                        radius={heatRadius(point.intensity)}
+                                        pathOptions={{ stroke: false, fillColor: heatColor(point.intensity), fillOpacity: 0.35 }}
+                                    >
+                                        <Popup>
+                                            <div><strong>{point.title}</strong></div>
+                                            <div>{point.category}</div>
+                                            <div>Status: {point.status} · Priority: {point.priority}</div>
+                                            <Link to={`/dashboard/issues/${point.id}`}>Open issue</Link>
+                                        </Popup>
+                                    </CircleMarker>
+                                ))}
+                            </MapContainer>
+                        </div>
+                        <div>
+                            <h3>By category</h3>
+                            {data.categoryCounts.length === 0 && <p className="text-muted">No issues in view.</p>}
+                            <ul style={{ listStyle: 'none', padding: 0 }}>
+                                {data.categoryCounts.map(c => (
+                                    <li key={c._id} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                                        <span>{c._id}</span><strong>{c.count}</strong>
+                                    </li>
+                                ))}
+                            </ul>
+                            <h3 style={{ marginTop: '1rem' }}>By status</h3>
+                            <ul style={{ listStyle: 'none', padding: 0 }}>
+                                {data.statusCounts.map(s => (
+                                    <li key={s._id} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                                        <span>{s._id}</span><strong>{s.count}</strong>
+                                    </li>
+                                ))}
+                            </ul>
+                            {showCells && hotspots && (
+                                <>
+                                    <h3 style={{ marginTop: '1rem' }}>Hotspots</h3>
+                                    <p>{hotspots.emergingCount} emerging of {hotspots.cellCount} cell(s)</p>
+                                </>
+                            )}
+                            <h3 style={{ marginTop: '1rem' }}>Intensity</h3>
+                            <div style={{ display: 'flex', gap: '0.25rem', alignItems: 'center', fontSize: '0.85rem' }}>
+                                <span>low</span>
+                                {HEAT_STEPS.map(step => (
+                                    <span key={step.color} style={{ width: 18, height: 18, borderRadius: '50%', background: step.color, display: 'inline-block' }} />
+                                ))}
+                                <span>high</span>
+                            </div>
+                            <p className="text-muted" style={{ fontSize: '0.85rem', marginTop: '0.5rem' }}>
+                                Weighted by priority, votes and status. Click a spot to open the issue.
+                            </p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </DashboardLayout>
+    );
+};
+
+export default Heatmap;
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { DashboardLayout } from '../../components/layout';
+import { getIssueById } from '../../services/issues';
+import PriorityBadge from '../../components/issues/PriorityBadge';
+import LocationPicker from '../../components/issues/LocationPicker';
+
+const noop = () => {};
+
+// Read-only issue view for officials; map views (heatmap, hotspots) link here
+const IssueDetail = () => {
+    const { issueId } = useParams();
+    const [issue, setIssue] = useState(null);
+    const [meta, setMeta] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            const response = await getIssueById(issueId);
+            if (cancelled) return;
+            if (response.success && response.data?.data?.issue) {
+                const { issue: doc, ...rest } = response.data.data;
+                setIssue(doc);
+                setMeta(rest);
+                setError(null);
+            } else {
+                setError(response.error || 'Issue not found');
+            }
+            setLoading(false);
+        };
+        load();
+        return () => { cancelled = true; };
+    }, [issueId]);
+
+    const [lng, lat] = issue?.location?.coordinates || [];
+
+    return (
+        <DashboardLayout>
+            <div className="card">
+                <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    <h2 style={{ marginBottom: 0 }}>{issue ? issue.title : 'Issue'}</h2>
+                    <Link to="/dashboard/all-issues" className="btn btn-outline btn-sm">All issues</Link>
+                </div>
+                <div className="card-body">
+                    {error && <div className="alert alert-danger">{error}</div>}
+                    {loading && <div>Loading...</div>}
+                    {!loading && issue && (
+                        <>
+                            {meta.isDuplicate && (
+                                <div className="alert alert-info">
+                                    The requested report was merged into this issue.
+                                </div>
+                            )}
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '1.5rem' }}>
+                                <div>
+                                    <p><strong>Status:</strong> {issue.status}</p>
+                                    <p><strong>Priority:</strong> <PriorityBadge priority={issue.priority} priorityAuto={issue.priorityAuto} priorityOverride={issue.priorityOverride} /></p>
+                                    <p><strong>Category:</strong> {issue.category}</p>
+                                    <p><strong>Location:</strong> {issue.location?.address}</p>
+                                    <p><strong>Reported:</strong> {new Date(issue.createdAt).toLocaleString()}{issue.reportedBy?.name && ` by ${issue.reportedBy.name}`}</p>
+                                    <p>
+                                        <strong>Votes:</strong> {issue.votes || 0} · <strong>Reporters:</strong> {meta.reportersCount || 0}
+                                        {' '}· <strong>Duplicates:</strong> {meta.duplicatesCount || 0}
+                                    </p>
+                                    {issue.assignedTo?.department && (
+                                        <p>
+                                            <strong>Assigned to:</strong> {issue.assignedTo.department}
+                                            {issue.assignedTo.official?.name && ` (${issue.assignedTo.official.name})`}
+                                        </p>
+                                    )}
+                                    {issue.routing?.ruleName && (
+                                        <p className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                            Auto-routed by rule "{issue.routing.ruleName}" to {issue.routing.department}
+                                            {issue.routing.overridden && ` · reassigned to ${issue.routing.overrideDepartment}`}
+                                        </p>
+                                    )}
+                                    <p>{issue.description}</p>
+                                </div>
+                                <div>
+                                    {meta.thumbnailImage && (
+                                        <img src={meta.thumbnailImage} alt={issue.title} style={{ width: '100%', maxWidth: 480, borderRadius: 8, marginBottom: '1rem' }} />
+                                    )}
+                                    {Number.isFinite(lat) && Number.isFinite(lng) && (
+                                        <LocationPicker latitude={lat} longitude={lng} onChange={noop} disabled />
+                                    )}
+                                </div>
+                            </div>
+
+                            {issue.statusHistory?.length > 0 && (
+                                <>
+                                    <h3 style={{ marginTop: '1.5rem' }}>History</h3>
+                                    <ul>
+                                        {[...issue.statusHistory].reverse().map((entry, idx) => (
+                                            <li key={entry._id || idx}>
+                                                <strong>{entry.status}</strong> · {new Date(entry.timestamp).toLocaleString()}
+                                                {entry.updatedBy?.name && ` · ${entry.updatedBy.name}`}
+                                                {entry.comment && ` — ${entry.comment}`}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </DashboardLayout>
+    );
+};
+
+export default IssueDetail;
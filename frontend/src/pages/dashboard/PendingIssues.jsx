@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { DashboardLayout } from '../../components/layout';
-import { getPendingIssues, assignIssue, updateIssueStatus, deleteIssue } from '../../services/issues';
+import { getPendingIssues, assignIssue, setIssuePriority, updateIssueStatus, addResolutionProof, deleteIssue } from '../../services/issues';
+import PriorityBadge from '../../components/issues/PriorityBadge';
 import mockData from '../../utils/mockData';
 import '../../styles/pendingIssues.css';
 
@@ -12,6 +13,10 @@ const PendingIssues = () => {
     const [showAssignModal, setShowAssignModal] = useState(false);
     const [showResolveModal, setShowResolveModal] = useState(false);
     const [showDeleteModal, setShowDeleteModal] = useState(false);
+    const [deleteReason, setDeleteReason] = useState('');
+    const [showPriorityModal, setShowPriorityModal] = useState(false);
+    const [priorityForm, setPriorityForm] = useState({ priority: 'low', justification: '', lock: true });
+    const [proofImages, setProofImages] = useState([]);
     const [formData, setFormData] = useState({
         department: '',
         officialId: '',
@@ -46,6 +51,14 @@ const PendingIssues = () => {
         }
     };
 
+    // Only offer actions the backend state machine allows; the listing carries each issue's allowed
+    // transitions (issues without them, e.g. mock data, fall back to showing the action)
+    const canMoveTo = (issue, status) => {
+        const allowed = issue.allowedTransitions;
+        if (!allowed) return true;
+        return allowed.some(t => t.status === status && t.ready);
+    };
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         if (name.includes('.')) {
@@ -99,6 +112,15 @@ const PendingIssues = () => {
         }
 
         try {
+            // Upload "after" photos first so they are part of the resolution citizens see
+            if (proofImages.length) {
+                const proof = await addResolutionProof(selectedIssue.id, { images: proofImages });
+                if (!proof.success) {
+                    setError(proof.error);
+                    return;
+                }
+            }
+
             const response = await updateIssueStatus(selectedIssue.id, {
                 status: 'resolved',
                 comment: formData.comment,
@@ -124,8 +146,12 @@ const PendingIssues = () => {
     };
 
     const handleDelete = async () => {
+        if (!deleteReason.trim()) {
+            return;
+        }
+
         try {
-            const response = await deleteIssue(selectedIssue.id);
+            const response = await deleteIssue(selectedIssue.id, deleteReason.trim());
 
             if (response.success) {
                 // Update the local state to reflect changes
@@ -158,6 +184,7 @@ const PendingIssues = () => {
 
     const openResolveModal = (issue) => {
         setSelectedIssue(issue);
+        setProofImages([]);
         setFormData({
             department: issue.department || '',
             officialId: '',
@@ -169,8 +196,35 @@ const PendingIssues = () => {
         setShowResolveModal(true);
     };
 
+    const openPriorityModal = (issue) => {
+        setSelectedIssue(issue);
+        setPriorityForm({ priority: issue.priority, justification: '', lock: true });
+        setShowPriorityModal(true);
+    };
+
+    const handleSetPriority = async () => {
+        if (!priorityForm.justification.trim()) {
+            return;
+        }
+        const response = await setIssuePriority(selectedIssue.id, priorityForm);
+        if (response.success) {
+            const updated = response.data.data;
+            setIssues(issues.map(issue => issue.id === selectedIssue.id ? {
+                ...issue,
+                priority: updated.priority,
+                priorityAuto: updated.priorityAuto !== false,
+                priorityOverride: updated.priorityOverride || null
+            } : issue));
+            setShowPriorityModal(false);
+            setSelectedIssue(null);
+        } else {
+            setError(response.error);
+        }
+    };
+
     const openDeleteModal = (issue) => {
         setSelectedIssue(issue);
+        setDeleteReason('');
         setShowDeleteModal(true);
     };
 
@@ -178,6 +232,7 @@ const PendingIssues = () => {
         setShowAssignModal(false);
         setShowResolveModal(false);
         setShowDeleteModal(false);
+        setShowPriorityModal(false);
         setSelectedIssue(null);
     };
 
@@ -298,23 +353,35 @@ const PendingIssues = () => {
                                                 {mockData.categories.find(c => c.value === issue.category)?.label || issue.category}
                                             </td>
                                             <td>
-                                                <span className={`priority priority-${issue.priority}`}>
-                                                    {issue.priority.charAt(0).toUpperCase() + issue.priority.slice(1)}
-                                                </span>
+                                                <PriorityBadge
+                                                    priority={issue.priority}
+                                                    priorityAuto={issue.priorityAuto}
+                                                    priorityOverride={issue.priorityOverride}
+                                                />
                                             </td>
                                             <td>
                                                 <div className="actions-container">
+                                                    {canMoveTo(issue, 'assigned') && (
+                                                        <button
+                                                            className="btn btn-primary btn-sm"
+                                                            onClick={() => openAssignModal(issue)}
+                                                        >
+                                                            Assign
+                                                        </button>
+                                                    )}
+                                                    {canMoveTo(issue, 'resolved') && (
+                                                        <button
+                                                            className="btn btn-success btn-sm"
+                                                            onClick={() => openResolveModal(issue)}
+                                                        >
+                                                            Resolve
+                                                        </button>
+                                                    )}
                                                     <button
-                                                        className="btn btn-primary btn-sm"
-                                                        onClick={() => openAssignModal(issue)}
-                                                    >
-                                                        Assign
-                                                    </button>
-                                                    <button
-                                                        className="btn btn-success btn-sm"
-                                                        onClick={() => openResolveModal(issue)}
+                                                        className="btn btn-outline btn-sm"
+                                                        onClick={() => openPriorityModal(issue)}
                                                     >
-                                                        Resolve
+                                                        Priority
                                                     </button>
                                                     <button
                                                         className="btn btn-danger btn-sm"
@@ -443,6 +510,17 @@ const PendingIssues = () => {
                                     required
                                 ></textarea>
                             </div>
+                            <div className="form-group">
+                                <label className="form-label">After Photos (Optional)</label>
+                                <input
+                                    type="file"
+                                    className="form-control"
+                                    accept="image/*"
+                                    multiple
+                                    onChange={(e) => setProofImages(Array.from(e.target.files || []).slice(0, 5))}
+                                />
+                                <p className="form-text">Shown to citizens next to their original photos.</p>
+                            </div>
                             <div className="form-group">
                                 <label className="form-label">Additional Comment (Optional)</label>
                                 <textarea
@@ -480,11 +558,22 @@ const PendingIssues = () => {
                         <div className="modal-body">
                             <p>Are you sure you want to delete the following issue?</p>
                             <p><strong>{selectedIssue.title}</strong></p>
-                            <p className="text-danger">This action cannot be undone.</p>
+                            <div className="form-group">
+                                <label className="form-label">Reason</label>
+                                <textarea
+                                    className="form-control"
+                                    rows="2"
+                                    value={deleteReason}
+                                    onChange={(e) => setDeleteReason(e.target.value)}
+                                    placeholder="Why is this issue being removed? (e.g. spam, duplicate, out of jurisdiction)"
+                                    required
+                                ></textarea>
+                            </div>
+                            <p className="form-text">The issue and its merged duplicates are hidden from all listings. An administrator can restore them later.</p>
                         </div>
                         <div className="modal-footer">
                             <button className="btn btn-outline" onClick={closeModals}>Cancel</button>
-                            <button className="btn btn-danger" onClick={handleDelete}>
+                            <button className="btn btn-danger" onClick={handleDelete} disabled={!deleteReason.trim()}>
                                 Delete Issue
                             </button>
                         </div>
@@ -492,6 +581,68 @@ const PendingIssues = () => {
                 </div>
             )}
 
+            {/* Priority Modal */}
+            {showPriorityModal && selectedIssue && (
+                <div className="modal-backdrop">
+                    <div className="modal">
+                        <div className="modal-header">
+                            <h3>Set Priority</h3>
+                            <button className="modal-close" onClick={closeModals}>&times;</button>
+                        </div>
+                        <div className="modal-body">
+                            <p><strong>{selectedIssue.title}</strong></p>
+                            <div className="form-group">
+                                <label className="form-label">
+                                    <input
+                                        type="checkbox"
+                                        checked={!priorityForm.lock}
+                                        onChange={(e) => setPriorityForm({ ...priorityForm, lock: !e.target.checked })}
+                                    />{' '}
+                                    Return to automatic priority
+                                </label>
+                            </div>
+                            {priorityForm.lock && (
+                                <div className="form-group">
+                                    <label className="form-label">Priority</label>
+                                    <select
+                                        className="form-control"
+                                        value={priorityForm.priority}
+                                        onChange={(e) => setPriorityForm({ ...priorityForm, priority: e.target.value })}
+                                    >
+                                        {mockData.priorities.map(priority => (
+                                            <option key={priority.value} value={priority.value}>
+                                                {priority.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label className="form-label">Justification</label>
+                                <textarea
+                                    className="form-control"
+                                    rows="2"
+                                    value={priorityForm.justification}
+                                    onChange={(e) => setPriorityForm({ ...priorityForm, justification: e.target.value })}
+                                    placeholder="Why is the priority being changed?"
+                                    required
+                                ></textarea>
+                            </div>
+                            <p className="form-text">
+                                {priorityForm.lock
+                                    ? 'The priority stays locked until an official returns it to automatic.'
+                                    : 'The priority will be recomputed from the priority rules.'}
+                            </p>
+                        </div>
+                        <div className="modal-footer">
+                            <button className="btn btn-outline" onClick={closeModals}>Cancel</button>
+                            <button className="btn btn-primary" onClick={handleSetPriority} disabled={!priorityForm.justification.trim()}>
+                                Save Priority
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
 
         </DashboardLayout>
     );
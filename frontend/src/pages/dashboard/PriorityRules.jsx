@@ -0,0 +1,289 @@
+import React, { useEffect, useState } from 'react';
+import { DashboardLayout } from '../../components/layout';
+import { useAuth } from '../../hooks/useAuth';
+import { useToast } from '../../context/ToastContext';
+import { getPriorityRules, dryRunPriorityRules, updatePriorityRules, recomputePriorities, getRecomputeStatus } from '../../services/priorityRules';
+
+const LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Rules that bump the priority by a number of levels when they fire
+const BUMP_RULES = [
+    { key: 'cluster', label: 'Cluster of same-category issues' },
+    { key: 'safetyKeywords', label: 'Safety keywords in title/description' },
+    { key: 'slaBreach', label: 'SLA breach' },
+    { key: 'alertBoost', label: 'Inside an active alert area' }
+];
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+const RECOMPUTE_POLL_MS = 3000;
+
+const PriorityRules = () => {
+    const { user } = useAuth();
+    const toast = useToast();
+    const { push: pushToast } = toast;
+    const canEdit = !!user?.isAdmin;
+    const [rules, setRules] = useState(null);
+    const [meta, setMeta] = useState({});
+    const [categories, setCategories] = useState([]);
+    const [preview, setPreview] = useState(null);
+    const [recomputed, setRecomputed] = useState(null);
+    const [recomputing, setRecomputing] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        getPriorityRules()
+            .then(data => {
+                setRules(data.rules);
+                setCategories(data.categories || []);
+                setMeta({ version: data.version, updatedBy: data.updatedBy, updatedAt: data.updatedAt });
+            })
+            .catch(err => setError(errorMessage(err, 'Failed to load priority rules')));
+        getRecomputeStatus()
+            .then(status => {
+                setRecomputing(status.running);
+                if (status.lastRun?.summary) setRecomputed(status.lastRun.summary);
+            })
+            .catch(() => {});
+    }, []);
+
+    // The recomputation runs in the background on the server; poll until it finishes
+    useEffect(() => {
+        if (!recomputing) return;
+        const timer = setInterval(async () => {
+            try {
+                const status = await getRecomputeStatus();
+                if (status.running) return;
+                setRecomputing(false);
+                if (status.lastRun?.error) {
+                    pushToast(`Recomputation failed: ${status.lastRun.error}`, { type: 'error' });
+                } else if (status.lastRun?.summary) {
+                    setRecomputed(status.lastRun.summary);
+                    pushToast(`${status.lastRun.summary.changed} issue priorities changed`, { type: 'success' });
+                }
+            } catch (err) {
+                setRecomputing(false);
+                pushToast(errorMessage(err, 'Failed to check recomputation status'), { type: 'error' });
+            }
+        }, RECOMPUTE_POLL_MS);
+        return () => clearInterval(timer);
+    }, [recomputing, pushToast]);
+
+    const setSection = (section, field, value) => {
+        setRules(prev => ({ ...prev, [section]: { ...prev[section], [field]: value } }));
+        setPreview(null);
+    };
+
+    const setWeight = (category, value) => {
+        setRules(prev => {
+            const weights = { ...prev.categoryWeights };
+            if (!value) delete weights[category];
+            else weights[category] = value;
+            return { ...prev, categoryWeights: weights };
+        });
+        setPreview(null);
+    };
+
+    const setThreshold = (idx, field, value) => {
+        setRules(prev => ({
+            ...prev,
+            voteThresholds: prev.voteThresholds.map((t, i) => i === idx ? { ...t, [field]: value } : t)
+        }));
+        setPreview(null);
+    };
+
+    const runDryRun = async () => {
+        setBusy(true);
+        try {
+            setPreview(await dryRunPriorityRules(rules));
+        } catch (err) {
+            toast.push(errorMessage(err, 'Dry run failed'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const save = async () => {
+        setBusy(true);
+        try {
+            const data = await updatePriorityRules(rules);
+            setRules(data.rules);
+            setMeta(prev => ({ ...prev, version: data.version, updatedAt: new Date().toISOString() }));
+            setPreview(null);
+            toast.push('Priority rules saved', { type: 'success' });
+        } catch (err) {
+            toast.push(errorMessage(err, 'Failed to save priority rules'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const recompute = async () => {
+        setBusy(true);
+        try {
+            await recomputePriorities();
+            setRecomputing(true);
+            toast.push('Recomputation started', { type: 'info' });
+        } catch (err) {
+            if (err.response?.status === 409) setRecomputing(true);
+            toast.push(errorMessage(err, 'Recomputation failed'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const number = (value) => value === '' ? '' : Number(value);
+
+    return (
+        <DashboardLayout>
+            <div className="card">
+                <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    <div>
+                        <h2>Priority Rules</h2>
+                        {meta.version > 0 && (
+                            <div className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                Version {meta.version}{meta.updatedBy?.name && ` · updated by ${meta.updatedBy.name}`}
+                                {meta.updatedAt && ` on ${new Date(meta.updatedAt).toLocaleString()}`}
+                            </div>
+                        )}
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button className="btn btn-outline" onClick={recompute} disabled={busy || recomputing} title="Apply the saved rules to all open issues now">{recomputing ? 'Recomputing…' : 'Recompute now'}</button>
+                        {canEdit && rules && (
+                            <>
+                                <button className="btn btn-outline" onClick={runDryRun} disabled={busy}>Preview changes</button>
+                                <button className="btn btn-primary" onClick={save} disabled={busy}>Save rules</button>
+                            </>
+                        )}
+                    </div>
+                </div>
+                <div className="card-body">
+                    {error && <div className="alert alert-danger">{error}</div>}
+                    {!canEdit && <p className="text-muted">Only administrators can change these rules.</p>}
+                    {recomputed && (
+                        <div className="alert alert-info">
+                            Recomputed {recomputed.scanned} open issues ({recomputed.locked} locked): {recomputed.changed} changed
+                            ({recomputed.raised} raised, {recomputed.lowered} lowered)
+                            {Object.keys(recomputed.moves).length > 0 && ` · ${Object.entries(recomputed.moves).map(([move, count]) => `${move}: ${count}`).join(', ')}`}
+                        </div>
+                    )}
+                    {rules && (
+                        <fieldset disabled={!canEdit || busy} style={{ border: 'none', padding: 0, margin: 0 }}>
+                            <h3>Vote thresholds</h3>
+                            {rules.voteThresholds.map((t, idx) => (
+                                <div key={idx} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+                                    <span>At least</span>
+                                    <input type="number" min="1" className="form-control" style={{ width: 90 }} value={t.minVotes} onChange={(e) => setThreshold(idx, 'minVotes', number(e.target.value))} />
+                                    <span>votes sets</span>
+                                    <select className="form-control" style={{ width: 130 }} value={t.priority} onChange={(e) => setThreshold(idx, 'priority', e.target.value)}>
+                                        {LEVELS.map(l => <option key={l} value={l}>{l}</option>)}
+                                    </select>
+                                    <button type="button" className="btn btn-sm btn-outline" onClick={() => setRules(prev => ({ ...prev, voteThresholds: prev.voteThresholds.filter((_, i) => i !== idx) }))}>Remove</button>
+                                </div>
+                            ))}
+                            <button type="button" className="btn btn-sm btn-outline" onClick={() => setRules(prev => ({ ...prev, voteThresholds: [...prev.voteThresholds, { minVotes: 1, priority: 'medium' }] }))}>Add threshold</button>
+
+                            <h3 style={{ marginTop: '1.5rem' }}>Category weights (levels)</h3>
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: '0.5rem' }}>
+                                {categories.map(category => (
+                                    <label key={category} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                                        <span>{category}</span>
+                                        <select className="form-control" style={{ width: 80 }} value={rules.categoryWeights?.[category] || 0} onChange={(e) => setWeight(category, Number(e.target.value))}>
+                                            {[-3, -2, -1, 0, 1, 2, 3].map(w => <option key={w} value={w}>{w > 0 ? `+${w}` : w}</option>)}
+                                        </select>
+                                    </label>
+                                ))}
+                            </div>
+
+                            <h3 style={{ marginTop: '1.5rem' }}>Bumps</h3>
+                            {BUMP_RULES.map(rule => (
+                                <div key={rule.key} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '0.5rem' }}>
+                                    <label style={{ minWidth: 280 }}>
+                                        <input type="checkbox" checked={rules[rule.key].enabled} onChange={(e) => setSection(rule.key, 'enabled', e.target.checked)} /> {rule.label}
+                                    </label>
+                                    <span>+</span>
+                                    <input type="number" min="0" max="3" className="form-control" style={{ width: 70 }} value={rules[rule.key].levels} onChange={(e) => setSection(rule.key, 'levels', number(e.target.value))} />
+                                    <span>level(s)</span>
+                                    {rule.key === 'cluster' && (
+                                        <>
+                                            <span>when</span>
+                                            <input type="number" min="1" className="form-control" style={{ width: 70 }} value={rules.cluster.minOthers} onChange={(e) => setSection('cluster', 'minOthers', number(e.target.value))} />
+                                            <span>other issues within</span>
+                                            <input type="number" min="1" className="form-control" style={{ width: 90 }} value={rules.cluster.radiusMeters} onChange={(e) => setSection('cluster', 'radiusMeters', number(e.target.value))} />
+                                            <span>m</span>
+                                        </>
+                                    )}
+                                    {rule.key === 'safetyKeywords' && (
+                                        <input
+                                            className="form-control"
+                                            style={{ flex: 1, minWidth: 240 }}
+                                            value={rules.safetyKeywords.keywords.join(', ')}
+                                            onChange={(e) => setSection('safetyKeywords', 'keywords', e.target.value.split(',').map(k => k.trimStart()))}
+                                        />
+                                    )}
+                                </div>
+                            ))}
+
+                            <h3 style={{ marginTop: '1.5rem' }}>Age decay</h3>
+                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                                <label>
+                                    <input type="checkbox" checked={rules.ageDecay.enabled} onChange={(e) => setSection('ageDecay', 'enabled', e.target.checked)} /> Lower old issues
+                                </label>
+                                <span>after</span>
+                                <input type="number" min="0" className="form-control" style={{ width: 80 }} value={rules.ageDecay.startAfterDays} onChange={(e) => setSection('ageDecay', 'startAfterDays', number(e.target.value))} />
+                                <span>days, one more level every</span>
+                                <input type="number" min="1" className="form-control" style={{ width: 80 }} value={rules.ageDecay.everyDays} onChange={(e) => setSection('ageDecay', 'everyDays', number(e.target.value))} />
+                                <span>days, at most</span>
+                                <input type="number" min="0" max="3" className="form-control" style={{ width: 70 }} value={rules.ageDecay.maxLevels} onChange={(e) => setSection('ageDecay', 'maxLevels', number(e.target.value))} />
+                                <span>level(s)</span>
+                            </div>
+                        </fieldset>
+                    )}
+
+                    {preview && (
+                        <div style={{ marginTop: '1.5rem' }}>
+                            <h3>Dry run</h3>
+                            <p>
+                                {preview.summary.evaluated} open issues evaluated ({preview.summary.locked} locked), {preview.summary.changed} would change:
+                                {' '}{preview.summary.raised} raised, {preview.summary.lowered} lowered.
+                                {preview.truncated && ' Only the most recent issues were evaluated.'}
+                            </p>
+                            <p className="text-muted">
+                                {LEVELS.map(l => `${l}: ${preview.summary.current[l]} → ${preview.summary.proposed[l]}`).join(' · ')}
+                            </p>
+                            {preview.changes.length > 0 && (
+                                <div className="table-responsive">
+                                    <table className="table">
+                                        <thead>
+                                            <tr>
+                                                <th>Issue</th>
+                                                <th>Category</th>
+                                                <th>Current</th>
+                                                <th>Proposed</th>
+                                                <th>Rules fired</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {preview.changes.map(change => (
+                                                <tr key={change.issueId}>
+                                                    <td>{change.title}</td>
+                                                    <td>{change.category}</td>
+                                                    <td>{change.from}</td>
+                                                    <td>{change.to}</td>
+                                                    <td>{change.reasons.join(', ')}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </DashboardLayout>
+    );
+};
+
+export default PriorityRules;
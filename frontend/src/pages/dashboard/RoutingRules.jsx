@@ -0,0 +1,265 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { DashboardLayout } from '../../components/layout';
+import { useAuth } from '../../hooks/useAuth';
+import { useToast } from '../../context/ToastContext';
+import { DEPARTMENTS } from '../../utils/mockData';
+import { getRoutingRules, testRoutingRules, createRoutingRule, updateRoutingRule, deleteRoutingRule } from '../../services/routingRules';
+import { getRoutingAccuracy } from '../../services/analytics';
+
+const EMPTY_RULE = { name: '', order: 100, enabled: true, categories: [], wards: '', pincodes: '', department: '', official: '' };
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+// Form state <-> API shape (wards and pincodes are edited as comma-separated text)
+const toForm = (rule) => ({
+    name: rule.name,
+    order: rule.order,
+    enabled: rule.enabled,
+    categories: rule.match?.categories || [],
+    wards: (rule.match?.wards || []).join(', '),
+    pincodes: (rule.match?.pincodes || []).join(', '),
+    department: rule.department,
+    official: rule.official?._id || ''
+});
+const toRule = (form) => ({
+    name: form.name,
+    order: form.order,
+    enabled: form.enabled,
+    match: { categories: form.categories, wards: form.wards, pincodes: form.pincodes },
+    department: form.department,
+    official: form.official.trim() || null
+});
+
+const describeMatch = (match = {}) => [
+    match.categories?.length && `category: ${match.categories.join(', ')}`,
+    match.wards?.length && `ward: ${match.wards.join(', ')}`,
+    match.pincodes?.length && `pincode: ${match.pincodes.join(', ')}`
+].filter(Boolean).join(' · ');
+
+const RoutingRules = () => {
+    const { user } = useAuth();
+    const toast = useToast();
+    const canEdit = !!user?.isAdmin;
+    const [rules, setRules] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [accuracy, setAccuracy] = useState(null);
+    const [form, setForm] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [probe, setProbe] = useState({ category: '', ward: '', pincode: '' });
+    const [probeResult, setProbeResult] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(() => {
+        getRoutingRules()
+            .then(data => {
+                setRules(data.rules);
+                setCategories(data.categories || []);
+                setError(null);
+            })
+            .catch(err => setError(errorMessage(err, 'Failed to load routing rules')));
+        getRoutingAccuracy().then(response => {
+            if (response.success) setAccuracy(response.data);
+        });
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    const setField = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const toggleCategory = (category) => {
+        setForm(prev => ({
+            ...prev,
+            categories: prev.categories.includes(category)
+                ? prev.categories.filter(c => c !== category)
+                : [...prev.categories, category]
+        }));
+    };
+
+    const startEdit = (rule) => {
+        setEditingId(rule?._id || null);
+        setForm(rule ? toForm(rule) : EMPTY_RULE);
+    };
+
+    const save = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        try {
+            const data = editingId
+                ? await updateRoutingRule(editingId, toRule(form))
+                : await createRoutingRule(toRule(form));
+            toast.push(data.message, { type: 'success' });
+            setForm(null);
+            setEditingId(null);
+            load();
+        } catch (err) {
+            toast.push(errorMessage(err, 'Failed to save routing rule'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const remove = async (rule) => {
+        if (!window.confirm(`Delete routing rule "${rule.name}"? Issues it already routed stay assigned.`)) return;
+        setBusy(true);
+        try {
+            await deleteRoutingRule(rule._id);
+            toast.push('Routing rule deleted', { type: 'success' });
+            load();
+        } catch (err) {
+            toast.push(errorMessage(err, 'Failed to delete routing rule'), { type: 'error' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const runProbe = async (e) => {
+        e.preventDefault();
+        try {
+            setProbeResult(await testRoutingRules(probe));
+        } catch (err) {
+            toast.push(errorMessage(err, 'Test failed'), { type: 'error' });
+        }
+    };
+
+    const statsFor = (ruleId) => accuracy?.rules.find(r => r.rule === ruleId);
+
+    return (
+        <DashboardLayout>
+            <div className="card">
+                <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    <div>
+                        <h2>Routing Rules</h2>
+                        {accuracy && (
+                            <div className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                {accuracy.routed} issue(s) auto-routed ({accuracy.coverage ?? 0}% of new issues) ·
+                                {' '}{accuracy.accuracy ?? '—'}% kept their department · {accuracy.overridden} reassigned
+                            </div>
+                        )}
+                    </div>
+                    {canEdit && !form && (
+                        <button className="btn btn-primary" onClick={() => startEdit(null)}>Add rule</button>
+                    )}
+                </div>
+                <div className="card-body">
+                    {error && <div className="alert alert-danger">{error}</div>}
+                    <p className="text-muted">
+                        New issues are assigned by the first enabled rule (lowest order first) whose conditions all match.
+                        Officials can still reassign them; reassignments to another department count against the rule.
+                    </p>
+                    {!canEdit && <p className="text-muted">Only administrators can change routing rules.</p>}
+
+                    {form && (
+                        <form onSubmit={save} style={{ marginBottom: '1.5rem' }}>
+                            <h3>{editingId ? 'Edit rule' : 'New rule'}</h3>
+                            <fieldset disabled={busy} style={{ border: 'none', padding: 0, margin: 0 }}>
+                                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem' }}>
+                                    <input name="name" className="form-control" style={{ width: 240 }} placeholder="Rule name" value={form.name} onChange={setField} required />
+                                    <label>Order <input type="number" name="order" className="form-control" style={{ display: 'inline-block', width: 90 }} value={form.order} onChange={setField} /></label>
+                                    <label><input type="checkbox" name="enabled" checked={form.enabled} onChange={setField} /> Enabled</label>
+                                </div>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '0.25rem', marginBottom: '0.5rem' }}>
+                                    {categories.map(category => (
+                                        <label key={category}>
+                                            <input type="checkbox" checked={form.categories.includes(category)} onChange={() => toggleCategory(category)} /> {category}
+                                        </label>
+                                    ))}
+                                </div>
+                                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem' }}>
+                                    <input name="wards" className="form-control" style={{ width: 220 }} placeholder="Ward codes (comma-separated)" value={form.wards} onChange={setField} />
+                                    <input name="pincodes" className="form-control" style={{ width: 220 }} placeholder="Pincodes (comma-separated)" value={form.pincodes} onChange={setField} />
+                                </div>
+                                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                                    <input name="department" list="routing-departments" className="form-control" style={{ width: 240 }} placeholder="Department" value={form.department} onChange={setField} required />
+                                    <datalist id="routing-departments">
+                                        {DEPARTMENTS.map(dept => <option key={dept.value} value={dept.value} />)}
+                                    </datalist>
+                                    <input name="official" className="form-control" style={{ width: 260 }} placeholder="Default official user ID (optional)" value={form.official} onChange={setField} />
+                                    <button type="submit" className="btn btn-primary">Save rule</button>
+                                    <button type="button" className="btn btn-outline" onClick={() => { setForm(null); setEditingId(null); }}>Cancel</button>
+                                </div>
+                            </fieldset>
+                        </form>
+                    )}
+
+                    {rules.length === 0 ? (
+                        <p className="text-muted">No routing rules yet; new issues wait for manual assignment.</p>
+                    ) : (
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Order</th>
+                                        <th>Name</th>
+                                        <th>Conditions</th>
+                                        <th>Department</th>
+                                        <th>Official</th>
+                                        <th>Routed</th>
+                                        <th>Kept</th>
+                                        {canEdit && <th></th>}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rules.map(rule => {
+                                        const stats = statsFor(rule._id);
+                                        return (
+                                            <tr key={rule._id} style={rule.enabled ? undefined : { opacity: 0.6 }}>
+                                                <td>{rule.order}</td>
+                                                <td>{rule.name}{!rule.enabled && ' (disabled)'}</td>
+                                                <td>{describeMatch(rule.match)}</td>
+                                                <td>{rule.department}</td>
+                                                <td>{rule.official?.name || '—'}</td>
+                                                <td>{stats?.routed ?? 0}</td>
+                                                <td>{stats?.accuracy != null ? `${stats.accuracy}%` : '—'}</td>
+                                                {canEdit && (
+                                                    <td style={{ whiteSpace: 'nowrap' }}>
+                                                        <button className="btn btn-sm btn-outline" onClick={() => startEdit(rule)} disabled={busy}>Edit</button>{' '}
+                                                        <button className="btn btn-sm btn-outline" onClick={() => remove(rule)} disabled={busy}>Delete</button>
+                                                    </td>
+                                                )}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {accuracy?.topOverrides.length > 0 && (
+                        <>
+                            <h3 style={{ marginTop: '1.5rem' }}>Most common reassignments</h3>
+                            <ul>
+                                {accuracy.topOverrides.map(o => (
+                                    <li key={`${o.from}-${o.to}`}>{o.from} → {o.to}: {o.count}</li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+
+                    <h3 style={{ marginTop: '1.5rem' }}>Test routing</h3>
+                    <form onSubmit={runProbe} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                        <select className="form-control" style={{ width: 220 }} value={probe.category} onChange={(e) => setProbe(prev => ({ ...prev, category: e.target.value }))}>
+                            <option value="">Any category</option>
+                            {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                        <input className="form-control" style={{ width: 140 }} placeholder="Ward code" value={probe.ward} onChange={(e) => setProbe(prev => ({ ...prev, ward: e.target.value }))} />
+                        <input className="form-control" style={{ width: 140 }} placeholder="Pincode" value={probe.pincode} onChange={(e) => setProbe(prev => ({ ...prev, pincode: e.target.value }))} />
+                        <button type="submit" className="btn btn-outline">Test</button>
+                        {probeResult && (
+                            <span>
+                                {probeResult.matched
+                                    ? `Rule "${probeResult.rule.name}" → ${probeResult.rule.department}`
+                                    : 'No rule matches; the issue would wait for manual assignment'}
+                            </span>
+                        )}
+                    </form>
+                </div>
+            </div>
+        </DashboardLayout>
+    );
+};
+
+export default RoutingRules;
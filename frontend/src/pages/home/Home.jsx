@@ -127,6 +127,7 @@ const Home = () => {
                         </div>
                         <nav className="main-nav">
                             <Link to="/" className="nav-item active">Home</Link>
+                            <Link to="/issues/nearby" className="nav-item">Issues Near Me</Link>
                             <Link to="/about" className="nav-item">About</Link>
                         </nav>
                         <div className="nav-right">
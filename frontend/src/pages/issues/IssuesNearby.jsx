@@ -0,0 +1,243 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MainLayout } from '../../components/layout';
+import { getNearbyIssues } from '../../services/issues';
+import '../../styles/issues-map.css';
+
+const DEFAULT_CENTER = [20.5937, 78.9629];
+const MAX_RADIUS_METERS = 20000;
+// Markers closer than this many pixels are grouped; clustering stops once zoomed in far enough
+const CLUSTER_CELL_PX = 60;
+const CLUSTER_MAX_ZOOM = 17;
+
+const CATEGORIES = [
+    { name: 'Roads & Infrastructure', code: 'RD', color: '#495057' },
+    { name: 'Waste Management', code: 'WM', color: '#2b8a3e' },
+    { name: 'Electricity', code: 'EL', color: '#f59f00' },
+    { name: 'Water Supply', code: 'WS', color: '#1c7ed6' },
+    { name: 'Sewage & Drainage', code: 'SD', color: '#7950f2' },
+    { name: 'Traffic & Transportation', code: 'TR', color: '#e64980' },
+    { name: 'Public Safety', code: 'PS', color: '#c92a2a' },
+    { name: 'Parks & Recreation', code: 'PR', color: '#37b24d' },
+    { name: 'Street Lighting', code: 'SL', color: '#fab005' },
+    { name: 'Noise Pollution', code: 'NP', color: '#868e96' },
+    { name: 'Other', code: 'OT', color: '#adb5bd' }
+];
+
+const STATUS_COLORS = {
+    pending: '#d9480f',
+    acknowledged: '#f08c00',
+    assigned: '#1971c2',
+    'in-progress': '#5f3dc4',
+    resolved: '#2f9e44',
+    closed: '#495057'
+};
+
+const STATUS_FILTERS = {
+    open: 'pending,acknowledged,assigned,in-progress',
+    resolved: 'resolved,closed',
+    all: ''
+};
+
+const categoryStyle = (name) => CATEGORIES.find(c => c.name === name) || CATEGORIES[CATEGORIES.length - 1];
+
+// Leaflet divIcons are cached per category/status pair
+const iconCache = {};
+const issueIcon = (issue) => {
+    const key = `${issue.category}|${issue.status}`;
+    if (!iconCache[key]) {
+        const category = categoryStyle(issue.category);
+        iconCache[key] = L.divIcon({
+            className: '',
+            html: `<div class="issue-marker" style="background:${STATUS_COLORS[issue.status] || '#868e96'};border-color:${category.color}">${category.code}</div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15],
+            popupAnchor: [0, -15]
+        });
+    }
+    return iconCache[key];
+};
+
+const clusterIcon = (cluster) => L.divIcon({
+    className: '',
+    html: `<div class="issue-cluster${cluster.hasOpen ? ' has-open' : ''}">${cluster.issues.length}</div>`,
+    iconSize: [40, 40],
+    iconAnchor: [20, 20]
+});
+
+// Group issues falling into the same pixel grid cell at the current zoom
+function clusterIssues(map, issues, zoom) {
+    if (zoom >= CLUSTER_MAX_ZOOM) return issues.map(issue => ({ issues: [issue], position: [issue.latitude, issue.longitude] }));
+    const cells = new Map();
+    issues.forEach(issue => {
+        const point = map.project([issue.latitude, issue.longitude], zoom);
+        const key = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(issue);
+    });
+    return [...cells.values()].map(group => ({
+        issues: group,
+        position: [
+            group.reduce((sum, i) => sum + i.latitude, 0) / group.length,
+            group.reduce((sum, i) => sum + i.longitude, 0) / group.length
+        ],
+        hasOpen: group.some(i => !['resolved', 'closed'].includes(i.status))
+    }));
+}
+
+function IssueMarkers({ issues }) {
+    const map = useMap();
+    const [zoom, setZoom] = useState(map.getZoom());
+    useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+    const clusters = useMemo(() => clusterIssues(map, issues, zoom), [map, issues, zoom]);
+
+    return clusters.map(cluster => {
+        if (cluster.issues.length > 1) {
+            return (
+                <Marker
+                    key={`c-${cluster.issues[0].id}`}
+                    position={cluster.position}
+                    icon={clusterIcon(cluster)}
+                    eventHandlers={{ click: () => map.setView(cluster.position, Math.min(zoom + 2, CLUSTER_MAX_ZOOM)) }}
+                />
+            );
+        }
+        const issue = cluster.issues[0];
+        return (
+            <Marker key={issue.id} position={cluster.position} icon={issueIcon(issue)}>
+                <Popup>
+                    {issue.thumbnailImage && <img src={issue.thumbnailImage} alt="" style={{ width: '100%', maxWidth: 220, borderRadius: 4 }} />}
+                    <div><strong>{issue.title}</strong></div>
+                    <div>{issue.category}</div>
+                    <div>Status: {issue.status} · Priority: {issue.priority} · {issue.votes} vote(s)</div>
+                    {issue.address && <div className="text-muted">{issue.address}</div>}
+                    <div className="text-muted">Reported {new Date(issue.createdAt).toLocaleDateString()}</div>
+                </Popup>
+            </Marker>
+        );
+    });
+}
+
+// Report the visible area (centre + radius to the corner) whenever the map settles
+function ViewWatcher({ onView }) {
+    const map = useMap();
+    const report = useCallback(() => {
+        const center = map.getCenter();
+        const radius = Math.min(center.distanceTo(map.getBounds().getNorthEast()), MAX_RADIUS_METERS);
+        onView({ lat: center.lat, lng: center.lng, radius: Math.round(radius) });
+    }, [map, onView]);
+    useMapEvents({ moveend: report });
+    useEffect(() => { report(); }, [report]);
+    return null;
+}
+
+function Recenter({ position }) {
+    const map = useMap();
+    useEffect(() => {
+        if (position) map.setView(position, 15);
+    }, [map, position]);
+    return null;
+}
+
+const IssuesNearby = () => {
+    const [issues, setIssues] = useState([]);
+    const [view, setView] = useState(null);
+    const [myPosition, setMyPosition] = useState(null);
+    const [category, setCategory] = useState('');
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const requestRef = useRef(0);
+
+    const locate = useCallback(() => {
+        if (!navigator.geolocation) {
+            setError('Geolocation is not supported on this device. Move the map to your area instead.');
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            (pos) => {
+                setError(null);
+                setMyPosition([pos.coords.latitude, pos.coords.longitude]);
+            },
+            () => setError('Unable to get your location. Move the map to your area instead.')
+        );
+    }, []);
+
+    useEffect(() => { locate(); }, [locate]);
+
+    // Debounced fetch for the visible area; stale responses are dropped
+    useEffect(() => {
+        if (!view) return;
+        const timer = setTimeout(async () => {
+            const requestId = ++requestRef.current;
+            setLoading(true);
+            const response = await getNearbyIssues({
+                ...view,
+                category: category || undefined,
+                status: STATUS_FILTERS[statusFilter] || undefined
+            });
+            if (requestId !== requestRef.current) return;
+            if (response.success) {
+                setIssues(response.data);
+            } else {
+                setError(response.error || 'Failed to load issues');
+            }
+            setLoading(false);
+        }, 400);
+        return () => clearTimeout(timer);
+    }, [view, category, statusFilter]);
+
+    return (
+        <MainLayout>
+            <div className="container issues-map-page">
+                <div className="page-header">
+                    <h1>Issues Near Me</h1>
+                    <p>Civic issues reported around you. Zoom in to break up clusters, click a marker for details.</p>
+                </div>
+
+                <div className="issues-map-filters">
+                    <select className="form-control" value={category} onChange={(e) => setCategory(e.target.value)}>
+                        <option value="">All categories</option>
+                        {CATEGORIES.map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+                    </select>
+                    <select className="form-control" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                        <option value="open">Open issues</option>
+                        <option value="resolved">Resolved issues</option>
+                        <option value="all">All issues</option>
+                    </select>
+                    <button type="button" className="btn btn-outline" onClick={locate}>Use my location</button>
+                    <span className="text-muted">{loading ? 'Loading…' : `${issues.length} issue(s) in view`}</span>
+                </div>
+                {error && <div className="alert alert-danger">{error}</div>}
+
+                <div className="issues-map">
+                    <MapContainer center={DEFAULT_CENTER} zoom={5} style={{ height: '100%', width: '100%' }}>
+                        <TileLayer
+                            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                        />
+                        <ViewWatcher onView={setView} />
+                        <Recenter position={myPosition} />
+                        {myPosition && <CircleMarker center={myPosition} radius={7} pathOptions={{ color: '#1c7ed6', fillOpacity: 0.8 }} />}
+                        <IssueMarkers issues={issues} />
+                    </MapContainer>
+                </div>
+
+                <div className="issues-map-legend">
+                    {Object.entries(STATUS_COLORS).map(([status, color]) => (
+                        <span key={status}><i style={{ background: color }} />{status}</span>
+                    ))}
+                </div>
+                <div className="issues-map-legend">
+                    {CATEGORIES.map(c => (
+                        <span key={c.name}><i style={{ background: 'transparent', border: `3px solid ${c.color}` }} />{c.code} {c.name}</span>
+                    ))}
+                </div>
+            </div>
+        </MainLayout>
+    );
+};
+
+export default IssuesNearby;
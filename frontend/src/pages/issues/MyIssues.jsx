@@ -16,6 +16,8 @@ import {
     IconPlus
 } from '../../components/common/Icons';
 import IssueChatPanel from '../../components/issues/IssueChatPanel.jsx';
+import ResolutionVerification from '../../components/issues/ResolutionVerification.jsx';
+import BeforeAfterComparison from '../../components/issues/BeforeAfterComparison.jsx';
 
 const MyIssues = () => {
     const { user } = useAuth();
@@ -508,6 +510,20 @@ const MyIssues = () => {
                                 </div>
                             </div>
 
+                            <BeforeAfterComparison
+                                before={selectedIssue.images}
+                                after={selectedIssue.resolutionImages}
+                                description={selectedIssue.resolutionDescription}
+                            />
+
+                            <ResolutionVerification
+                                issue={selectedIssue}
+                                onVerified={() => {
+                                    closeTrackingModal();
+                                    fetchMyIssues();
+                                }}
+                            />
+
                             <div className="chat-section">
                                 <h4>Discussion</h4>
                                 <IssueChatPanel issueId={selectedIssue.id || selectedIssue._id} assumeReporter={true} />
@@ -1,10 +1,13 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCloudinaryUploads } from '../../services/cloudinary';
 import { useToast } from '../../context/ToastContext';
 import { DashboardLayout } from '../../components/layout';
 import { useAuth } from '../../hooks/useAuth';
 import api from '../../services/api';
+import { suggestCategories } from '../../services/issues';
+import { reverseGeocode } from '../../services/geocoding';
+import LocationPicker from '../../components/issues/LocationPicker';
 
 const ReportIssue = () => {
     const { isAuthenticated } = useAuth(); // Removed unused user variable
@@ -31,6 +34,9 @@ const ReportIssue = () => {
         description: '',
         category: '',
         address: '',
+        city: '',
+        state: '',
+        pincode: '',
         latitude: '',
         longitude: ''
     });
@@ -43,6 +49,9 @@ const ReportIssue = () => {
     const [capturedPhoto, setCapturedPhoto] = useState(null); // Data URL for preview
     const [capturedBlob, setCapturedBlob] = useState(null);   // Blob for upload
     const [capturedMeta, setCapturedMeta] = useState({ width: 0, height: 0, size: 0 });
+    const [categorySuggestion, setCategorySuggestion] = useState(null); // top suggestion from /issues/suggest
+    const [isGeocoding, setIsGeocoding] = useState(false);
+    const geocodeAbortRef = useRef(null);
 
     // Categories for dropdown - updated to match backend
     const categories = [
@@ -75,6 +84,61 @@ const ReportIssue = () => {
         }
     };
 
+    // Ask the backend categorizer for a suggestion once the citizen pauses typing
+    useEffect(() => {
+        const title = formData.title.trim();
+        const description = formData.description.trim();
+        if (title.length < 3 && description.length < 10) {
+            setCategorySuggestion(null);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const result = await suggestCategories({ title, description });
+            if (cancelled) return;
+            const top = result.success ? result.data.suggestions?.[0] : null;
+            setCategorySuggestion(top || null);
+        }, 600);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [formData.title, formData.description]);
+
+    const applySuggestedCategory = () => {
+        if (!categorySuggestion) return;
+        setFormData(prev => ({ ...prev, category: categorySuggestion.category }));
+        setErrors(prev => ({ ...prev, category: '' }));
+    };
+
+    // Set the issue location (camera GPS or map pin) and look up its address; only the latest lookup wins
+    const updateLocation = useCallback(async (latitude, longitude) => {
+        const fallbackAddress = `Coordinates: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
+        setFormData(prev => ({
+            ...prev,
+            latitude: latitude.toString(),
+            longitude: longitude.toString(),
+            address: fallbackAddress,
+            city: '',
+            state: '',
+            pincode: ''
+        }));
+        setErrors(prev => ({ ...prev, location: '' }));
+
+        geocodeAbortRef.current?.abort();
+        const controller = new AbortController();
+        geocodeAbortRef.current = controller;
+        setIsGeocoding(true);
+        const place = await reverseGeocode(latitude, longitude, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setIsGeocoding(false);
+        if (place?.address) {
+            setFormData(prev => ({ ...prev, ...place }));
+        }
+    }, []);
+
+    useEffect(() => () => geocodeAbortRef.current?.abort(), []);
+
     // Camera controls
     const ensureVideoReady = () => new Promise((resolve, reject) => {
         const video = videoRef.current;
@@ -203,12 +267,7 @@ const ReportIssue = () => {
                 navigator.geolocation.getCurrentPosition(
                     (pos) => {
                         const { latitude, longitude } = pos.coords;
-                        setFormData(prev => ({
-                            ...prev,
-                            latitude: latitude.toString(),
-                            longitude: longitude.toString(),
-                            address: `Coordinates: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}`
-                        }));
+                        updateLocation(latitude, longitude);
                         setIsUsingCurrentLocation(false);
                     },
                     (geoErr) => {
@@ -287,7 +346,7 @@ const ReportIssue = () => {
 
         // Require coordinates and one captured image
         if (!formData.latitude || !formData.longitude) {
-            newErrors.location = 'Location is required and is captured when you take a photo.';
+            newErrors.location = 'Location is required. It is captured when you take a photo, or pick it on the map.';
         }
         if (!capturedBlob) {
             newErrors.images = 'Please capture a photo using the camera.';
@@ -332,9 +391,10 @@ const ReportIssue = () => {
                     : (hasCoords
                         ? `Coordinates: ${parseFloat(formData.latitude)}, ${parseFloat(formData.longitude)}`
                         : ''),
-                city: '', // You might want to extract this from address
-                state: '', // You might want to extract this from address
-                pincode: '' // You might want to extract this from address
+                // Filled in by reverse geocoding when the lookup succeeds
+                city: formData.city,
+                state: formData.state,
+                pincode: formData.pincode
             };
             const payload = {
                 title: formData.title,
@@ -430,6 +490,20 @@ const ReportIssue = () => {
                                     </option>
                                 ))}
                             </select>
+                            {categorySuggestion && categorySuggestion.category !== formData.category && (
+                                <div className="category-suggestion" style={{ marginTop: 6, fontSize: 13, color: '#555' }}>
+                                    Suggested: <strong>{categorySuggestion.category}</strong>{' '}
+                                    ({Math.round(categorySuggestion.confidence * 100)}% match){' '}
+                                    <button
+                                        type="button"
+                                        className="btn btn-outline btn-sm"
+                                        onClick={applySuggestedCategory}
+                                        disabled={isSubmitting}
+                                    >
+                                        Use
+                                    </button>
+                                </div>
+                            )}
                             {errors.category && <div className="error-message">{errors.category}</div>}
                         </div>
 
@@ -495,8 +569,16 @@ const ReportIssue = () => {
                             <div className="location-summary" style={{ marginTop: 8 }}>
                                 <strong>Location:</strong>{' '}
                                 {formData.latitude && formData.longitude
-                                    ? `${formData.address || 'Coordinates captured'}`
-                                    : 'Will be captured when you take a photo'}
+                                    ? `${formData.address || 'Coordinates captured'}${isGeocoding ? ' (looking up address…)' : ''}`
+                                    : 'Will be captured when you take a photo, or pick it on the map below'}
+                            </div>
+                            <div style={{ marginTop: 8 }}>
+                                <LocationPicker
+                                    latitude={formData.latitude}
+                                    longitude={formData.longitude}
+                                    onChange={updateLocation}
+                                    disabled={isSubmitting}
+                                />
                             </div>
                             {errors.location && <div className="error-message">{errors.location}</div>}
                         </div>
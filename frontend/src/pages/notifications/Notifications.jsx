@@ -12,7 +12,9 @@ const Notifications = () => {
         setError('');
         try {
             const data = await listNotifications();
-            setItems(data.notifications || data || []);
+            // Backend stores the flag as isRead; normalize to `read` for rendering
+            const list = data.notifications || data || [];
+            setItems(list.map(n => ({ ...n, read: n.read ?? n.isRead ?? false })));
         } catch (err) {
             setError(err.response?.data?.message || 'Failed to load notifications');
         } finally {
@@ -54,6 +56,11 @@ const Notifications = () => {
                                 <div>
                                     <div style={{ fontWeight: n.read ? 400 : 600 }}>{n.title || 'Notification'}</div>
                                     {n.message && <div className="text-muted" style={{ fontSize: '0.925rem' }}>{n.message}</div>}
+                                    {n.relatedIssue?.title && (
+                                        <div className="text-muted" style={{ fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                                            Issue: {n.relatedIssue.title}{n.relatedIssue.status ? ` · ${n.relatedIssue.status}` : ''}
+                                        </div>
+                                    )}
                                     {n.createdAt && <div className="text-muted" style={{ fontSize: '0.8rem', marginTop: '0.25rem' }}>{new Date(n.createdAt).toLocaleString()}</div>}
                                 </div>
                                 <div style={{ display: 'flex', gap: '0.5rem' }}>
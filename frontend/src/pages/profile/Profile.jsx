@@ -4,7 +4,9 @@ import { useAuth } from '../../hooks/useAuth';
 
 const Profile = () => {
     const { user, updateProfile } = useAuth();
-    const [form, setForm] = useState({ name: '', city: '', state: '', pincode: '' });
+    const [form, setForm] = useState({ name: '', city: '', state: '', pincode: '', homeLat: '', homeLng: '' });
+    // Saved places (work, parents' home, ...) also receive area alerts
+    const [places, setPlaces] = useState([]);
     const [saving, setSaving] = useState(false);
     const [msg, setMsg] = useState('');
 
@@ -14,13 +16,33 @@ const Profile = () => {
                 name: user.name || '',
                 city: user.location?.city || '',
                 state: user.location?.state || '',
-                pincode: user.location?.pincode || ''
+                pincode: user.location?.pincode || '',
+                homeLat: user.homeLocation?.coordinates?.[1] ?? '',
+                homeLng: user.homeLocation?.coordinates?.[0] ?? ''
             });
+            setPlaces((user.savedPlaces || []).map(p => ({
+                label: p.label || '',
+                latitude: p.location?.coordinates?.[1] ?? '',
+                longitude: p.location?.coordinates?.[0] ?? ''
+            })));
         }
     }, [user]);
 
     const onChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
 
+    const useCurrentLocation = () => {
+        if (!navigator.geolocation) {
+            setMsg('Geolocation is not supported by this browser');
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            (pos) => setForm(prev => ({ ...prev, homeLat: pos.coords.latitude.toFixed(6), homeLng: pos.coords.longitude.toFixed(6) })),
+            () => setMsg('Could not read your current location')
+        );
+    };
+
+    const onPlaceChange = (idx, field, value) => setPlaces(prev => prev.map((p, i) => i === idx ? { ...p, [field]: value } : p));
+
     const onSubmit = async (e) => {
         e.preventDefault();
         setSaving(true);
@@ -28,7 +50,9 @@ const Profile = () => {
         try {
             const payload = {
                 name: form.name,
-                location: { city: form.city, state: form.state, pincode: form.pincode }
+                location: { city: form.city, state: form.state, pincode: form.pincode },
+                homeLocation: form.homeLat !== '' && form.homeLng !== '' ? { latitude: form.homeLat, longitude: form.homeLng } : null,
+                savedPlaces: places.filter(p => p.latitude !== '' && p.longitude !== '')
             };
             await updateProfile(payload);
             setMsg('Profile updated');
@@ -62,6 +86,28 @@ const Profile = () => {
                             <label>Pincode</label>
                             <input name="pincode" value={form.pincode} onChange={onChange} />
                         </div>
+                        <div className="form-group">
+                            <label>Home location (for area alerts)</label>
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                <input name="homeLat" placeholder="Latitude" value={form.homeLat} onChange={onChange} />
+                                <input name="homeLng" placeholder="Longitude" value={form.homeLng} onChange={onChange} />
+                                <button type="button" className="btn btn-outline" onClick={useCurrentLocation}>Use current location</button>
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label>Saved places</label>
+                            {places.map((p, idx) => (
+                                <div key={idx} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                                    <input placeholder="Label" value={p.label} onChange={e => onPlaceChange(idx, 'label', e.target.value)} />
+                                    <input placeholder="Latitude" value={p.latitude} onChange={e => onPlaceChange(idx, 'latitude', e.target.value)} />
+                                    <input placeholder="Longitude" value={p.longitude} onChange={e => onPlaceChange(idx, 'longitude', e.target.value)} />
+                                    <button type="button" className="btn btn-sm btn-danger" onClick={() => setPlaces(prev => prev.filter((_, i) => i !== idx))}>Remove</button>
+                                </div>
+                            ))}
+                            {places.length < 5 && (
+                                <button type="button" className="btn btn-sm btn-outline" onClick={() => setPlaces(prev => [...prev, { label: '', latitude: '', longitude: '' }])}>Add place</button>
+                            )}
+                        </div>
                         <button className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Save Changes'}</button>
                     </form>
                     {msg && <div className="alert alert-info" style={{ marginTop: '1rem' }}>{msg}</div>}
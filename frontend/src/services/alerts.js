@@ -85,7 +85,10 @@ export const createAlert = async (alertData) => {
     }
 
     try {
-        const response = await axios.post(`${API_URL}/alerts`, alertData);
+        // The API expects the drawn/uploaded GeoJSON area under location.area
+        const { area, ...rest } = alertData;
+        const payload = area ? { ...rest, location: { ...(rest.location || {}), area } } : rest;
+        const response = await axios.post(`${API_URL}/alerts`, payload);
         return { success: true, data: response.data, message: 'Alert created successfully' };
     } catch (error) {
         return handleApiError(error);
@@ -201,6 +204,25 @@ export const getAlertsByArea = async (area) => {
     }
 };
 
+// Issues reported inside an alert's area (alert-scoped triage board, government only)
+export const getAlertIssues = async (alertId, params = {}) => {
+    if (USE_MOCK) {
+        const alert = mockData.alerts.find(alert => alert.id === alertId);
+        return {
+            success: !!alert,
+            data: alert ? { alert, issues: [], counts: {}, pagination: { total: 0, page: 1, limit: 100, pages: 0 } } : null,
+            error: !alert ? 'Alert not found' : null
+        };
+    }
+
+    try {
+        const response = await axios.get(`${API_URL}/alerts/${alertId}/issues`, { params });
+        return { success: true, data: response.data };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
 export default {
     getAlerts,
     getAlertById,
@@ -208,5 +230,6 @@ export default {
     updateAlert,
     deleteAlert,
     toggleAlertStatus,
-    getAlertsByArea
+    getAlertsByArea,
+    getAlertIssues
 };
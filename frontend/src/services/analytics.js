@@ -1,4 +1,5 @@
 import axios from 'axios';
+import api from './api';
 import mockData from '../utils/mockData';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
@@ -265,7 +266,59 @@ export const getCustomRangeData = async (startDate, endDate) => {
     }
 };
 
+// Heatmap points for the visible map area (government)
+// params: { bounds: { north, south, east, west }, category, status, startDate, endDate, ward, zone }; category/status/ward/zone comma-separated
+export const getHeatmapData = async ({ bounds, ...filters } = {}) => {
+    try {
+        const response = await api.get('/analytics/heatmap', {
+            params: { ...filters, ...(bounds && { bounds: JSON.stringify(bounds) }) }
+        });
+        return { success: true, data: response.data };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Geohash hotspot cells (government)
+// params: { bounds, precision, weeks, category, ward, zone, minWeekly, spikeRatio, limit }
+export const getHotspots = async ({ bounds, ...params } = {}) => {
+    try {
+        const response = await api.get('/analytics/hotspots', {
+            params: { ...params, ...(bounds && { bounds: JSON.stringify(bounds) }) }
+        });
+        return { success: true, data: response.data };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Per-ward totals, open/resolved counts and average resolution time (government)
+// params: { category, zone, startDate, endDate }
+export const getWardStats = async (params = {}) => {
+    try {
+        const response = await api.get('/analytics/wards', { params });
+        return { success: true, data: response.data };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Automatic routing accuracy, overall and per rule (government)
+// params: { startDate, endDate }
+export const getRoutingAccuracy = async (params = {}) => {
+    try {
+        const response = await api.get('/analytics/routing', { params });
+        return { success: true, data: response.data };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
 export default {
+    getRoutingAccuracy,
+    getHeatmapData,
+    getHotspots,
+    getWardStats,
     getDashboardAnalytics,
     getIssueCountByStatus,
     getIssueCountByCategory,
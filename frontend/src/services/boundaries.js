@@ -0,0 +1,30 @@
+import api from './api';
+
+// Ward/zone boundaries with issue counts, resolves to { boundaries, untaggedIssues } (government)
+// params: { level: 'ward' | 'zone', geometry: true }
+export const getBoundaries = (params = {}) => {
+    return api.get('/boundaries', { params }).then(r => r.data);
+};
+
+// Admin only: upload a GeoJSON FeatureCollection, resolves to { message, import, backfill }
+// options: { level, nameProperty, codeProperty, parentProperty, city, replace }
+export const importBoundaries = (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') formData.append(key, value);
+    });
+    return api.post('/boundaries/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+    }).then(r => r.data);
+};
+
+// Admin only: re-tag existing issues with their ward/zone, resolves to { message, backfill }
+export const backfillBoundaries = (onlyMissing = false) => {
+    return api.post('/boundaries/backfill', { onlyMissing }).then(r => r.data);
+};
+
+// Admin only
+export const deleteBoundary = (id) => {
+    return api.delete(`/boundaries/${id}`).then(r => r.data);
+};
@@ -0,0 +1,32 @@
+// Reverse geocoding through OpenStreetMap Nominatim (same tiles provider as the maps).
+// Uses fetch rather than axios so the global auth interceptor never sends our token to a third party.
+const NOMINATIM_URL = import.meta.env.VITE_NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+// Resolves to { address, city, state, pincode } or null when the lookup fails
+export const reverseGeocode = async (latitude, longitude, { signal } = {}) => {
+    const params = new URLSearchParams({
+        format: 'jsonv2',
+        lat: String(latitude),
+        lon: String(longitude),
+        addressdetails: '1'
+    });
+    try {
+        const response = await fetch(`${NOMINATIM_URL}/reverse?${params}`, {
+            signal,
+            headers: { 'Accept-Language': navigator.language || 'en' }
+        });
+        if (!response.ok) return null;
+        const data = await response.json();
+        if (!data || data.error) return null;
+        const parts = data.address || {};
+        return {
+            address: data.display_name || '',
+            city: parts.city || parts.town || parts.village || parts.suburb || parts.county || '',
+            state: parts.state || '',
+            pincode: parts.postcode || ''
+        };
+    } catch (error) {
+        if (error.name !== 'AbortError') console.warn('[geocoding] reverse lookup failed:', error.message);
+        return null;
+    }
+};
@@ -25,7 +25,7 @@ const handleApiError = (error) => {
     if (error.response) {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
-        errorMessage = error.response.data.message || errorMessage;
+        errorMessage = error.response.data.message || error.response.data.error || errorMessage;
     } else if (error.request) {
         // The request was made but no response was received
         errorMessage = 'No response from server. Please check your internet connection.';
@@ -58,6 +58,8 @@ export const getAllIssues = async (queryParams = {}) => {
                     description: doc.description,
                     category: doc.category,
                     priority: doc.priority || 'low',
+                    priorityAuto: doc.priorityAuto !== false,
+                    priorityOverride: doc.priorityOverride || null,
                     reporter: doc.reportedBy ? { name: doc.reportedBy.name, id: doc.reportedBy._id } : null,
                     location: doc.location ? { address: doc.location.address } : null,
                     date: doc.createdAt,
@@ -104,10 +106,11 @@ export const getGovernmentOverview = async () => {
 };
 
 // Government: fetch ALL issues (unpaginated)
-export const getAllIssuesFull = async () => {
+// params: { ward, zone } comma-separated boundary codes ("none" for issues outside imported wards)
+export const getAllIssuesFull = async (params = {}) => {
     try {
         console.log('[issues.service] getAllIssuesFull: START request -> GET /issues/all');
-        const response = await axios.get('/issues/all');
+        const response = await axios.get('/issues/all', { params });
         console.log('[issues.service] getAllIssuesFull: response status', response.status);
         const responseData = response.data;
         if (responseData.success && Array.isArray(responseData.data)) {
@@ -147,10 +150,14 @@ export const getPendingIssues = async () => {
                     description: doc.description,
                     category: doc.category,
                     priority: doc.priority || 'low',
+                    priorityAuto: doc.priorityAuto !== false,
+                    priorityOverride: doc.priorityOverride || null,
                     reporter: doc.reportedBy ? { name: doc.reportedBy.name, id: doc.reportedBy._id } : null,
                     location: doc.location ? { address: doc.location.address } : null,
                     date: doc.createdAt,
-                    votes: doc.votes || 0
+                    votes: doc.votes || 0,
+                    // Next statuses from the backend state machine ({ status, requires, ready }[])
+                    allowedTransitions: doc.allowedTransitions || null
                 }))
                 : [];
             return {
@@ -257,6 +264,34 @@ export const getIssueById = async (issueId) => {
     }
 };
 
+// Suggest categories from title/description (keyword categorizer on the backend)
+export const suggestCategories = async ({ title, description }) => {
+    try {
+        const response = await axios.post('/issues/suggest', { title, description });
+        const responseData = response.data;
+        if (responseData.success && responseData.data) {
+            return { success: true, data: responseData.data };
+        }
+        return { success: false, error: 'Invalid suggestion payload' };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Statuses an issue can move to next, with their requirements (server-side state machine)
+export const getIssueTransitions = async (issueId) => {
+    try {
+        const response = await axios.get(`/issues/${issueId}/transitions`);
+        const responseData = response.data;
+        if (responseData.success && responseData.data) {
+            return { success: true, data: responseData.data.transitions || [] };
+        }
+        return { success: false, error: 'Invalid transitions payload' };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
 // Assign issue to department/official
 export const assignIssue = async (issueId, assignmentData) => {
     if (USE_MOCK) {
@@ -305,6 +340,23 @@ export const assignIssue = async (issueId, assignmentData) => {
     }
 };
 
+// Manually set and lock priority ({ priority, justification }) or unlock it ({ lock: false, justification })
+export const setIssuePriority = async (issueId, { priority, justification, lock = true }) => {
+    if (USE_MOCK) {
+        return {
+            success: true,
+            data: { success: true, data: { _id: issueId, priority, priorityAuto: !lock, priorityOverride: lock ? { justification } : null } }
+        };
+    }
+
+    try {
+        const response = await axios.put(`/issues/${issueId}/priority`, { priority, justification, lock });
+        return { success: true, data: response.data };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
 // Update issue status
 export const updateIssueStatus = async (issueId, statusData) => {
     if (USE_MOCK) {
@@ -372,12 +424,12 @@ export const addResolutionProof = async (issueId, proofData) => {
 
         if (proofData.images && proofData.images.length) {
             proofData.images.forEach((image) => {
-                formData.append('images', image);
+                formData.append('resolutionImages', image);
             });
         }
 
         const response = await axios.post(
-            `/issues/${issueId}/resolution`,
+            `/issues/${issueId}/resolution-proof`,
             formData,
             {
                 headers: {
@@ -392,8 +444,29 @@ export const addResolutionProof = async (issueId, proofData) => {
     }
 };
 
-// Delete issue (for admin purposes)
-export const deleteIssue = async (issueId) => {
+// Reporter verdict on a resolution: 'accepted', or 'rejected' with a comment and photo (reopens the issue)
+export const verifyResolution = async (issueId, { decision, comment, photo }) => {
+    try {
+        const formData = new FormData();
+        formData.append('decision', decision);
+        if (comment) formData.append('comment', comment);
+        if (photo) formData.append('photo', photo);
+
+        const response = await axios.post(`/issues/${issueId}/verify`, formData, {
+            headers: { 'Content-Type': 'multipart/form-data' }
+        });
+        const responseData = response.data;
+        if (responseData.success) {
+            return { success: true, data: responseData.data, message: responseData.message };
+        }
+        return { success: false, error: responseData.error || 'Verification failed' };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Soft-delete issue (government, or the reporter while still pending); reason is required
+export const deleteIssue = async (issueId, reason) => {
     if (USE_MOCK) {
         return {
             success: true,
@@ -402,13 +475,57 @@ export const deleteIssue = async (issueId) => {
     }
 
     try {
-    await axios.delete(`/issues/${issueId}`);
+        await axios.delete(`/issues/${issueId}`, { data: { reason } });
         return { success: true, message: 'Issue deleted successfully' };
     } catch (error) {
         return handleApiError(error);
     }
 };
 
+// Soft-deleted issues (government)
+export const getDeletedIssues = async (params = {}) => {
+    try {
+        const response = await axios.get('/issues/deleted', { params });
+        const responseData = response.data;
+        if (responseData.success) {
+            return { success: true, data: responseData.data || [], pagination: responseData.pagination };
+        }
+        return { success: false, error: 'Invalid deleted issues payload' };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Restore a soft-deleted issue (government)
+export const restoreIssue = async (issueId) => {
+    try {
+        const response = await axios.post(`/issues/${issueId}/restore`);
+        return { success: true, data: response.data.data, message: response.data.message };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Split a duplicate back off its canonical issue (government); reason is required
+export const unmergeIssue = async (issueId, reason) => {
+    try {
+        const response = await axios.post(`/issues/${issueId}/unmerge`, { reason });
+        return { success: true, data: response.data.data, message: response.data.message };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
+// Public map feed around a point; params: { lat, lng, radius, category, status } (category/status comma-separated)
+export const getNearbyIssues = async (params) => {
+    try {
+        const response = await axios.get('/issues/nearby', { params });
+        return { success: true, data: response.data.data || [], radius: response.data.radius };
+    } catch (error) {
+        return handleApiError(error);
+    }
+};
+
 // Get issue tracking status (for live tracking)
 export const getIssueTrackingStatus = async (issueId) => {
     if (USE_MOCK) {
@@ -673,6 +790,11 @@ export const getMyIssues = async () => {
                     description: doc.description,
                     category: doc.category,
                     status: mapStatus(doc.status),
+                    rawStatus: doc.status,
+                    resolutionVerification: doc.resolutionVerification || null,
+                    images: doc.images || [],
+                    resolutionImages: doc.resolutionDetails?.resolutionImages || [],
+                    resolutionDescription: doc.resolutionDetails?.resolutionDescription || '',
                     location: doc.location ? doc.location.address : '',
                     date: doc.createdAt,
                     updates: Array.isArray(doc.statusHistory) ? doc.statusHistory.map(h => ({
@@ -766,10 +888,18 @@ export default {
     getInProgressIssues,
     getResolvedIssues,
     getIssueById,
+    suggestCategories,
+    getIssueTransitions,
     assignIssue,
+    setIssuePriority,
     updateIssueStatus,
     addResolutionProof,
+    verifyResolution,
     deleteIssue,
+    getDeletedIssues,
+    restoreIssue,
+    unmergeIssue,
+    getNearbyIssues,
     getIssueTrackingStatus,
     getIssueStatsByDepartment,
     getUserIssues,
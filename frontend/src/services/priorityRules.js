@@ -0,0 +1,27 @@
+import api from './api';
+
+// Current rules plus the categories that can carry a weight (government)
+export const getPriorityRules = () => {
+    return api.get('/priority-rules').then(r => r.data);
+};
+
+// Admin only: preview which open issues would change priority; nothing is saved
+export const dryRunPriorityRules = (rules, params = {}) => {
+    return api.post('/priority-rules/dry-run', rules, { params }).then(r => r.data);
+};
+
+// Admin only
+export const updatePriorityRules = (rules) => {
+    return api.put('/priority-rules', rules).then(r => r.data);
+};
+
+// Government: start recomputing priority for all open issues in the background,
+// resolves to { message, running, startedAt, lastRun } (409 while a run is in progress)
+export const recomputePriorities = () => {
+    return api.post('/priority-rules/recompute').then(r => r.data);
+};
+
+// Government: resolves to { running, startedAt, lastRun: { startedAt, finishedAt, summary | error } }
+export const getRecomputeStatus = () => {
+    return api.get('/priority-rules/recompute/status').then(r => r.data);
+};
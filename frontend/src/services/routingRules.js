@@ -0,0 +1,26 @@
+import api from './api';
+
+// Routing table in evaluation order, resolves to { rules, categories } (government)
+export const getRoutingRules = () => {
+    return api.get('/routing-rules').then(r => r.data);
+};
+
+// Which rule would route an issue with { category, ward, pincode }, resolves to { matched, rule } (government)
+export const testRoutingRules = (keys) => {
+    return api.post('/routing-rules/test', keys).then(r => r.data);
+};
+
+// Admin only: rule = { name, order, enabled, match: { categories, wards, pincodes }, department, official }
+export const createRoutingRule = (rule) => {
+    return api.post('/routing-rules', rule).then(r => r.data);
+};
+
+// Admin only
+export const updateRoutingRule = (id, rule) => {
+    return api.put(`/routing-rules/${id}`, rule).then(r => r.data);
+};
+
+// Admin only
+export const deleteRoutingRule = (id) => {
+    return api.delete(`/routing-rules/${id}`).then(r => r.data);
+};
@@ -0,0 +1,24 @@
+import api from './api';
+
+// Public announcements feed. params: city, state, department, category, page, limit
+export const getUpdates = (params = {}) => {
+    return api.get('/updates', { params }).then(r => r.data);
+};
+
+// Government only. fields: title, content, category, endDate, location { city, state, address, latitude, longitude }
+export const createUpdate = ({ images = [], attachments = [], location = {}, ...fields }) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') form.append(key, value);
+    });
+    Object.entries(location).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') form.append(`location[${key}]`, value);
+    });
+    images.forEach(file => form.append('images', file));
+    attachments.forEach(file => form.append('attachments', file));
+    return api.post('/updates', form, { headers: { 'Content-Type': 'multipart/form-data' } }).then(r => r.data);
+};
+
+export const deleteUpdate = (updateId) => {
+    return api.delete(`/updates/${updateId}`).then(r => r.data);
+};